@@ -0,0 +1,142 @@
+// Mask building benchmark: scanline + distance transform vs the old per-pixel
+// distanceToPolygon builders. Run with `npm run bench` (Node 18+).
+
+import { performance } from 'node:perf_hooks';
+import { buildFalloffMask, FALLOFF } from '../src/masks.js';
+
+// --- Legacy implementation (per-pixel point-in-polygon + edge distance) ---
+
+function pointToLineDistance(px, py, x1, y1, x2, y2) {
+    const A = px - x1;
+    const B = py - y1;
+    const C = x2 - x1;
+    const D = y2 - y1;
+
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+
+    if (lenSq !== 0) param = dot / lenSq;
+
+    let xx, yy;
+
+    if (param < 0) {
+        xx = x1;
+        yy = y1;
+    } else if (param > 1) {
+        xx = x2;
+        yy = y2;
+    } else {
+        xx = x1 + param * C;
+        yy = y1 + param * D;
+    }
+
+    const dx = px - xx;
+    const dy = py - yy;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+function distanceToPolygon(x, y, points) {
+    if (points.length === 0) return Infinity;
+
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const xi = points[i].x, yi = points[i].y;
+        const xj = points[j].x, yj = points[j].y;
+
+        const intersect = ((yi > y) !== (yj > y)) &&
+                        (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersect) inside = !inside;
+    }
+
+    if (inside) return 0;
+
+    let minDist = Infinity;
+    for (let i = 0; i < points.length; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % points.length];
+        minDist = Math.min(minDist, pointToLineDistance(x, y, p1.x, p1.y, p2.x, p2.y));
+    }
+
+    return minDist;
+}
+
+// Same loops the old createSkinMask / createEyeMask / ... used
+function legacyMask(points, width, height, falloff, step, cutoff) {
+    const mask = new Float32Array(width * height);
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            const dist = distanceToPolygon(x, y, points);
+            if (dist >= cutoff) continue;
+            const value = Math.max(0, 1 - dist / falloff);
+            const idx = y * width + x;
+            mask[idx] = value;
+            if (step > 1) {
+                if (x + 1 < width) mask[idx + 1] = value;
+                if (y + 1 < height) mask[(y + 1) * width + x] = value;
+            }
+        }
+    }
+    return mask;
+}
+
+// --- Synthetic face: ordered ellipses with the real landmark counts per region ---
+
+function ellipse(cx, cy, rx, ry, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const t = (i / count) * Math.PI * 2;
+        return { x: cx + Math.cos(t) * rx, y: cy + Math.sin(t) * ry };
+    });
+}
+
+function syntheticFace(width, height) {
+    const cx = width / 2;
+    const cy = height / 2;
+    const s = Math.min(width, height);
+    return {
+        skin: { points: ellipse(cx, cy, s * 0.22, s * 0.3, 380), falloff: FALLOFF.skin, step: 2, cutoff: Infinity },
+        eye: { points: ellipse(cx - s * 0.08, cy - s * 0.06, s * 0.04, s * 0.015, 32), falloff: FALLOFF.eye, step: 1, cutoff: 30 },
+        lip: { points: ellipse(cx, cy + s * 0.15, s * 0.07, s * 0.025, 38), falloff: FALLOFF.lip, step: 1, cutoff: 25 },
+        eyebrow: { points: ellipse(cx - s * 0.08, cy - s * 0.11, s * 0.05, s * 0.01, 22), falloff: FALLOFF.eyebrow, step: 1, cutoff: 20 }
+    };
+}
+
+function time(fn, iterations) {
+    fn(); // warm up
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) fn();
+    return (performance.now() - start) / iterations;
+}
+
+function meanAbsDiff(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+const sizes = [[640, 480], [1280, 720]];
+const legacyIterations = Number(process.env.LEGACY_ITERATIONS || 2);
+const iterations = Number(process.env.ITERATIONS || 20);
+
+for (const [width, height] of sizes) {
+    console.log(`\n${width}x${height}`);
+    console.log('region    legacy ms   new ms   speedup   mean |diff| (step 1)');
+
+    const face = syntheticFace(width, height);
+    for (const [name, region] of Object.entries(face)) {
+        const { points, falloff, step, cutoff } = region;
+        const legacyMs = time(() => legacyMask(points, width, height, falloff, step, cutoff), legacyIterations);
+        const newMs = time(() => buildFalloffMask([points], width, height, falloff), iterations);
+        const diff = meanAbsDiff(
+            legacyMask(points, width, height, falloff, 1, cutoff),
+            buildFalloffMask([points], width, height, falloff)
+        );
+        console.log(
+            name.padEnd(9),
+            legacyMs.toFixed(1).padStart(9),
+            newMs.toFixed(2).padStart(8),
+            (legacyMs / newMs).toFixed(1).padStart(8) + 'x',
+            diff.toFixed(4).padStart(12)
+        );
+    }
+}
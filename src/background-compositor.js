@@ -0,0 +1,157 @@
+// Person / background compositing
+// Uses the selfie segmentation mask to keep the UV treatment on the person only and to
+// give the background its own look. Works on whatever the UV pass already drew into
+// the display canvas, so it sits on top of both the WebGL and the Canvas 2D paths.
+//
+// The segmentation mask is a CanvasImageSource whose alpha is person confidence, in
+// camera orientation; it goes through the same viewport as the video (crop, mirror)
+// and is feathered before use.
+
+import { createCanvas } from './canvas.js';
+import { Viewport } from './viewport.js';
+
+export const BACKGROUNDS = ['white', 'dark', 'blur', 'original', 'image'];
+
+// How strongly the white / dark treatments wash out the camera image
+const WASH_ALPHA = { white: 0.85, dark: 0.75 };
+// Background blur radius in display pixels (at least; grows with the canvas)
+const BACKGROUND_BLUR_MIN = 16;
+
+function supportsFilter(ctx) {
+    return typeof ctx.filter === 'string';
+}
+
+export class BackgroundCompositor {
+    constructor(options = {}) {
+        this.background = 'white';
+        this.featherRadius = 8;
+        this.mirror = true;
+        this.image = null;
+        this.layers = {};
+        this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+        if (options.background !== undefined) {
+            if (!BACKGROUNDS.includes(options.background)) {
+                throw new Error(`Unknown background "${options.background}"`);
+            }
+            this.background = options.background;
+        }
+        if (options.featherRadius !== undefined) {
+            this.featherRadius = Math.max(0, options.featherRadius);
+        }
+        if (options.mirror !== undefined) {
+            this.mirror = options.mirror;
+        }
+    }
+
+    // Custom background for 'image' (HTMLImageElement / ImageBitmap), or null
+    setImage(image) {
+        this.image = image;
+    }
+
+    // Reusable scratch canvas, resized on demand
+    layer(name, width, height) {
+        let layer = this.layers[name];
+        if (!layer) {
+            const canvas = createCanvas(width, height);
+            layer = { canvas, ctx: canvas.getContext('2d') };
+            this.layers[name] = layer;
+        } else if (layer.canvas.width !== width || layer.canvas.height !== height) {
+            layer.canvas.width = width;
+            layer.canvas.height = height;
+        }
+        return layer;
+    }
+
+    // Draws `image` into the layer through the viewport (cropped / letterboxed and
+    // mirrored like the video), optionally blurred. Without ctx.filter (older Safari) the
+    // blur goes through a low-resolution copy.
+    drawSource(image, { canvas, ctx }, viewport, blur = 0) {
+        const { width, height } = canvas;
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+
+        if (blur > 0 && supportsFilter(ctx)) {
+            ctx.filter = `blur(${blur}px)`;
+            viewport.draw(ctx, image, width, height);
+        } else if (blur > 0) {
+            const small = this.layer(
+                'downscale',
+                Math.max(1, Math.round(width / blur)),
+                Math.max(1, Math.round(height / blur))
+            );
+            small.ctx.clearRect(0, 0, small.canvas.width, small.canvas.height);
+            small.ctx.drawImage(image, 0, 0, small.canvas.width, small.canvas.height);
+            ctx.imageSmoothingEnabled = true;
+            viewport.draw(ctx, small.canvas, width, height);
+        } else {
+            viewport.draw(ctx, image, width, height);
+        }
+        ctx.restore();
+    }
+
+    // Cover-fit, not mirrored: a picture should read the right way round
+    drawCover(image, { canvas, ctx }) {
+        const { width, height } = canvas;
+        const imageWidth = image.naturalWidth ?? image.width;
+        const imageHeight = image.naturalHeight ?? image.height;
+        const scale = Math.max(width / imageWidth, height / imageHeight);
+        const drawWidth = imageWidth * scale;
+        const drawHeight = imageHeight * scale;
+        ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    drawBackground(source, target, viewport) {
+        const { canvas, ctx } = target;
+        const background = this.background === 'image' && !this.image ? 'white' : this.background;
+
+        switch (background) {
+            case 'image':
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                this.drawCover(this.image, target);
+                break;
+            case 'blur':
+                this.drawSource(source, target, viewport, Math.max(BACKGROUND_BLUR_MIN, canvas.width / 40));
+                break;
+            case 'original':
+                this.drawSource(source, target, viewport);
+                break;
+            case 'dark':
+            case 'white':
+                this.drawSource(source, target, viewport);
+                ctx.fillStyle = background === 'white'
+                    ? `rgba(255, 255, 255, ${WASH_ALPHA.white})`
+                    : `rgba(0, 0, 0, ${WASH_ALPHA.dark})`;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                break;
+        }
+    }
+
+    // target: { canvas, ctx } already holding the UV-treated frame, drawn through
+    // `viewport` (defaults to the source stretched over the canvas, mirrored per options).
+    // Replaces everything outside the person with the background treatment.
+    composite(target, source, segmentationMask, viewport = Viewport.identity({ mirror: this.mirror })) {
+        if (!segmentationMask) return false;
+        const { width, height } = target.canvas;
+
+        // Person layer: feathered mask, then the UV frame kept only where the mask is
+        const person = this.layer('person', width, height);
+        this.drawSource(segmentationMask, person, viewport, this.featherRadius);
+        person.ctx.save();
+        person.ctx.globalCompositeOperation = 'source-in';
+        person.ctx.drawImage(target.canvas, 0, 0);
+        person.ctx.restore();
+
+        this.drawBackground(source, target, viewport);
+        target.ctx.drawImage(person.canvas, 0, 0);
+        return true;
+    }
+
+    destroy() {
+        this.layers = {};
+        this.image = null;
+    }
+}
@@ -0,0 +1,192 @@
+// Camera management
+// Lists the video inputs, picks the camera to open (a specific deviceId, or front/rear
+// by facingMode), controls the torch where the track supports it, and remembers the
+// last choice in localStorage. Opening and closing the stream is CameraSource's job
+// (frame-sources.js); this module only decides which camera and builds the constraints.
+
+import { silentLog } from './logger.js';
+
+const STORAGE_KEY = 'uv-filter.camera';
+
+// Labels are all we have on browsers that don't report facingMode (desktop, some Androids)
+const REAR_LABEL = /\b(back|rear|environment|world)\b/i;
+const FRONT_LABEL = /\b(front|user|facetime|selfie)\b/i;
+
+export function facingFromLabel(label = '') {
+    if (REAR_LABEL.test(label)) return 'environment';
+    if (FRONT_LABEL.test(label)) return 'user';
+    return null;
+}
+
+export function oppositeFacing(facingMode) {
+    return facingMode === 'environment' ? 'user' : 'environment';
+}
+
+// getUserMedia / play() failure -> what went wrong, in terms a page can act on:
+// 'permission-denied' | 'not-found' | 'overconstrained' | 'not-readable' | 'unsupported' | 'other'
+export function cameraErrorType(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+        case 'SecurityError':
+            return 'permission-denied';
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+            return 'not-found';
+        case 'OverconstrainedError':
+        case 'ConstraintNotSatisfiedError':
+            return 'overconstrained';
+        // Another app has the camera, or the hardware failed
+        case 'NotReadableError':
+        case 'TrackStartError':
+        case 'AbortError':
+            return 'not-readable';
+        case 'NotSupportedError':
+            return 'unsupported';
+        default:
+            // No navigator.mediaDevices (plain http, old browsers) surfaces as a TypeError
+            return typeof navigator !== 'undefined' && !navigator.mediaDevices ? 'unsupported' : 'other';
+    }
+}
+
+function defaultStorage() {
+    try {
+        return window.localStorage;
+    } catch {
+        // Disabled storage (privacy mode, sandboxed iframe) throws on access
+        return null;
+    }
+}
+
+export class CameraManager {
+    constructor({ storage = defaultStorage(), storageKey = STORAGE_KEY, log = silentLog } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.log = log;
+        // { deviceId, facingMode, torch }; deviceId wins over facingMode when both are set
+        this.preference = { deviceId: null, facingMode: 'user', torch: false, ...this.load() };
+        this.overridden = false; // Set by override() until the next choose()
+    }
+
+    load() {
+        try {
+            const stored = this.storage?.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            this.log.warn('CAMERA', 'Ignoring unreadable camera preference', { message: error.message });
+            return {};
+        }
+    }
+
+    // While a camera is overridden only the torch is stored; the camera stays as it was
+    save() {
+        const preference = this.overridden
+            ? { ...this.load(), torch: this.preference.torch }
+            : this.preference;
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(preference));
+        } catch (error) {
+            this.log.warn('CAMERA', 'Could not store camera preference', { message: error.message });
+        }
+    }
+
+    // Next camera to open; saved right away so a reload comes back to it
+    choose({ deviceId = null, facingMode = null } = {}) {
+        this.preference = {
+            ...this.preference,
+            deviceId,
+            facingMode: facingMode || this.preference.facingMode
+        };
+        this.overridden = false;
+        this.save();
+    }
+
+    // Camera for this visit only (e.g. ?camera=rear); the stored choice is kept
+    override({ deviceId = null, facingMode = null } = {}) {
+        this.preference = {
+            ...this.preference,
+            deviceId,
+            facingMode: facingMode || this.preference.facingMode
+        };
+        this.overridden = true;
+    }
+
+    // What actually opened (after a fallback the device may differ from the request);
+    // stored unless it came from override()
+    remember({ deviceId = null, facingMode = null }) {
+        this.preference = {
+            ...this.preference,
+            deviceId: deviceId || this.preference.deviceId,
+            facingMode: facingMode || this.preference.facingMode
+        };
+        if (!this.overridden) {
+            this.save();
+        }
+    }
+
+    // getUserMedia video constraints for the preferred camera on top of `base`
+    // (resolution etc.)
+    videoConstraints(base = {}) {
+        const { deviceId, facingMode } = this.preference;
+        if (deviceId) {
+            return { ...base, deviceId: { exact: deviceId } };
+        }
+        return { ...base, facingMode: { ideal: facingMode || 'user' } };
+    }
+
+    // [{ deviceId, label, facingMode }]; labels (and so label-based facing) are only
+    // filled in once camera permission has been granted
+    async listCameras() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map(device => ({
+                deviceId: device.deviceId,
+                label: device.label,
+                facingMode: facingFromLabel(device.label)
+            }));
+    }
+
+    // The camera a front/rear flip should open from `current` ({ deviceId, facingMode }):
+    // the first camera facing the other way, else the next camera in the list. Resolves
+    // to { deviceId, facingMode }, or null with only one camera.
+    async nextCamera(current = {}) {
+        const cameras = await this.listCameras();
+        const target = oppositeFacing(current.facingMode);
+
+        const facingOther = cameras.find(camera => camera.facingMode === target &&
+            camera.deviceId !== current.deviceId);
+        if (facingOther) {
+            return { deviceId: facingOther.deviceId, facingMode: target };
+        }
+        if (cameras.length > 1) {
+            const index = cameras.findIndex(camera => camera.deviceId === current.deviceId);
+            const next = cameras[(index + 1) % cameras.length];
+            return { deviceId: next.deviceId, facingMode: next.facingMode };
+        }
+        // No device list (labels hidden, or a single entry for a multi-camera phone):
+        // let facingMode pick
+        if (cameras.length === 0 || !cameras[0].label) {
+            return { deviceId: null, facingMode: target };
+        }
+        return null;
+    }
+
+    static torchSupported(track) {
+        return !!track?.getCapabilities?.().torch;
+    }
+
+    // Resolves to the torch state actually applied (false when unsupported)
+    async setTorch(track, on) {
+        if (!CameraManager.torchSupported(track)) {
+            this.log('CAMERA', 'Torch not supported by this camera');
+            return false;
+        }
+        await track.applyConstraints({ advanced: [{ torch: on }] });
+        this.preference = { ...this.preference, torch: on };
+        this.save();
+        this.log('CAMERA', on ? 'Torch on' : 'Torch off');
+        return on;
+    }
+}
@@ -0,0 +1,14 @@
+// Scratch canvases
+// An OffscreenCanvas where there is one (workers, modern browsers), else a detached
+// <canvas>. Kept in its own module with no imports so every renderer piece can use it
+// without importing the others.
+
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
@@ -0,0 +1,281 @@
+// Deployment configuration
+// The settings a deployment can change without a rebuild (one build behind several QR
+// codes, one per event). Three layers, later wins:
+//
+//   built-in defaults  <  settings stored on this device  <  URL query parameters
+//
+// e.g. ?preset=blacklight&fps=24&camera=rear&logo=off&mode=whole-frame
+//
+// Stored settings live in localStorage (storeConfig(), window.saveSettings() from the
+// console) so a kiosk keeps its setup across reloads; the URL still overrides them for
+// one visit. Every value goes through the same parser in both layers; invalid ones are
+// reported and ignored, leaving the lower layer's value. Unknown query parameters
+// (utm_*, ...) are left alone.
+
+import { INPUTLESS_SOURCE_KINDS } from './frame-sources.js';
+import { LOG_LEVELS } from './logger.js';
+
+const STORAGE_KEY = 'uv-filter.settings';
+
+const TRUE_VALUES = ['1', 'true', 'on', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'off', 'no'];
+
+// Parsers take the raw string and return the value, or throw with what was expected
+
+function boolean(raw) {
+    const value = raw.toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    throw new Error('expected 1/0, true/false, on/off or yes/no');
+}
+
+function number(min, max, { integer = false } = {}) {
+    return (raw) => {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+            throw new Error(`expected ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+        }
+        if (value < min || value > max) {
+            throw new Error(`expected ${min} to ${max}`);
+        }
+        return value;
+    };
+}
+
+function oneOf(values, aliases = {}) {
+    return (raw) => {
+        const value = aliases[raw] ?? raw;
+        if (!values.includes(value)) {
+            throw new Error(`expected ${[...values, ...Object.keys(aliases)].join(', ')}`);
+        }
+        return value;
+    };
+}
+
+function nonEmpty(raw) {
+    if (!raw.trim()) throw new Error('expected a value');
+    return raw.trim();
+}
+
+// on / off, or the URL of a watermark image to use instead of the preset's
+function logo(raw) {
+    const value = raw.toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    if (/[/.]/.test(raw)) return raw;
+    throw new Error('expected on, off or an image URL');
+}
+
+// CATEGORY:level pairs, e.g. FACEMESH:debug,RENDER:off -> { FACEMESH: 'debug', RENDER: 'off' }
+function logCategories(raw) {
+    const categories = {};
+    for (const pair of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [category, level] = pair.split(':').map(part => part.trim());
+        if (!category || !LOG_LEVELS.includes(level)) {
+            throw new Error(`expected CATEGORY:level pairs (levels: ${LOG_LEVELS.join(', ')})`);
+        }
+        categories[category.toUpperCase()] = level;
+    }
+    return categories;
+}
+
+function formatLogCategories(categories) {
+    return Object.entries(categories).map(([category, level]) => `${category}:${level}`).join(',');
+}
+
+// off, or where on this origin to POST warnings and errors. The logs carry the user
+// agent, camera labels and settings, so they never leave the page's own origin; a
+// collector elsewhere is wired up in code (logger.addSink(httpSink(...))).
+function logEndpoint(raw) {
+    const value = raw.trim();
+    if (FALSE_VALUES.includes(value.toLowerCase())) return null;
+    const origin = typeof location !== 'undefined' ? location.origin : null;
+    let url;
+    try {
+        url = new URL(value, origin ?? undefined);
+    } catch {
+        throw new Error('expected off or a same-origin /path');
+    }
+    if (url.origin !== origin) {
+        throw new Error('expected off or a same-origin /path (other hosts: add an httpSink in code)');
+    }
+    return url.pathname + url.search;
+}
+
+// name: { default, parse, format?, fromUrl?, description } (format: a parsed value back to
+// the raw string, for values that aren't strings, numbers or booleans; fromUrl: false for
+// settings a crafted link mustn't be able to change) — the README's configuration table lists the same
+export const CONFIG_OPTIONS = {
+    source: {
+        default: 'camera',
+        // The other kinds need a file, image, canvas or stream only code can hand over
+        parse: oneOf(INPUTLESS_SOURCE_KINDS),
+        description: 'Where live frames come from: camera or test-pattern (runs without a camera)'
+    },
+    preset: {
+        default: 'classic',
+        parse: nonEmpty,
+        description: 'Look preset: bundled name or URL of a preset JSON file'
+    },
+    fps: {
+        default: 30,
+        parse: number(1, 60, { integer: true }),
+        description: 'Target frame rate for detection and rendering'
+    },
+    camera: {
+        default: null,
+        parse: oneOf(['user', 'environment'], { front: 'user', rear: 'environment', back: 'environment' }),
+        description: 'front / rear; unset keeps the camera remembered from the last visit'
+    },
+    logo: {
+        default: true,
+        parse: logo,
+        description: "Watermark: on (the preset's), off, or an image URL"
+    },
+    mode: {
+        default: 'face',
+        parse: oneOf(['face', 'whole-frame']),
+        description: 'face: face tracking with whole-frame fallback; whole-frame: no FaceMesh'
+    },
+    debug: {
+        default: false,
+        parse: boolean,
+        description: 'Echo logs to the console (they are always kept for getDebugLogs())'
+    },
+    logLevel: {
+        default: 'info',
+        parse: oneOf(LOG_LEVELS),
+        description: 'Lowest level logged: debug (per-frame detail), info, warn, error or off'
+    },
+    logCategories: {
+        default: {},
+        parse: logCategories,
+        format: formatLogCategories,
+        description: 'Per-category levels over logLevel, e.g. FACEMESH:debug,RENDER:off'
+    },
+    logEndpoint: {
+        default: null,
+        parse: logEndpoint,
+        fromUrl: false,
+        description: 'URL warnings and errors are POSTed to in batches, or off'
+    },
+    diagnostics: {
+        default: false,
+        parse: boolean,
+        description: 'Export a diagnostics bundle (share sheet or download) 15 s after starting'
+    },
+    maxFaces: {
+        default: 4,
+        parse: number(1, 8, { integer: true }),
+        description: 'Faces tracked at once'
+    },
+    detectionConfidence: {
+        default: 0.5,
+        parse: number(0, 1),
+        description: 'FaceMesh minDetectionConfidence'
+    },
+    trackingConfidence: {
+        default: 0.5,
+        parse: number(0, 1),
+        description: 'FaceMesh minTrackingConfidence'
+    },
+    refineLandmarks: {
+        default: true,
+        parse: boolean,
+        description: 'FaceMesh refineLandmarks (iris and lip detail)'
+    },
+    segmentation: {
+        default: 'landscape',
+        parse: oneOf(['general', 'landscape', 'off']),
+        description: 'Selfie segmentation model (general = 256x256, landscape = 144x256, faster) or off'
+    }
+};
+
+export function defaultConfig() {
+    return Object.fromEntries(Object.entries(CONFIG_OPTIONS).map(([name, option]) => [name, option.default]));
+}
+
+// { name: raw } -> { values, problems }; `origin` names the layer in problem messages
+function parseLayer(entries, origin) {
+    const values = {};
+    const problems = [];
+    for (const [name, raw] of entries) {
+        const option = CONFIG_OPTIONS[name];
+        if (!option) {
+            // Query strings carry other things (utm_*, ...); everywhere else it's a typo
+            if (origin !== 'url') problems.push(`${origin} ${name}: unknown setting`);
+            continue;
+        }
+        if (origin === 'url' && option.fromUrl === false) {
+            problems.push(`url ${name}: can only be set in stored settings or code (ignored)`);
+            continue;
+        }
+        try {
+            const text = typeof raw === 'object' && option.format ? option.format(raw) : String(raw);
+            values[name] = option.parse(text);
+        } catch (error) {
+            problems.push(`${origin} ${name}=${raw}: ${error.message} (ignored)`);
+        }
+    }
+    return { values, problems };
+}
+
+function defaultStorage() {
+    try {
+        return window.localStorage;
+    } catch {
+        return null;
+    }
+}
+
+// Settings stored on this device ({} when there are none or they can't be read)
+export function readStoredConfig(storage = defaultStorage()) {
+    try {
+        const stored = storage?.getItem(STORAGE_KEY);
+        const parsed = stored ? JSON.parse(stored) : {};
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+// Validates and stores `settings` (merged over what's stored; null removes a setting).
+// Returns the problems found; nothing is stored when there are any.
+export function storeConfig(settings, storage = defaultStorage()) {
+    const merged = { ...readStoredConfig(storage), ...settings };
+    for (const [name, value] of Object.entries(merged)) {
+        if (value === null) delete merged[name];
+    }
+    const { problems } = parseLayer(Object.entries(merged), 'stored');
+    if (problems.length) return problems;
+    try {
+        storage?.setItem(STORAGE_KEY, JSON.stringify(merged));
+    } catch (error) {
+        return [`could not store settings: ${error.message}`];
+    }
+    return [];
+}
+
+// Settings given in code (createUVFilter() options): the same parsers, so typed values
+// (24, false) and their string forms both work. null / undefined leave the default.
+export function parseConfig(options, origin = 'option') {
+    const entries = Object.entries(options).filter(([, value]) => value !== null && value !== undefined);
+    return parseLayer(entries, origin);
+}
+
+// search: location.search; stored: readStoredConfig(). Returns the effective config,
+// which layer each value came from ('default' | 'stored' | 'url') and every problem.
+export function resolveConfig({ search = '', stored = {} } = {}) {
+    const storedLayer = parseLayer(Object.entries(stored), 'stored');
+    const urlLayer = parseLayer(new URLSearchParams(search).entries(), 'url');
+
+    const config = defaultConfig();
+    const sources = Object.fromEntries(Object.keys(config).map(name => [name, 'default']));
+    for (const [origin, layer] of [['stored', storedLayer], ['url', urlLayer]]) {
+        for (const [name, value] of Object.entries(layer.values)) {
+            config[name] = value;
+            sources[name] = origin;
+        }
+    }
+    return { config, sources, problems: [...storedLayer.problems, ...urlLayer.problems] };
+}
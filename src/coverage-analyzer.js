@@ -0,0 +1,228 @@
+// Sunscreen coverage analysis
+// Splits the face into landmark-defined zones and estimates, per zone, how much of the
+// skin looks covered. Only pixels inside the skin region count (eyes, eyebrows and lips
+// are holes in it), so walls and shirts never register.
+//
+// Sunscreen shows up as skin that is brighter and less saturated than bare skin. Each
+// pixel gets a "whiteness" score, brightness * (1 - saturation). After calibrate() (on a
+// frame without sunscreen) a pixel counts as covered when its whiteness is clearly above
+// the zone's baseline; before calibration the old absolute heuristic is used
+// (brightness > 180 and saturation < 0.3).
+//
+// Analysis runs on a small unmirrored copy of the frame, so it is cheap and independent
+// of the render path.
+
+import { createCanvas } from './canvas.js';
+import { rasterizePolygons } from './masks.js';
+import { contourPoints, regionRings } from './face-topology.js';
+
+// FaceMesh landmark indices outlining each zone; left/right are the subject's
+export const COVERAGE_ZONES = {
+    forehead: [10, 338, 297, 332, 284, 300, 293, 334, 296, 336, 9, 107, 66, 105, 63, 70, 54, 103, 67, 109],
+    nose: [168, 417, 465, 412, 399, 437, 355, 371, 358, 327, 326, 2, 97, 98, 129, 142, 126, 217, 174, 188, 245, 193],
+    leftCheek: [454, 447, 345, 346, 347, 348, 329, 371, 423, 426, 436, 432, 434, 416, 433, 376, 366],
+    rightCheek: [234, 227, 116, 117, 118, 119, 100, 142, 203, 206, 216, 212, 214, 192, 213, 147, 137],
+    chin: [43, 106, 182, 83, 18, 313, 406, 335, 273, 422, 430, 394, 379, 378, 400, 377, 152, 148, 176, 149, 150, 169, 210, 202],
+    upperLip: [92, 165, 167, 164, 393, 391, 322, 410, 287, 409, 270, 269, 267, 0, 37, 39, 40, 185, 57, 186]
+};
+
+export const ZONE_NAMES = Object.keys(COVERAGE_ZONES);
+
+// Uncalibrated heuristic, shared with the whole-frame sunscreen rendering: bright,
+// unsaturated pixels count as sunscreen. Presets can change it (sunscreen section).
+export const SUNSCREEN_DETECTION = { minBrightness: 180, maxSaturation: 0.3 };
+
+function pixelStats(r, g, b) {
+    const brightness = (r + g + b) / 3;
+    const maxChannel = Math.max(r, g, b);
+    const minChannel = Math.min(r, g, b);
+    const saturation = maxChannel > 0 ? (maxChannel - minChannel) / maxChannel : 0;
+    return { brightness, saturation, whiteness: (brightness / 255) * (1 - saturation) };
+}
+
+// Zone outline in pixel space (same mapping as the region masks)
+export function zonePoints(landmarks, zone, width, height) {
+    const indices = COVERAGE_ZONES[zone];
+    if (!indices) {
+        throw new Error(`Unknown coverage zone "${zone}"`);
+    }
+    return contourPoints(landmarks, indices, width, height);
+}
+
+export class CoverageAnalyzer {
+    constructor(options = {}) {
+        // Analysis resolution (width in px); height follows the source aspect
+        this.analysisWidth = options.analysisWidth ?? 192;
+        // Covered = whiteness above baseline mean + max(sensitivity * std, minDelta)
+        this.sensitivity = options.sensitivity ?? 2;
+        this.minDelta = options.minDelta ?? 0.05;
+        // Zones with fewer skin pixels than this report null (too small / occluded)
+        this.minZonePixels = options.minZonePixels ?? 12;
+        this.sunscreen = options.sunscreen ?? SUNSCREEN_DETECTION;
+        this.baselines = new Map();
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    // Unmirrored copy of the source at analysis resolution
+    sample(source, aspect) {
+        const width = this.analysisWidth;
+        const height = Math.max(1, Math.round(width / aspect));
+        if (!this.canvas) {
+            this.canvas = createCanvas(width, height);
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        } else if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.drawImage(source, 0, 0, width, height);
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+
+    // Whiteness of every skin pixel in each zone: { zone: Float32Array }
+    zoneSamples(imageData, landmarks) {
+        const { width, height, data } = imageData;
+        const skin = rasterizePolygons(regionRings(landmarks, 'skin', width, height), width, height);
+        const samples = {};
+
+        ZONE_NAMES.forEach(zone => {
+            const points = zonePoints(landmarks, zone, width, height);
+            const values = [];
+            if (points.length >= 3) {
+                const inside = rasterizePolygons([points], width, height);
+                for (let i = 0; i < inside.length; i++) {
+                    if (!inside[i] || !skin[i]) continue;
+                    const p = i * 4;
+                    values.push(pixelStats(data[p], data[p + 1], data[p + 2]));
+                }
+            }
+            samples[zone] = values;
+        });
+        return samples;
+    }
+
+    // Record bare-skin baselines for these faces (no sunscreen applied yet)
+    calibrate(source, faces, aspect) {
+        const imageData = this.sample(source, aspect);
+        faces.forEach(face => {
+            const samples = this.zoneSamples(imageData, face.landmarks);
+            const baseline = {};
+            ZONE_NAMES.forEach(zone => {
+                const values = samples[zone];
+                if (values.length < this.minZonePixels) return;
+                let sum = 0;
+                let sumSquares = 0;
+                values.forEach(({ whiteness }) => {
+                    sum += whiteness;
+                    sumSquares += whiteness * whiteness;
+                });
+                const mean = sum / values.length;
+                const std = Math.sqrt(Math.max(0, sumSquares / values.length - mean * mean));
+                baseline[zone] = { mean, std };
+            });
+            this.baselines.set(face.id, baseline);
+        });
+        return faces.map(face => face.id);
+    }
+
+    isCovered(stats, baseline) {
+        if (!baseline) {
+            return stats.brightness > this.sunscreen.minBrightness &&
+                stats.saturation < this.sunscreen.maxSaturation;
+        }
+        return stats.whiteness > baseline.mean + Math.max(this.sensitivity * baseline.std, this.minDelta);
+    }
+
+    // Returns { timestamp, faces: [{ id, calibrated, overall, zones: { zone: { coverage, pixels } } }] }
+    // coverage is a percentage (0-100), or null when the zone has too few skin pixels
+    analyze(source, faces, aspect, timestamp = 0) {
+        const imageData = this.sample(source, aspect);
+        const results = faces.map(face => {
+            const samples = this.zoneSamples(imageData, face.landmarks);
+            const baseline = this.baselines.get(face.id) || null;
+            const zones = {};
+            let coveredTotal = 0;
+            let pixelTotal = 0;
+
+            ZONE_NAMES.forEach(zone => {
+                const values = samples[zone];
+                if (values.length < this.minZonePixels) {
+                    zones[zone] = { coverage: null, pixels: values.length };
+                    return;
+                }
+                const zoneBaseline = baseline ? baseline[zone] : null;
+                let covered = 0;
+                values.forEach(stats => {
+                    if (this.isCovered(stats, zoneBaseline)) covered++;
+                });
+                zones[zone] = { coverage: (covered / values.length) * 100, pixels: values.length };
+                coveredTotal += covered;
+                pixelTotal += values.length;
+            });
+
+            return {
+                id: face.id,
+                calibrated: !!baseline,
+                overall: pixelTotal > 0 ? (coveredTotal / pixelTotal) * 100 : null,
+                zones
+            };
+        });
+        return { timestamp, faces: results };
+    }
+
+    // Drop baselines of faces no longer tracked
+    prune(activeIds) {
+        for (const id of this.baselines.keys()) {
+            if (!activeIds.includes(id)) this.baselines.delete(id);
+        }
+    }
+
+    reset() {
+        this.baselines.clear();
+    }
+}
+
+function coverageColor(coverage) {
+    if (coverage >= 80) return [60, 200, 90];
+    if (coverage >= 50) return [240, 200, 40];
+    return [235, 60, 60];
+}
+
+// Tints each zone by its coverage (red < 50% <= yellow < 80% <= green) and labels it.
+// faces/results are matched by face id; zones use the same pixel mapping as the masks.
+export function drawCoverageOverlay(ctx, faces, results, width, height) {
+    if (!results) return;
+    const byId = new Map(results.faces.map(result => [result.id, result]));
+
+    ctx.save();
+    ctx.font = `bold ${Math.max(10, Math.round(width / 60))}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    faces.forEach(face => {
+        const result = byId.get(face.id);
+        if (!result) return;
+        const alpha = face.confidence ?? 1;
+
+        ZONE_NAMES.forEach(zone => {
+            const { coverage } = result.zones[zone] || {};
+            if (coverage === null || coverage === undefined) return;
+            const points = zonePoints(face.landmarks, zone, width, height);
+            if (points.length < 3) return;
+
+            const [r, g, b] = coverageColor(coverage);
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${0.3 * alpha})`;
+            ctx.fill();
+
+            const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
+            ctx.fillText(`${Math.round(coverage)}%`, cx, cy);
+        });
+    });
+
+    ctx.restore();
+}
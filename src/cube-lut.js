@@ -0,0 +1,212 @@
+// .cube LUTs
+// Parses Adobe / DaVinci Resolve .cube files (1D and 3D) and samples them. Pure
+// functions over plain objects, so the same LUT runs in the Canvas 2D pipeline, is
+// uploaded by the WebGL renderer and survives postMessage to the render worker.
+//
+// A parsed LUT:
+//   { title, dimensions: 1 | 3, size, domainMin: [r, g, b], domainMax: [r, g, b],
+//     table: Float32Array }
+// 3D tables hold size^3 rgb triples with red changing fastest, then green, then blue
+// (the .cube order); 1D tables hold size triples, one curve per channel.
+
+export const LUT_INTERPOLATIONS = ['trilinear', 'tetrahedral'];
+
+// Limits from the Resolve spec
+const MAX_1D_SIZE = 65536;
+const MAX_3D_SIZE = 256;
+
+export class CubeLUTError extends Error {
+    constructor(message, line = null) {
+        super(line === null ? message : `line ${line}: ${message}`);
+        this.name = 'CubeLUTError';
+        this.line = line;
+    }
+}
+
+function parseNumbers(parts, count, keyword, line) {
+    const values = parts.map(Number);
+    if (values.length !== count || values.some(value => !Number.isFinite(value))) {
+        throw new CubeLUTError(`${keyword} expects ${count} numbers`, line);
+    }
+    return values;
+}
+
+export function parseCube(text) {
+    let title = '';
+    let dimensions = 0;
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    let table = null;
+    let count = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (let index = 0; index < lines.length; index++) {
+        const lineNumber = index + 1;
+        const line = lines[index].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const [keyword, ...parts] = line.split(/\s+/);
+        if (/^[-+.\d]/.test(keyword)) {
+            if (!table) {
+                throw new CubeLUTError('table data before LUT_1D_SIZE / LUT_3D_SIZE', lineNumber);
+            }
+            const rgb = parseNumbers([keyword, ...parts], 3, 'a table row', lineNumber);
+            if (count * 3 >= table.length) {
+                throw new CubeLUTError(`more than the ${table.length / 3} rows LUT_${dimensions}D_SIZE ${size} declares`, lineNumber);
+            }
+            table.set(rgb, count * 3);
+            count++;
+            continue;
+        }
+
+        switch (keyword) {
+            case 'TITLE':
+                title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+                break;
+            case 'LUT_1D_SIZE':
+            case 'LUT_3D_SIZE': {
+                if (table) {
+                    throw new CubeLUTError('more than one LUT size', lineNumber);
+                }
+                dimensions = keyword === 'LUT_1D_SIZE' ? 1 : 3;
+                const max = dimensions === 1 ? MAX_1D_SIZE : MAX_3D_SIZE;
+                [size] = parseNumbers(parts, 1, keyword, lineNumber);
+                if (!Number.isInteger(size) || size < 2 || size > max) {
+                    throw new CubeLUTError(`${keyword} must be a whole number from 2 to ${max}`, lineNumber);
+                }
+                table = new Float32Array((dimensions === 1 ? size : size * size * size) * 3);
+                break;
+            }
+            case 'DOMAIN_MIN':
+                domainMin = parseNumbers(parts, 3, keyword, lineNumber);
+                break;
+            case 'DOMAIN_MAX':
+                domainMax = parseNumbers(parts, 3, keyword, lineNumber);
+                break;
+            // Resolve's older single-range form
+            case 'LUT_1D_INPUT_RANGE':
+            case 'LUT_3D_INPUT_RANGE': {
+                const [min, max] = parseNumbers(parts, 2, keyword, lineNumber);
+                domainMin = [min, min, min];
+                domainMax = [max, max, max];
+                break;
+            }
+            default:
+                throw new CubeLUTError(`unknown keyword "${keyword}"`, lineNumber);
+        }
+    }
+
+    if (!table) {
+        throw new CubeLUTError('no LUT_1D_SIZE or LUT_3D_SIZE');
+    }
+    if (count * 3 !== table.length) {
+        throw new CubeLUTError(`expected ${table.length / 3} table rows, found ${count}`);
+    }
+    if (domainMin.some((min, channel) => min >= domainMax[channel])) {
+        throw new CubeLUTError('DOMAIN_MIN must be below DOMAIN_MAX');
+    }
+    return { title, dimensions, size, domainMin, domainMax, table };
+}
+
+// Parsed LUTs as they come out of parseCube (also after a structured clone)
+export function isCubeLUT(value) {
+    return !!value && typeof value === 'object' &&
+        (value.dimensions === 1 || value.dimensions === 3) &&
+        Number.isInteger(value.size) && value.table instanceof Float32Array;
+}
+
+export async function loadCube(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new CubeLUTError(`Could not load LUT ${url} (HTTP ${response.status})`);
+    }
+    try {
+        return parseCube(await response.text());
+    } catch (error) {
+        throw new CubeLUTError(`${url}: ${error.message}`);
+    }
+}
+
+// Input value -> position in the table (0 .. size - 1), clamped to the domain
+function tablePosition(value, min, max, size) {
+    const t = Math.min(1, Math.max(0, (value - min) / (max - min)));
+    return t * (size - 1);
+}
+
+// Lower lattice index and fraction for a table position
+function cell(position, size) {
+    const index = Math.min(Math.floor(position), size - 2);
+    return [index, position - index];
+}
+
+function sample1D(lut, input) {
+    const { size, table, domainMin, domainMax } = lut;
+    return input.map((value, channel) => {
+        const [index, fraction] = cell(tablePosition(value, domainMin[channel], domainMax[channel], size), size);
+        const a = table[index * 3 + channel];
+        const b = table[(index + 1) * 3 + channel];
+        return a + (b - a) * fraction;
+    });
+}
+
+function sample3D(lut, input, interpolation) {
+    const { size, table, domainMin, domainMax } = lut;
+    const [ri, fr] = cell(tablePosition(input[0], domainMin[0], domainMax[0], size), size);
+    const [gi, fg] = cell(tablePosition(input[1], domainMin[1], domainMax[1], size), size);
+    const [bi, fb] = cell(tablePosition(input[2], domainMin[2], domainMax[2], size), size);
+
+    const base = ri + gi * size + bi * size * size;
+    // Lattice corner (dr, dg, db) of the cell, channel c
+    const corner = (dr, dg, db, c) => table[(base + dr + dg * size + db * size * size) * 3 + c];
+
+    const out = [0, 0, 0];
+    for (let c = 0; c < 3; c++) {
+        const c000 = corner(0, 0, 0, c);
+        const c111 = corner(1, 1, 1, c);
+        if (interpolation === 'tetrahedral') {
+            // The cube splits into six tetrahedra along its main diagonal; weights
+            // come from the ordering of the three fractions
+            if (fr > fg) {
+                if (fg > fb) {
+                    out[c] = (1 - fr) * c000 + (fr - fg) * corner(1, 0, 0, c) + (fg - fb) * corner(1, 1, 0, c) + fb * c111;
+                } else if (fr > fb) {
+                    out[c] = (1 - fr) * c000 + (fr - fb) * corner(1, 0, 0, c) + (fb - fg) * corner(1, 0, 1, c) + fg * c111;
+                } else {
+                    out[c] = (1 - fb) * c000 + (fb - fr) * corner(0, 0, 1, c) + (fr - fg) * corner(1, 0, 1, c) + fg * c111;
+                }
+            } else if (fb > fg) {
+                out[c] = (1 - fb) * c000 + (fb - fg) * corner(0, 0, 1, c) + (fg - fr) * corner(0, 1, 1, c) + fr * c111;
+            } else if (fb > fr) {
+                out[c] = (1 - fg) * c000 + (fg - fb) * corner(0, 1, 0, c) + (fb - fr) * corner(0, 1, 1, c) + fr * c111;
+            } else {
+                out[c] = (1 - fg) * c000 + (fg - fr) * corner(0, 1, 0, c) + (fr - fb) * corner(1, 1, 0, c) + fb * c111;
+            }
+        } else {
+            const c00 = c000 + (corner(1, 0, 0, c) - c000) * fr;
+            const c10 = corner(0, 1, 0, c) + (corner(1, 1, 0, c) - corner(0, 1, 0, c)) * fr;
+            const c01 = corner(0, 0, 1, c) + (corner(1, 0, 1, c) - corner(0, 0, 1, c)) * fr;
+            const c11 = corner(0, 1, 1, c) + (c111 - corner(0, 1, 1, c)) * fr;
+            const c0 = c00 + (c10 - c00) * fg;
+            const c1 = c01 + (c11 - c01) * fg;
+            out[c] = c0 + (c1 - c0) * fb;
+        }
+    }
+    return out;
+}
+
+// input: [r, g, b] in the LUT's domain (0..1 for most files) -> [r, g, b].
+// 1D LUTs interpolate each channel linearly; `interpolation` only matters for 3D.
+export function sampleLUT(lut, input, interpolation = 'trilinear') {
+    return lut.dimensions === 1 ? sample1D(lut, input) : sample3D(lut, input, interpolation);
+}
+
+// 8-bit colour through the LUT (0..255 in and out; out unrounded, clamped)
+export function applyCubeLUT(lut, r, g, b, interpolation = 'trilinear') {
+    const [outR, outG, outB] = sampleLUT(lut, [r / 255, g / 255, b / 255], interpolation);
+    return {
+        r: Math.min(255, Math.max(0, outR * 255)),
+        g: Math.min(255, Math.max(0, outG * 255)),
+        b: Math.min(255, Math.max(0, outB * 255))
+    };
+}
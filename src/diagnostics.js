@@ -0,0 +1,171 @@
+// Diagnostics bundle
+// Everything field support needs when someone at an event says "it's just black", in one
+// JSON file the visitor can share or download: the log ring buffer, video element and
+// stream snapshots (track settings + capabilities), detector status per model asset,
+// platform support, frame-timing histograms and the active config.
+//
+// The filter collects it (UVFaceFilter.diagnostics()) and exports it
+// (exportDiagnostics()); this module holds the pieces that don't need the filter.
+// Triggers: ?diagnostics=1 exports once the filter has been running for a while, and
+// holding three fingers on the canvas (D on a keyboard) exports on demand.
+
+export const DIAGNOSTICS_VERSION = 1;
+
+// Upper bucket bounds in ms: around the 60 / 30 / 15 fps budgets, then long stalls
+const TIMING_BOUNDS = [4, 8, 12, 16.7, 25, 33.3, 50, 66.7, 100, 250, 1000];
+
+// Counts per bucket plus min / max / mean; fixed memory however long the session runs
+export class TimingHistogram {
+    constructor(bounds = TIMING_BOUNDS) {
+        this.bounds = bounds;
+        this.reset();
+    }
+
+    reset() {
+        this.counts = new Array(this.bounds.length + 1).fill(0); // Last: above every bound
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    record(ms) {
+        if (!Number.isFinite(ms) || ms < 0) return;
+        let index = this.bounds.findIndex(bound => ms <= bound);
+        if (index === -1) index = this.bounds.length;
+        this.counts[index]++;
+        this.count++;
+        this.sum += ms;
+        this.min = Math.min(this.min, ms);
+        this.max = Math.max(this.max, ms);
+    }
+
+    // Upper bound of the bucket holding the q-th quantile (null above the last bound)
+    quantile(q) {
+        if (this.count === 0) return null;
+        const rank = q * this.count;
+        let seen = 0;
+        for (let index = 0; index < this.counts.length; index++) {
+            seen += this.counts[index];
+            if (seen >= rank) return this.bounds[index] ?? null;
+        }
+        return null;
+    }
+
+    toJSON() {
+        const round = (ms) => Math.round(ms * 10) / 10;
+        return {
+            count: this.count,
+            minMs: this.count ? round(this.min) : null,
+            maxMs: this.count ? round(this.max) : null,
+            meanMs: this.count ? round(this.sum / this.count) : null,
+            p50Ms: this.quantile(0.5),
+            p95Ms: this.quantile(0.95),
+            buckets: this.counts.map((count, index) => ({
+                upToMs: this.bounds[index] ?? null, // null: longer than the last bound
+                count
+            }))
+        };
+    }
+}
+
+function canCreateContext(type) {
+    try {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        const context = canvas.getContext(type);
+        context?.getExtension?.('WEBGL_lose_context')?.loseContext();
+        return !!context;
+    } catch {
+        return false;
+    }
+}
+
+// What this browser offers of the APIs the filter picks between
+export function platformSupport() {
+    const has = (name) => typeof globalThis[name] !== 'undefined';
+    return {
+        userAgent: navigator.userAgent ?? null,
+        platform: navigator.userAgentData?.platform ?? navigator.platform ?? null,
+        hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+        deviceMemory: navigator.deviceMemory ?? null,
+        devicePixelRatio: globalThis.devicePixelRatio ?? null,
+        screen: globalThis.screen ? { width: screen.width, height: screen.height } : null,
+        secureContext: globalThis.isSecureContext ?? null,
+        webgl: canCreateContext('webgl'),
+        webgl2: canCreateContext('webgl2'),
+        offscreenCanvas: has('OffscreenCanvas'),
+        transferControlToOffscreen: has('HTMLCanvasElement') &&
+            'transferControlToOffscreen' in HTMLCanvasElement.prototype,
+        worker: has('Worker'),
+        webCodecs: {
+            VideoFrame: has('VideoFrame'),
+            VideoDecoder: has('VideoDecoder'),
+            VideoEncoder: has('VideoEncoder'),
+            AudioEncoder: has('AudioEncoder')
+        },
+        mediaRecorder: has('MediaRecorder'),
+        requestVideoFrameCallback: has('HTMLVideoElement') &&
+            'requestVideoFrameCallback' in HTMLVideoElement.prototype,
+        getUserMedia: !!navigator.mediaDevices?.getUserMedia,
+        webShareFiles: typeof navigator.canShare === 'function',
+        mediaPipe: {
+            FaceMesh: has('FaceMesh'),
+            SelfieSegmentation: has('SelfieSegmentation')
+        }
+    };
+}
+
+// How the browser fetched `url` (size, time, HTTP status) if it has a resource timing
+// entry for it: a model that never arrived shows up as missing here
+export function resourceTiming(url) {
+    const entry = globalThis.performance?.getEntriesByName?.(url)?.at(-1);
+    if (!entry) return null;
+    return {
+        durationMs: Math.round(entry.duration),
+        transferSize: entry.transferSize ?? null,
+        decodedBodySize: entry.decodedBodySize ?? null,
+        responseStatus: entry.responseStatus ?? null
+    };
+}
+
+export function diagnosticsFilename(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `uv-diagnostics-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.json`;
+}
+
+// Holding `fingers` touches on `target` for `holdMs` calls onTrigger; fewer fingers or
+// an early release does nothing. Returns a function that removes the listeners.
+export function watchDiagnosticsGesture(target, onTrigger, { fingers = 3, holdMs = 2000 } = {}) {
+    const pointers = new Set();
+    let timer = null;
+    const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+    const onDown = (event) => {
+        if (event.pointerType !== 'touch') return;
+        pointers.add(event.pointerId);
+        if (pointers.size === fingers && !timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                onTrigger();
+            }, holdMs);
+        }
+    };
+    const onUp = (event) => {
+        pointers.delete(event.pointerId);
+        if (pointers.size < fingers) cancel();
+    };
+    target.addEventListener('pointerdown', onDown);
+    target.addEventListener('pointerup', onUp);
+    target.addEventListener('pointercancel', onUp);
+    return () => {
+        cancel();
+        target.removeEventListener('pointerdown', onDown);
+        target.removeEventListener('pointerup', onUp);
+        target.removeEventListener('pointercancel', onUp);
+    };
+}
@@ -0,0 +1,179 @@
+// Face topology
+// Ordered, closed region contours built from MediaPipe Face Mesh's connection lists
+// (FACEMESH_FACE_OVAL, FACEMESH_LIPS, FACEMESH_*_EYE, FACEMESH_*_EYEBROW).
+// "Left"/"right" follow MediaPipe: the subject's left, i.e. the right side of an
+// unmirrored image.
+
+export const FACE_OVAL_EDGES = [
+    [10, 338], [338, 297], [297, 332], [332, 284], [284, 251], [251, 389],
+    [389, 356], [356, 454], [454, 323], [323, 361], [361, 288], [288, 397],
+    [397, 365], [365, 379], [379, 378], [378, 400], [400, 377], [377, 152],
+    [152, 148], [148, 176], [176, 149], [149, 150], [150, 136], [136, 172],
+    [172, 58], [58, 132], [132, 93], [93, 234], [234, 127], [127, 162],
+    [162, 21], [21, 54], [54, 103], [103, 67], [67, 109], [109, 10]
+];
+
+// FACEMESH_LIPS split into its two loops
+export const LIPS_OUTER_EDGES = [
+    [61, 146], [146, 91], [91, 181], [181, 84], [84, 17], [17, 314],
+    [314, 405], [405, 321], [321, 375], [375, 291], [61, 185], [185, 40],
+    [40, 39], [39, 37], [37, 0], [0, 267], [267, 269], [269, 270],
+    [270, 409], [409, 291]
+];
+
+export const LIPS_INNER_EDGES = [
+    [78, 95], [95, 88], [88, 178], [178, 87], [87, 14], [14, 317],
+    [317, 402], [402, 318], [318, 324], [324, 308], [78, 191], [191, 80],
+    [80, 81], [81, 82], [82, 13], [13, 312], [312, 311], [311, 310],
+    [310, 415], [415, 308]
+];
+
+export const LEFT_EYE_EDGES = [
+    [263, 249], [249, 390], [390, 373], [373, 374], [374, 380], [380, 381],
+    [381, 382], [382, 362], [263, 466], [466, 388], [388, 387], [387, 386],
+    [386, 385], [385, 384], [384, 398], [398, 362]
+];
+
+export const RIGHT_EYE_EDGES = [
+    [33, 7], [7, 163], [163, 144], [144, 145], [145, 153], [153, 154],
+    [154, 155], [155, 133], [33, 246], [246, 161], [161, 160], [160, 159],
+    [159, 158], [158, 157], [157, 173], [173, 133]
+];
+
+// Eyebrows are two open chains each (lower and upper edge, outer -> inner)
+export const LEFT_EYEBROW_EDGES = [
+    [276, 283], [283, 282], [282, 295], [295, 285],
+    [300, 293], [293, 334], [334, 296], [296, 336]
+];
+
+export const RIGHT_EYEBROW_EDGES = [
+    [46, 53], [53, 52], [52, 65], [65, 55],
+    [70, 63], [63, 105], [105, 66], [66, 107]
+];
+
+// Split an edge list into ordered index paths. Closed loops are returned without
+// repeating the start index; open chains run from their lower-numbered end.
+export function chainEdges(edges) {
+    const adjacency = new Map();
+    const link = (a, b) => {
+        if (!adjacency.has(a)) adjacency.set(a, []);
+        adjacency.get(a).push(b);
+    };
+    edges.forEach(([a, b]) => {
+        link(a, b);
+        link(b, a);
+    });
+
+    for (const [index, neighbours] of adjacency) {
+        if (neighbours.length > 2) {
+            throw new Error(`Landmark ${index} has ${neighbours.length} edges, expected a simple path`);
+        }
+    }
+
+    const visited = new Set();
+    const walk = (start) => {
+        const path = [start];
+        visited.add(start);
+        let previous = null;
+        let current = start;
+        for (;;) {
+            const next = adjacency.get(current).find(n => n !== previous && !visited.has(n));
+            if (next === undefined) break;
+            path.push(next);
+            visited.add(next);
+            previous = current;
+            current = next;
+        }
+        return path;
+    };
+
+    const paths = [];
+    // Open chains first, from their endpoints
+    const endpoints = [...adjacency.keys()]
+        .filter(index => adjacency.get(index).length === 1)
+        .sort((a, b) => a - b);
+    endpoints.forEach(index => {
+        if (!visited.has(index)) paths.push({ indices: walk(index), closed: false });
+    });
+    // Whatever is left belongs to loops
+    for (const [a] of edges) {
+        if (!visited.has(a)) paths.push({ indices: walk(a), closed: true });
+    }
+    return paths;
+}
+
+// Single closed contour from an edge list. Two open chains (eyebrows) are joined
+// into one loop: first chain forwards, second chain backwards.
+export function contourFromEdges(edges) {
+    const paths = chainEdges(edges);
+    if (paths.length === 1 && paths[0].closed) {
+        return paths[0].indices;
+    }
+    if (paths.length === 2 && !paths[0].closed && !paths[1].closed) {
+        return [...paths[0].indices, ...paths[1].indices.slice().reverse()];
+    }
+    throw new Error(`Edges form ${paths.length} paths, cannot build a single contour`);
+}
+
+export const CONTOURS = {
+    faceOval: contourFromEdges(FACE_OVAL_EDGES),
+    lipsOuter: contourFromEdges(LIPS_OUTER_EDGES),
+    lipsInner: contourFromEdges(LIPS_INNER_EDGES),
+    leftEye: contourFromEdges(LEFT_EYE_EDGES),
+    rightEye: contourFromEdges(RIGHT_EYE_EDGES),
+    leftEyebrow: contourFromEdges(LEFT_EYEBROW_EDGES),
+    rightEyebrow: contourFromEdges(RIGHT_EYEBROW_EDGES)
+};
+
+// Region -> list of polygons, each an outer contour with optional holes
+export const FACE_REGIONS = {
+    skin: [{
+        outer: CONTOURS.faceOval,
+        holes: [
+            CONTOURS.leftEye,
+            CONTOURS.rightEye,
+            CONTOURS.leftEyebrow,
+            CONTOURS.rightEyebrow,
+            CONTOURS.lipsOuter
+        ]
+    }],
+    eye: [
+        { outer: CONTOURS.leftEye, holes: [] },
+        { outer: CONTOURS.rightEye, holes: [] }
+    ],
+    lip: [
+        // The mouth opening is not lip
+        { outer: CONTOURS.lipsOuter, holes: [CONTOURS.lipsInner] }
+    ],
+    eyebrow: [
+        { outer: CONTOURS.leftEyebrow, holes: [] },
+        { outer: CONTOURS.rightEyebrow, holes: [] }
+    ]
+};
+
+export function contourPoints(landmarks, indices, width, height) {
+    const points = [];
+    for (const idx of indices) {
+        const landmark = landmarks[idx];
+        if (!landmark) return [];
+        points.push({ x: landmark.x * width, y: landmark.y * height });
+    }
+    return points;
+}
+
+// All rings (outer contours and holes) of a region in pixel space, ready for an
+// even-odd fill
+export function regionRings(landmarks, region, width, height) {
+    const polygons = FACE_REGIONS[region];
+    if (!polygons) {
+        throw new Error(`Unknown face region "${region}"`);
+    }
+    const rings = [];
+    polygons.forEach(({ outer, holes }) => {
+        [outer, ...holes].forEach(indices => {
+            const points = contourPoints(landmarks, indices, width, height);
+            if (points.length >= 3) rings.push(points);
+        });
+    });
+    return rings;
+}
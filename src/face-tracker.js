@@ -0,0 +1,109 @@
+// Face tracking IDs
+// FaceMesh returns faces in no particular order. The tracker matches each detection to
+// a face from previous frames by centroid distance (relative to face size) and keeps its
+// ID, so per-face state survives across frames. A face that disappears keeps its track
+// for a few detection frames, so a single missed detection doesn't hand out a new ID.
+
+function faceGeometry(landmarks) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let sumX = 0, sumY = 0;
+    for (const { x, y } of landmarks) {
+        sumX += x;
+        sumY += y;
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+    }
+    return {
+        center: { x: sumX / landmarks.length, y: sumY / landmarks.length },
+        box: { minX, minY, maxX, maxY },
+        size: Math.hypot(maxX - minX, maxY - minY)
+    };
+}
+
+export class FaceTracker {
+    constructor(options = {}) {
+        // Max centroid movement between detections, as a fraction of face size
+        this.maxMatchDistance = options.maxMatchDistance ?? 0.6;
+        // Detection frames a lost face keeps its ID
+        this.maxMissedFrames = options.maxMissedFrames ?? 10;
+        this.nextId = 1;
+        this.tracks = new Map();
+    }
+
+    // multiFaceLandmarks: FaceMesh results.multiFaceLandmarks (may be empty/undefined)
+    // Returns the faces in this frame: [{ id, landmarks, center, box, size, state }]
+    update(multiFaceLandmarks = []) {
+        const detections = (multiFaceLandmarks || [])
+            .filter(landmarks => landmarks && landmarks.length > 0)
+            .map(landmarks => ({ landmarks, ...faceGeometry(landmarks) }));
+
+        // Greedy matching, closest pairs first
+        const pairs = [];
+        detections.forEach((detection, detectionIndex) => {
+            for (const track of this.tracks.values()) {
+                const distance = Math.hypot(
+                    detection.center.x - track.center.x,
+                    detection.center.y - track.center.y
+                );
+                const scale = Math.max(detection.size, track.size, 1e-6);
+                if (distance / scale <= this.maxMatchDistance) {
+                    pairs.push({ detectionIndex, track, distance });
+                }
+            }
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const assigned = new Array(detections.length).fill(null);
+        const matchedTracks = new Set();
+        for (const { detectionIndex, track } of pairs) {
+            if (assigned[detectionIndex] || matchedTracks.has(track.id)) continue;
+            assigned[detectionIndex] = track;
+            matchedTracks.add(track.id);
+        }
+
+        const faces = detections.map((detection, index) => {
+            let track = assigned[index];
+            if (!track) {
+                track = { id: this.nextId++, state: {} };
+                this.tracks.set(track.id, track);
+                matchedTracks.add(track.id);
+            }
+            track.landmarks = detection.landmarks;
+            track.center = detection.center;
+            track.box = detection.box;
+            track.size = detection.size;
+            track.missedFrames = 0;
+            return track;
+        });
+
+        for (const track of [...this.tracks.values()]) {
+            if (matchedTracks.has(track.id)) continue;
+            track.missedFrames++;
+            if (track.missedFrames > this.maxMissedFrames) {
+                this.tracks.delete(track.id);
+            }
+        }
+
+        return faces.map(({ id, landmarks, center, box, size, state }) => ({ id, landmarks, center, box, size, state }));
+    }
+
+    // Faces in the last detection frame; tracks kept through missed frames don't count
+    visibleCount() {
+        let count = 0;
+        for (const track of this.tracks.values()) {
+            if (track.missedFrames === 0) count++;
+        }
+        return count;
+    }
+
+    // Persistent per-face object other features can hang data on
+    getState(id) {
+        return this.tracks.get(id)?.state || null;
+    }
+
+    reset() {
+        this.tracks.clear();
+    }
+}
@@ -0,0 +1,111 @@
+// Filter events
+// What a UVFaceFilter tells the page it's embedded in (filter.on / off / once). Every
+// event has a fixed name and payload shape; fields are only ever added, never renamed
+// or removed. Times are performance.now() milliseconds.
+//
+//   camera-started     The frame source is running (any kind; the camera fields are
+//                      null for other kinds)
+//                      { kind, width, height, deviceId, facingMode, label }
+//   camera-error       The frame source could not start or has no frames
+//                      { kind, type: 'permission-denied' | 'not-found' | 'overconstrained' |
+//                        'not-readable' | 'unsupported' | 'no-frames' | 'other',
+//                        name, message }
+//   detector-ready     A MediaPipe graph returned its first results
+//                      { detector: 'face-mesh' | 'selfie-segmentation', loadMs }
+//   face-detected      A new face is being tracked
+//                      { id, faces }  (faces: number tracked now)
+//   face-lost          A tracked face has been gone long enough to lose its ID, or the
+//                      source changed
+//                      { id, faces }
+//   fallback-activated Face tracking gave up; raw video from here on
+//                      { reason }
+//   preset-changed     A look was applied
+//                      { name }
+//   capture-complete   A photo, still, recording or exported video was shared / saved
+//                      { kind: 'photo' | 'still' | 'recording' | 'video-export', blob,
+//                        bytes, delivered: 'shared' | 'downloaded' | 'cancelled' }
+//   canvas-replaced    The render worker failed and the canvas it had was swapped for a
+//                      copy in the same place in the DOM (filter.canvas is the new one)
+//                      { canvas, previous, reason }
+//   stats              Once a second while started
+//                      { fps, renderMs, detectMs, quality, state, faces }
+//                      (renderMs / detectMs: smoothed cost, null before the first sample)
+
+import { silentLog } from './logger.js';
+
+export const FILTER_EVENTS = [
+    'camera-started',
+    'camera-error',
+    'detector-ready',
+    'face-detected',
+    'face-lost',
+    'fallback-activated',
+    'preset-changed',
+    'capture-complete',
+    'canvas-replaced',
+    'stats'
+];
+
+export class EventEmitter {
+    // types: the event names that exist; anything else is a typo and throws
+    constructor(types, { log = silentLog } = {}) {
+        this.types = new Set(types);
+        this.log = log;
+        this.listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    check(type) {
+        if (!this.types.has(type)) {
+            throw new Error(`Unknown event "${type}" (expected ${[...this.types].join(', ')})`);
+        }
+    }
+
+    // Returns a function that removes the listener
+    on(type, listener) {
+        this.check(type);
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    // Also takes the listener given to once(), which is registered through a wrapper
+    off(type, listener) {
+        this.check(type);
+        const listeners = this.listeners.get(type);
+        if (listeners.delete(listener)) return;
+        for (const registered of listeners) {
+            if (registered.listener === listener) {
+                listeners.delete(registered);
+                return;
+            }
+        }
+    }
+
+    once(type, listener) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    hasListeners(type) {
+        return this.listeners.get(type)?.size > 0;
+    }
+
+    // A throwing listener is logged and doesn't stop the others (or the filter)
+    emit(type, payload) {
+        this.check(type);
+        for (const listener of [...this.listeners.get(type)]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this.log.error('EVENTS', `Error in ${type} listener`, { name: error.name, message: error.message });
+            }
+        }
+    }
+
+    clear() {
+        this.listeners.forEach(listeners => listeners.clear());
+    }
+}
@@ -0,0 +1,506 @@
+// Frame renderer
+// Draws one output frame into a 2D canvas (HTMLCanvasElement or OffscreenCanvas).
+// Has no DOM or window dependencies, so the same code runs on the main thread and
+// inside the render worker.
+
+import { applyUVPipeline, invertColors, compileLook } from './uv-pipeline.js';
+import { UVWebGLRenderer } from './webgl-renderer.js';
+import { buildFalloffMask, FALLOFF } from './masks.js';
+import { regionRings } from './face-topology.js';
+import { BackgroundCompositor } from './background-compositor.js';
+import { CoverageAnalyzer, drawCoverageOverlay, SUNSCREEN_DETECTION } from './coverage-analyzer.js';
+import { Viewport, sourceSize } from './viewport.js';
+import { createCanvas } from './canvas.js';
+import { silentLog } from './logger.js';
+
+export const RENDER_MODES = ['face', 'whole', 'raw', 'inverted'];
+
+export const MASK_REGIONS = ['skin', 'eye', 'lip', 'eyebrow'];
+
+export const WATERMARK_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+// What a preset's sunscreen / watermark sections fall back to (see presets.js).
+// Sunscreen: whole-frame mode paints detected sunscreen in `color`.
+export const DEFAULT_SUNSCREEN = { ...SUNSCREEN_DETECTION, color: [0, 0, 0] };
+// Watermark: the logo image (set with setLogo) or `text` in one corner
+export const DEFAULT_WATERMARK = { enabled: true, text: 'UV', position: 'bottom-right' };
+
+export class FrameRenderer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        // Use willReadFrequently for better performance with frequent getImageData calls
+        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        if (!this.ctx) {
+            throw new Error('Canvas 2D context not available');
+        }
+
+        this.log = options.log || silentLog;
+        // Colour mapping, sunscreen rendering and watermark come from the preset
+        // (presets.js); contrast and blur radius stay separate options because the
+        // quality governor caps the blur radius
+        this.setPreset(options.preset ?? null);
+        this.contrast = options.contrast ?? 1.8;
+        this.blurRadius = options.blurRadius ?? 2;
+        this.compactLogo = options.compactLogo ?? false;
+        // Pixel work happens at processingScale x the display size, then gets upscaled
+        this.processingScale = options.processingScale ?? 1;
+        this.maskStep = options.maskStep ?? 1;
+        // Selfie view: the camera image is shown mirrored. Stills are drawn as they are.
+        this.mirror = options.mirror ?? true;
+        // 'cover' crops the source to fill the canvas, 'contain' letterboxes it; either
+        // way nothing is stretched (see viewport.js). Rebuilt for every frame's size.
+        this.fit = options.fit ?? 'cover';
+        this.viewport = Viewport.identity({ mirror: this.mirror });
+        // Device pixels per CSS pixel of the canvas; keeps the logo and mask falloff the
+        // same size on screen at any devicePixelRatio
+        this.pixelRatio = options.pixelRatio ?? 1;
+        this.work = null;
+        this.updateWorkBuffer();
+        this.logoImage = null;
+        this.logoLoaded = false;
+
+        // Person-only UV when a segmentation mask comes with the frame
+        this.useSegmentation = options.useSegmentation ?? true;
+        this.compositor = new BackgroundCompositor({
+            background: options.background,
+            featherRadius: options.featherRadius,
+            mirror: this.mirror
+        });
+
+        // Sunscreen coverage per face zone, re-estimated every coverageIntervalMs
+        this.analyzeCoverage = options.analyzeCoverage ?? true;
+        this.coverageOverlay = options.coverageOverlay ?? false;
+        this.coverageIntervalMs = options.coverageIntervalMs ?? 250;
+        this.coverageAnalyzer = null;
+        this.lastCoverage = null;
+        this.lastCoverageTime = -Infinity;
+        this.calibrationPending = false;
+
+        // WebGL2 renderer (Canvas 2D pipeline stays as the fallback)
+        this.useWebGL = options.useWebGL ?? true;
+        this.glRenderer = null;
+        this.setupWebGLRenderer();
+    }
+
+    get width() {
+        return this.canvas.width;
+    }
+
+    get height() {
+        return this.canvas.height;
+    }
+
+    get rendererType() {
+        return this.glRenderer ? 'webgl2' : 'canvas2d';
+    }
+
+    setOptions(options = {}) {
+        if (options.contrast !== undefined) this.contrast = options.contrast;
+        if (options.blurRadius !== undefined) this.blurRadius = options.blurRadius;
+        if (options.compactLogo !== undefined) this.compactLogo = options.compactLogo;
+        if (options.maskStep !== undefined) this.maskStep = options.maskStep;
+        if (options.useSegmentation !== undefined) this.useSegmentation = options.useSegmentation;
+        if (options.mirror !== undefined) this.mirror = options.mirror;
+        if (options.fit !== undefined) this.fit = options.fit;
+        if (options.pixelRatio !== undefined) this.pixelRatio = options.pixelRatio;
+        if (options.analyzeCoverage !== undefined) this.analyzeCoverage = options.analyzeCoverage;
+        if (options.coverageOverlay !== undefined) this.coverageOverlay = options.coverageOverlay;
+        if (options.preset !== undefined) this.setPreset(options.preset);
+        this.compositor.setOptions(options);
+        if (options.processingScale !== undefined && options.processingScale !== this.processingScale) {
+            this.processingScale = options.processingScale;
+            this.updateWorkBuffer();
+        }
+    }
+
+    // preset: validated preset (presets.js), or null for the classic look
+    setPreset(preset) {
+        this.look = compileLook(preset || {});
+        this.sunscreen = { ...DEFAULT_SUNSCREEN, ...preset?.sunscreen };
+        this.watermark = { ...DEFAULT_WATERMARK, ...preset?.watermark };
+        if (this.coverageAnalyzer) {
+            this.coverageAnalyzer.sunscreen = this.sunscreen;
+        }
+    }
+
+    // image: HTMLImageElement or ImageBitmap, or null for the text logo
+    setLogo(image) {
+        this.logoImage = image;
+        this.logoLoaded = true;
+    }
+
+    // Custom background for the 'image' background, or null
+    setBackgroundImage(image) {
+        this.compositor.setImage(image);
+    }
+
+    resize(width, height) {
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+        this.updateWorkBuffer();
+    }
+
+    // Internal processing buffer; null when processing at display resolution
+    updateWorkBuffer() {
+        const scale = Math.min(1, Math.max(0.1, this.processingScale));
+        if (scale >= 1) {
+            this.work = null;
+            return;
+        }
+
+        const width = Math.max(1, Math.round(this.canvas.width * scale));
+        const height = Math.max(1, Math.round(this.canvas.height * scale));
+        if (!this.work) {
+            const canvas = createCanvas(width, height);
+            this.work = { canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
+        } else if (this.work.canvas.width !== width || this.work.canvas.height !== height) {
+            this.work.canvas.width = width;
+            this.work.canvas.height = height;
+        }
+    }
+
+    // Where pixel processing happens: the work buffer, or the display canvas itself
+    get target() {
+        return this.work || { canvas: this.canvas, ctx: this.ctx };
+    }
+
+    // Upscale the work buffer onto the display canvas
+    present() {
+        if (!this.work) return;
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(this.work.canvas, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    setupWebGLRenderer() {
+        if (!this.useWebGL) {
+            this.log('WEBGL', 'WebGL renderer disabled, using Canvas 2D path');
+            return;
+        }
+
+        if (!UVWebGLRenderer.isSupported()) {
+            this.log('WEBGL', 'WebGL2 not supported, using Canvas 2D path');
+            return;
+        }
+
+        try {
+            this.glRenderer = new UVWebGLRenderer();
+            this.log('WEBGL', 'WebGL2 renderer created');
+        } catch (error) {
+            this.log.error('WEBGL', 'Error creating WebGL2 renderer, using Canvas 2D path', {
+                name: error.name,
+                message: error.message
+            });
+            this.glRenderer = null;
+        }
+    }
+
+    // frame: { faces: [{ id, landmarks }], segmentation } - faces for 'face'; the
+    // segmentation mask (person alpha, camera orientation) for 'face' and 'whole'
+    render(mode, source, frame = {}) {
+        const { width, height } = sourceSize(source);
+        this.viewport = Viewport.fit(width, height, this.canvas.width, this.canvas.height, {
+            fit: this.fit,
+            mirror: this.mirror
+        });
+
+        switch (mode) {
+            case 'face':
+                this.renderFace(source, frame.faces || [], frame.segmentation);
+                break;
+            case 'whole':
+                this.renderWholeFrame(source, frame.segmentation);
+                break;
+            case 'raw':
+                this.renderRaw(source);
+                break;
+            case 'inverted':
+                this.renderInverted(source);
+                break;
+            default:
+                throw new Error(`Unknown render mode "${mode}"`);
+        }
+    }
+
+    // Source fitted into the target through the viewport (cropped or letterboxed,
+    // mirrored unless mirror is off)
+    drawSource(source, { canvas, ctx } = this) {
+        if (this.viewport.letterboxed) {
+            this.clear({ canvas, ctx });
+        }
+        this.viewport.draw(ctx, source, canvas.width, canvas.height);
+    }
+
+    // Contain bars go back to black after the pixel passes have been over them
+    fillLetterbox() {
+        this.viewport.fillLetterbox(this.ctx, this.canvas.width, this.canvas.height);
+    }
+
+    clear({ canvas, ctx } = this) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // region: 'skin' | 'eye' | 'lip' | 'eyebrow' (see FACE_REGIONS)
+    // Merges into `mask` (per-pixel max) when given, so several faces share one map
+    createRegionMask(landmarks, region, width, height, mask = new Float32Array(width * height), strength = 1) {
+        const rings = regionRings(landmarks, region, width, height);
+        // Falloff distances are CSS pixels; keep the look independent of processing scale
+        // and devicePixelRatio
+        const falloff = FALLOFF[region] * this.pixelRatio * (width / this.canvas.width);
+        return buildFalloffMask(rings, width, height, falloff, { step: this.maskStep, mask, strength });
+    }
+
+    // One region map for all faces; a fading face (confidence < 1) contributes a weaker mask
+    createMasks(faces, width, height) {
+        const masks = {};
+        MASK_REGIONS.forEach(region => {
+            masks[region] = new Float32Array(width * height);
+            faces.forEach(face => {
+                this.createRegionMask(face.landmarks, region, width, height, masks[region], face.confidence ?? 1);
+            });
+        });
+        return masks;
+    }
+
+    // faces carry source-space landmarks; masks and overlays use their view-space copy
+    renderFace(source, faces, segmentation = null) {
+        const target = this.target;
+        const { width, height } = target.canvas;
+        const viewFaces = this.viewport.mapFaces(faces);
+        const masks = this.createMasks(viewFaces, width, height);
+
+        if (!this.glRenderer || !this.renderWithWebGL(source, masks, width, height)) {
+            // Canvas 2D fallback path
+            this.clear(target);
+            this.drawSource(source, target);
+
+            const imageData = target.ctx.getImageData(0, 0, width, height);
+            applyUVPipeline(imageData, masks, {
+                contrast: this.contrast,
+                blurRadius: this.blurRadius,
+                look: this.look
+            });
+
+            target.ctx.putImageData(imageData, 0, 0);
+            this.present();
+        }
+
+        this.compositeBackground(source, segmentation);
+        this.fillLetterbox();
+
+        this.updateCoverage(source, faces);
+        if (this.analyzeCoverage && this.coverageOverlay) {
+            drawCoverageOverlay(this.ctx, viewFaces, this.lastCoverage, this.canvas.width, this.canvas.height);
+        }
+    }
+
+    // Baselines are taken from the next face frame; do this before applying sunscreen
+    calibrateCoverage() {
+        this.calibrationPending = true;
+    }
+
+    updateCoverage(source, faces) {
+        if (!this.analyzeCoverage || faces.length === 0) return;
+        if (!this.coverageAnalyzer) {
+            this.coverageAnalyzer = new CoverageAnalyzer({ sunscreen: this.sunscreen });
+        }
+        const analyzer = this.coverageAnalyzer;
+        // Analysis works on the whole unmirrored source, like the landmarks
+        const aspect = this.viewport.sourceAspect;
+        const now = performance.now();
+
+        try {
+            if (this.calibrationPending) {
+                this.calibrationPending = false;
+                const calibrated = analyzer.calibrate(source, faces, aspect);
+                this.log('COVERAGE', 'Coverage baseline calibrated', { faces: calibrated });
+                // Re-analyze right away against the new baseline
+                this.lastCoverageTime = -Infinity;
+            }
+
+            if (now - this.lastCoverageTime < this.coverageIntervalMs) return;
+            this.lastCoverageTime = now;
+            analyzer.prune(faces.map(face => face.id));
+            this.lastCoverage = analyzer.analyze(source, faces, aspect, now);
+        } catch (error) {
+            this.log.error('COVERAGE', 'Error analyzing sunscreen coverage', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+
+    // Keeps the UV treatment on the person and redraws the background around them
+    compositeBackground(source, segmentation) {
+        if (!this.useSegmentation || !segmentation) return;
+        try {
+            this.compositor.composite(this, source, segmentation, this.viewport);
+        } catch (error) {
+            this.log.error('SEGMENTATION', 'Error compositing background, showing full frame', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+
+    renderWithWebGL(source, masks, width, height) {
+        try {
+            const output = this.glRenderer.render(source, masks, {
+                width,
+                height,
+                contrast: this.contrast,
+                blurRadius: this.blurRadius,
+                mirror: this.mirror,
+                look: this.look,
+                ...this.viewport.uvTransform()
+            });
+            // GL output is at processing resolution; drawImage upscales it
+            this.ctx.drawImage(output, 0, 0, this.canvas.width, this.canvas.height);
+            return true;
+        } catch (error) {
+            this.log.error('WEBGL', 'Error in WebGL render, falling back to Canvas 2D', {
+                name: error.name,
+                message: error.message,
+                contextLost: this.glRenderer.isContextLost()
+            });
+            this.glRenderer.destroy();
+            this.glRenderer = null;
+            return false;
+        }
+    }
+
+    renderWholeFrame(source, segmentation = null) {
+        const target = this.target;
+        const { width, height } = target.canvas;
+
+        // Clear canvas
+        this.clear(target);
+
+        // Draw source frame (mirrored for the camera)
+        this.drawSource(source, target);
+
+        // Get image data for processing
+        const imageData = target.ctx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+
+        const { minBrightness, maxSaturation, color } = this.sunscreen;
+
+        // Process each pixel
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+
+            // Detect sunscreen
+            const brightness = (r + g + b) / 3;
+            const maxChannel = Math.max(r, g, b);
+            const minChannel = Math.min(r, g, b);
+            const saturation = maxChannel > 0 ? (maxChannel - minChannel) / maxChannel : 0;
+            const isSunscreen = brightness > minBrightness && saturation < maxSaturation;
+
+            if (isSunscreen) {
+                // Sunscreen blocks UV - appears black (or the preset's colour)
+                data[i] = color[0];
+                data[i + 1] = color[1];
+                data[i + 2] = color[2];
+                continue;
+            }
+
+            // Pure color inversion for person/skin
+            data[i] = 255 - r;
+            data[i + 1] = 255 - g;
+            data[i + 2] = 255 - b;
+        }
+
+        // Put processed image back
+        target.ctx.putImageData(imageData, 0, 0);
+        this.present();
+        this.compositeBackground(source, segmentation);
+        this.fillLetterbox();
+
+        // Draw logo in its corner
+        this.drawLogo();
+    }
+
+    renderRaw(source) {
+        this.clear();
+        this.drawSource(source);
+        this.drawLogo();
+    }
+
+    renderInverted(source) {
+        const target = this.target;
+        this.drawSource(source, target);
+        const imageData = target.ctx.getImageData(0, 0, target.canvas.width, target.canvas.height);
+        invertColors(imageData);
+        target.ctx.putImageData(imageData, 0, 0);
+        this.present();
+        this.fillLetterbox();
+    }
+
+    drawLogo() {
+        if (!this.logoLoaded || !this.watermark.enabled) {
+            return;
+        }
+
+        // Responsive sizing for mobile; sizes are CSS pixels
+        const isMobile = this.compactLogo;
+        const scale = this.pixelRatio;
+        const padding = (isMobile ? 12 : 20) * scale;
+        const logoSize = (isMobile ? 50 : 60) * scale; // Smaller on mobile
+        const { width, height } = this.canvas;
+
+        // Ensure canvas dimensions are valid
+        if (!width || !height) {
+            this.log.warn('LOGO', 'Canvas dimensions invalid', { width, height });
+            return;
+        }
+
+        const [vertical, horizontal] = this.watermark.position.split('-');
+        const right = horizontal === 'right';
+        const bottom = vertical === 'bottom';
+
+        const logo = this.logoImage;
+        const logoWidth = logo ? (logo.naturalWidth ?? logo.width) : 0;
+
+        // If we have a logo image, draw it
+        if (logo && logo.complete !== false && logoWidth > 0) {
+            const x = right ? width - logoSize - padding : padding;
+            const y = bottom ? height - logoSize - padding : padding;
+
+            // Draw with semi-transparent background for visibility
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            this.ctx.fillRect(x - 5 * scale, y - 5 * scale, logoSize + 10 * scale, logoSize + 10 * scale);
+
+            // Draw logo image
+            this.ctx.drawImage(logo, x, y, logoSize, logoSize);
+        } else if (this.watermark.text) {
+            // Draw text logo as fallback
+            const text = this.watermark.text;
+            const fontSize = (isMobile ? 20 : 24) * scale;
+            const x = right ? width - padding : padding;
+            const y = bottom ? height - padding : padding;
+
+            // Draw text with shadow for visibility
+            this.ctx.font = `bold ${fontSize}px Arial`;
+            this.ctx.textAlign = right ? 'right' : 'left';
+            this.ctx.textBaseline = bottom ? 'bottom' : 'top';
+
+            // Shadow
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            this.ctx.fillText(text, x + 2 * scale, y + 2 * scale);
+
+            // Text
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(text, x, y);
+        }
+    }
+
+    destroy() {
+        this.compositor.destroy();
+        if (this.glRenderer) {
+            this.glRenderer.destroy();
+            this.glRenderer = null;
+        }
+    }
+}
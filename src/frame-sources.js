@@ -0,0 +1,467 @@
+// Frame sources
+// Everything the live pipeline reads frames from: the getUserMedia camera, a video file,
+// a still image, any canvas or MediaStream, and a synthetic test pattern (runs without a
+// camera, e.g. in headless CI). The filter only ever talks to the FrameSource surface:
+//
+//   await source.start()        frames flowing and dimensions known (throws on failure)
+//   source.image                drawable for the renderer / FaceMesh (video or canvas)
+//   source.width, .height       frame size in pixels
+//   source.isReady()            a frame can be drawn right now
+//   source.mirror               shown mirrored (user-facing camera)
+//   source.stream               MediaStream behind the source, or null
+//   source.setFrameCallback(cb) cb(now) once per new frame until cleared with null
+//   source.stop()               releases the camera / file / loop
+//   source.describe()           plain object for logs
+
+import { facingFromLabel } from './camera-manager.js';
+import { silentLog } from './logger.js';
+
+// facingMode asked for in getUserMedia constraints ('user' / { ideal: 'user' } / ...)
+function requestedFacing(constraints) {
+    const facing = constraints.video?.facingMode;
+    return (typeof facing === 'object' ? facing?.exact || facing?.ideal : facing) || null;
+}
+
+export const FRAME_SOURCE_KINDS = ['camera', 'video', 'image', 'canvas', 'stream', 'test-pattern'];
+
+// The kinds that run without an input (the others need a file, image, canvas or stream)
+export const INPUTLESS_SOURCE_KINDS = ['camera', 'test-pattern'];
+
+function waitForEvent(target, type) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            target.removeEventListener(type, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(target.error || new Error(`Failed waiting for "${type}"`));
+        };
+        target.addEventListener(type, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+export class FrameSource {
+    constructor({ kind, mirror = false, log = silentLog } = {}) {
+        this.kind = kind;
+        this.mirror = mirror;
+        this.log = log;
+        this.frameCallback = null;
+        this.frameHandle = null;
+    }
+
+    get image() {
+        return null;
+    }
+
+    get width() {
+        return this.image?.width || 0;
+    }
+
+    get height() {
+        return this.image?.height || 0;
+    }
+
+    get stream() {
+        return null;
+    }
+
+    isReady() {
+        return this.width > 0 && this.height > 0;
+    }
+
+    async start() {}
+
+    stop() {
+        this.setFrameCallback(null);
+    }
+
+    setFrameCallback(callback) {
+        if (this.frameHandle !== null) {
+            this.cancelFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+        this.frameCallback = callback;
+        if (callback) {
+            this.frameHandle = this.requestFrame((now) => this.deliverFrame(now));
+        }
+    }
+
+    deliverFrame(now) {
+        this.frameHandle = null;
+        if (!this.frameCallback) return;
+        this.frameCallback(now);
+        // The callback may have cleared or replaced itself
+        if (this.frameCallback && this.frameHandle === null) {
+            this.frameHandle = this.requestFrame((time) => this.deliverFrame(time));
+        }
+    }
+
+    // Display-rate by default; video sources wait for an actual new frame
+    requestFrame(callback) {
+        return requestAnimationFrame(callback);
+    }
+
+    cancelFrame(handle) {
+        cancelAnimationFrame(handle);
+    }
+
+    describe() {
+        return {
+            kind: this.kind,
+            width: this.width,
+            height: this.height,
+            ready: this.isReady(),
+            mirror: this.mirror
+        };
+    }
+}
+
+// Shared by everything that plays through a <video> element
+class VideoElementSource extends FrameSource {
+    constructor(video, options) {
+        super(options);
+        this.video = video;
+    }
+
+    get image() {
+        return this.video;
+    }
+
+    get width() {
+        return this.video.videoWidth;
+    }
+
+    get height() {
+        return this.video.videoHeight;
+    }
+
+    isReady() {
+        return this.video.readyState >= this.video.HAVE_CURRENT_DATA && this.width > 0;
+    }
+
+    async play() {
+        const loaded = this.video.readyState >= this.video.HAVE_CURRENT_DATA
+            ? Promise.resolve()
+            : waitForEvent(this.video, 'loadeddata');
+        // Reported by the await below; don't let it go unhandled if play() throws first
+        loaded.catch(() => {});
+        try {
+            await this.video.play();
+        } catch (error) {
+            this.log.warn('SOURCE', 'video.play() failed, retrying', { name: error.name, message: error.message });
+            await new Promise(resolve => setTimeout(resolve, 500));
+            await this.video.play();
+        }
+        await loaded;
+    }
+
+    requestFrame(callback) {
+        if (typeof this.video.requestVideoFrameCallback === 'function') {
+            return { video: this.video.requestVideoFrameCallback(callback) };
+        }
+        return { raf: requestAnimationFrame(callback) };
+    }
+
+    cancelFrame(handle) {
+        if (handle.video !== undefined) {
+            this.video.cancelVideoFrameCallback(handle.video);
+        } else {
+            cancelAnimationFrame(handle.raf);
+        }
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            readyState: this.video.readyState,
+            paused: this.video.paused
+        };
+    }
+}
+
+// Any MediaStream (screen capture, WebRTC peer, another canvas's captureStream)
+export class MediaStreamSource extends VideoElementSource {
+    // video: element to play into (a hidden one is created when omitted)
+    constructor(mediaStream, { video = null, kind = 'stream', ...options } = {}) {
+        const element = video || document.createElement('video');
+        element.muted = true;
+        element.playsInline = true;
+        super(element, { kind, ...options });
+        this.mediaStream = mediaStream;
+    }
+
+    get stream() {
+        return this.mediaStream;
+    }
+
+    async start() {
+        if (this.video.srcObject !== this.mediaStream) {
+            this.video.srcObject = this.mediaStream;
+        }
+        await this.play();
+    }
+
+    stop() {
+        super.stop();
+        this.video.pause();
+        this.video.srcObject = null;
+    }
+
+    describe() {
+        return { ...super.describe(), streamActive: !!this.mediaStream?.active };
+    }
+}
+
+// getUserMedia camera, played into the page's <video>. Stopping it ends the tracks.
+// Mirrored unless it turns out to face away from the user (camera-manager.js picks the
+// device; after start() deviceId/facingMode say what actually opened).
+export class CameraSource extends MediaStreamSource {
+    constructor({ video, constraints = { video: true, audio: false }, ...options } = {}) {
+        super(null, { video, kind: 'camera', mirror: requestedFacing(constraints) !== 'environment', ...options });
+        this.constraints = constraints;
+        this.deviceId = null;
+        this.facingMode = null;
+    }
+
+    get videoTrack() {
+        return this.mediaStream?.getVideoTracks()[0] || null;
+    }
+
+    async getUserMedia(constraints) {
+        try {
+            return await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (error) {
+            const { deviceId, ...video } = constraints.video || {};
+            if (deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                // Remembered camera is gone (unplugged, IDs reset); any camera will do
+                this.log.warn('CAMERA', 'Requested camera not available, opening the default one', {
+                    name: error.name
+                });
+                return navigator.mediaDevices.getUserMedia({ ...constraints, video });
+            }
+            throw error;
+        }
+    }
+
+    async start() {
+        const constraints = { ...this.constraints };
+        this.log('INIT', 'Calling getUserMedia', { constraints });
+        try {
+            this.mediaStream = await this.getUserMedia(constraints);
+        } catch (error) {
+            if (!constraints.audio) throw error;
+            // A denied or missing microphone shouldn't cost us the camera
+            this.log.warn('INIT', 'getUserMedia with audio failed, retrying video only', {
+                name: error.name,
+                message: error.message
+            });
+            constraints.audio = false;
+            this.mediaStream = await this.getUserMedia(constraints);
+        }
+
+        const track = this.videoTrack;
+        const settings = track?.getSettings?.() || {};
+        this.deviceId = settings.deviceId || null;
+        this.facingMode = settings.facingMode || facingFromLabel(track?.label) || requestedFacing(constraints);
+        // Desktop webcams report no facing at all; they face the user
+        this.mirror = this.facingMode !== 'environment';
+        this.log('INIT', 'getUserMedia SUCCESS', {
+            streamId: this.mediaStream.id,
+            deviceId: this.deviceId,
+            facingMode: this.facingMode,
+            tracks: this.mediaStream.getTracks().map(t => ({
+                kind: t.kind,
+                label: t.label,
+                readyState: t.readyState
+            }))
+        });
+        await super.start();
+    }
+
+    stop() {
+        this.mediaStream?.getTracks().forEach(track => track.stop());
+        super.stop();
+        this.mediaStream = null;
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            deviceId: this.deviceId,
+            facingMode: this.facingMode,
+            label: this.videoTrack?.label || null
+        };
+    }
+}
+
+// A video file (File/Blob or URL), looped and muted
+export class VideoFileSource extends VideoElementSource {
+    constructor(file, { loop = true, ...options } = {}) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.loop = loop;
+        super(video, { kind: 'video', ...options });
+        this.file = file;
+        this.url = null;
+    }
+
+    async start() {
+        if (typeof this.file === 'string') {
+            this.video.src = this.file;
+        } else {
+            this.url = URL.createObjectURL(this.file);
+            this.video.src = this.url;
+        }
+        await this.play();
+    }
+
+    stop() {
+        super.stop();
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+// Any canvas the page draws into; frames are read at display rate
+export class CanvasSource extends FrameSource {
+    constructor(canvas, options = {}) {
+        super({ kind: 'canvas', ...options });
+        this.canvas = canvas;
+    }
+
+    get image() {
+        return this.canvas;
+    }
+}
+
+// A still image as a live source. FaceMesh takes canvases but not ImageBitmaps, so the
+// image is drawn into one.
+export class ImageSource extends CanvasSource {
+    // image: Blob/File, ImageBitmap, HTMLImageElement or canvas
+    constructor(image, options = {}) {
+        super(null, { kind: 'image', ...options });
+        this.input = image;
+    }
+
+    async start() {
+        const bitmap = this.input instanceof Blob
+            ? await createImageBitmap(this.input, { imageOrientation: 'from-image' })
+            : this.input;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = bitmap.naturalWidth || bitmap.width;
+        this.canvas.height = bitmap.naturalHeight || bitmap.height;
+        this.canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        if (bitmap !== this.input) {
+            bitmap.close();
+        }
+    }
+}
+
+// Synthetic moving picture: colour bars, a drifting skin-toned oval and a frame counter.
+// Deterministic per frame number, so runs are comparable.
+export class TestPatternSource extends CanvasSource {
+    constructor({ width = 1280, height = 720, fps = 30, ...options } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        super(canvas, { kind: 'test-pattern', ...options });
+        this.fps = fps;
+        this.frameNumber = 0;
+        this.startTime = 0;
+        this.drawHandle = null;
+    }
+
+    async start() {
+        this.startTime = performance.now();
+        this.frameNumber = -1;
+        const loop = (now) => {
+            const frameNumber = Math.floor((now - this.startTime) * this.fps / 1000);
+            if (frameNumber !== this.frameNumber) {
+                this.frameNumber = frameNumber;
+                this.draw(frameNumber);
+            }
+            this.drawHandle = requestAnimationFrame(loop);
+        };
+        this.draw(0);
+        this.frameNumber = 0;
+        this.drawHandle = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        super.stop();
+        if (this.drawHandle !== null) {
+            cancelAnimationFrame(this.drawHandle);
+            this.drawHandle = null;
+        }
+    }
+
+    draw(frameNumber) {
+        const { width, height } = this.canvas;
+        const ctx = this.canvas.getContext('2d');
+        const bars = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+        const barWidth = width / bars.length;
+        bars.forEach((color, i) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(Math.floor(i * barWidth), 0, Math.ceil(barWidth), height);
+        });
+
+        // Oval drifting on a slow Lissajous path
+        const t = frameNumber / this.fps;
+        const cx = width / 2 + Math.sin(t * 0.7) * width * 0.2;
+        const cy = height / 2 + Math.sin(t * 1.1) * height * 0.15;
+        const rx = Math.min(width, height) * 0.18;
+        ctx.fillStyle = '#e0ac8c';
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, rx, rx * 1.3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        const fontSize = Math.round(height / 18);
+        ctx.font = `bold ${fontSize}px monospace`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, height - fontSize * 1.6, width, fontSize * 1.6);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`TEST PATTERN  frame ${frameNumber}  ${t.toFixed(2)}s`, fontSize / 2, height - fontSize * 0.3);
+    }
+
+    describe() {
+        return { ...super.describe(), fps: this.fps, frameNumber: this.frameNumber };
+    }
+}
+
+// kind: one of FRAME_SOURCE_KINDS. input: the File/URL, image, canvas or MediaStream for
+// kinds that take one. options go to the source constructor (log, mirror, constraints...)
+export function createFrameSource(kind, input = null, options = {}) {
+    if (FRAME_SOURCE_KINDS.includes(kind) && !INPUTLESS_SOURCE_KINDS.includes(kind) && !input) {
+        throw new Error(`The "${kind}" frame source needs an input`);
+    }
+    switch (kind) {
+        case 'camera':
+            return new CameraSource(options);
+        case 'video':
+            return new VideoFileSource(input, options);
+        case 'image':
+            return new ImageSource(input, options);
+        case 'canvas':
+            return new CanvasSource(input, options);
+        case 'stream':
+            return new MediaStreamSource(input, options);
+        case 'test-pattern':
+            return new TestPatternSource(options);
+        default:
+            throw new Error(`Unknown frame source "${kind}" (expected ${FRAME_SOURCE_KINDS.join(', ')})`);
+    }
+}
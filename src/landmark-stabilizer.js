@@ -0,0 +1,143 @@
+// Landmark stabilization
+// Per-landmark One Euro filtering (Casiez et al. 2012) removes jitter while the face is
+// tracked, and a confidence value fades a lost face out instead of leaving its mask
+// frozen on screen.
+//
+// Modes:
+//   'smooth' - One Euro filter + expiry: a face not seen for holdMs fades linearly to
+//              zero confidence over fadeMs, then is dropped
+//   'hold'   - old behaviour: raw landmarks, last detection held indefinitely
+
+export const STABILIZER_DEFAULTS = {
+    mode: 'smooth',
+    // Landmarks are normalized (0..1), so beta is much larger than the usual pixel-space
+    // values: higher beta = less lag on fast moves, lower minCutoff = less jitter at rest
+    minCutoff: 1.5,
+    beta: 5,
+    dCutoff: 1,
+    holdMs: 150,
+    fadeMs: 400
+};
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+// One Euro filter over a fixed-size vector of values (all x/y/z of one face)
+export class OneEuroFilterBank {
+    constructor(size, { minCutoff, beta, dCutoff } = STABILIZER_DEFAULTS) {
+        this.size = size;
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.value = new Float64Array(size);
+        this.derivative = new Float64Array(size);
+        this.lastTime = null;
+    }
+
+    // values: array-like of `size` numbers, timestamp in ms. Returns the filtered values.
+    filter(values, timestamp) {
+        if (this.lastTime === null) {
+            this.value.set(values);
+            this.derivative.fill(0);
+            this.lastTime = timestamp;
+            return this.value;
+        }
+
+        const dt = Math.max(1e-3, (timestamp - this.lastTime) / 1000);
+        this.lastTime = timestamp;
+        const derivativeAlpha = smoothingFactor(this.dCutoff, dt);
+
+        for (let i = 0; i < this.size; i++) {
+            const previous = this.value[i];
+            const rate = (values[i] - previous) / dt;
+            const derivative = this.derivative[i] + derivativeAlpha * (rate - this.derivative[i]);
+            this.derivative[i] = derivative;
+
+            const cutoff = this.minCutoff + this.beta * Math.abs(derivative);
+            this.value[i] = previous + smoothingFactor(cutoff, dt) * (values[i] - previous);
+        }
+        return this.value;
+    }
+}
+
+function flatten(landmarks, out) {
+    for (let i = 0; i < landmarks.length; i++) {
+        out[i * 3] = landmarks[i].x;
+        out[i * 3 + 1] = landmarks[i].y;
+        out[i * 3 + 2] = landmarks[i].z || 0;
+    }
+    return out;
+}
+
+function unflatten(values, count) {
+    const landmarks = new Array(count);
+    for (let i = 0; i < count; i++) {
+        landmarks[i] = { x: values[i * 3], y: values[i * 3 + 1], z: values[i * 3 + 2] };
+    }
+    return landmarks;
+}
+
+export class LandmarkStabilizer {
+    constructor(options = {}) {
+        this.options = { ...STABILIZER_DEFAULTS, ...options };
+        this.faces = new Map();
+    }
+
+    setOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        // Filter parameters are baked into the banks; start fresh
+        this.faces.clear();
+    }
+
+    // faces: [{ id, landmarks }] from the face tracker, timestamp in ms
+    update(faces, timestamp) {
+        for (const face of faces) {
+            let entry = this.faces.get(face.id);
+            const size = face.landmarks.length * 3;
+            if (!entry || entry.bank.size !== size) {
+                entry = {
+                    id: face.id,
+                    bank: new OneEuroFilterBank(size, this.options),
+                    scratch: new Float64Array(size)
+                };
+                this.faces.set(face.id, entry);
+            }
+
+            if (this.options.mode === 'hold') {
+                entry.landmarks = face.landmarks;
+            } else {
+                const filtered = entry.bank.filter(flatten(face.landmarks, entry.scratch), timestamp);
+                entry.landmarks = unflatten(filtered, face.landmarks.length);
+            }
+            entry.lastSeen = timestamp;
+        }
+    }
+
+    confidenceAt(entry, timestamp) {
+        if (this.options.mode === 'hold') return 1;
+        const age = timestamp - entry.lastSeen;
+        if (age <= this.options.holdMs) return 1;
+        if (this.options.fadeMs <= 0) return 0;
+        return Math.max(0, 1 - (age - this.options.holdMs) / this.options.fadeMs);
+    }
+
+    // Faces to render now: [{ id, landmarks, confidence }]. Expired faces are dropped.
+    getFaces(timestamp) {
+        const faces = [];
+        for (const entry of [...this.faces.values()]) {
+            const confidence = this.confidenceAt(entry, timestamp);
+            if (confidence <= 0) {
+                this.faces.delete(entry.id);
+                continue;
+            }
+            faces.push({ id: entry.id, landmarks: entry.landmarks, confidence });
+        }
+        return faces;
+    }
+
+    reset() {
+        this.faces.clear();
+    }
+}
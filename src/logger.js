@@ -0,0 +1,273 @@
+// Structured logging
+// Entries are { timestamp, level, category, message, data } and go to a ring buffer
+// (the last `bufferSize`, for getDebugLogs() and diagnostics) and to any number of sinks:
+// the console, another in-memory list, or a POST endpoint.
+//
+// What gets through: a level ('debug' < 'info' < 'warn' < 'error'; 'off' drops everything)
+// with per-category overrides, and a per-second rate limit for categories that log every
+// frame (RENDER, FACEMESH, ...). Warnings and errors are never rate limited. A dropped
+// entry costs one comparison; the payload is only copied for entries that are kept, so
+// per-frame call sites that build a payload check enabled() first.
+//
+// Modules take a `log` function (logger.log): log(category, message, data) is info, and
+// log.debug / log.warn / log.error(category, message, data) the other levels.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+
+const RANK = Object.fromEntries(LOG_LEVELS.map((level, index) => [level, index]));
+
+// A module's `log` from write(level, category, message, data)
+export function leveledLog(write) {
+    const log = (category, message, data = null) => write('info', category, message, data);
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        log[level] = (category, message, data = null) => write(level, category, message, data);
+    }
+    return log;
+}
+
+// The default for modules that weren't given one
+export const silentLog = leveledLog(() => {});
+
+// Payloads are copied when logged so later mutation doesn't rewrite history, and so the
+// buffer can be serialized as is
+function snapshot(data) {
+    if (data === null || data === undefined) return null;
+    try {
+        return JSON.parse(JSON.stringify(data));
+    } catch (error) {
+        return { unserializable: error.message };
+    }
+}
+
+class RingBuffer {
+    constructor(size) {
+        this.size = size;
+        this.items = [];
+        this.next = 0; // Where the next item goes once full
+    }
+
+    push(item) {
+        if (this.items.length < this.size) {
+            this.items.push(item);
+            return;
+        }
+        this.items[this.next] = item;
+        this.next = (this.next + 1) % this.size;
+    }
+
+    // Oldest first
+    toArray() {
+        return [...this.items.slice(this.next), ...this.items.slice(0, this.next)];
+    }
+
+    clear() {
+        this.items = [];
+        this.next = 0;
+    }
+}
+
+export class Logger {
+    constructor({
+        level = 'info',
+        categories = {}, // category -> level, e.g. { FACEMESH: 'debug', RENDER: 'off' }
+        rateLimits = {}, // category -> entries per second
+        bufferSize = 1000,
+        sinks = [],
+        now = () => performance.now()
+    } = {}) {
+        this.buffer = new RingBuffer(bufferSize);
+        this.sinks = [...sinks];
+        this.rateLimits = { ...rateLimits };
+        this.buckets = new Map(); // category -> { tokens, time, suppressed }
+        this.now = now;
+        this.setLevel(level, categories);
+        // Bound so it can be handed to modules as their log function
+        this.log = leveledLog((level, category, message, data) => this.write(level, category, message, data));
+    }
+
+    setLevel(level, categories = this.categories) {
+        if (!(level in RANK)) {
+            throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+        }
+        this.level = level;
+        this.categories = { ...categories };
+        this.threshold = RANK[level];
+        // Everything off unless a category asks for more
+        this.silent = this.threshold === RANK.off &&
+            Object.values(this.categories).every(value => value === 'off');
+    }
+
+    setCategoryLevel(category, level) {
+        this.setLevel(this.level, { ...this.categories, [category]: level });
+    }
+
+    enabled(level, category) {
+        if (this.silent) return false;
+        const threshold = this.categories[category];
+        return RANK[level] >= (threshold === undefined ? this.threshold : RANK[threshold]);
+    }
+
+    debug(category, message, data = null) {
+        this.write('debug', category, message, data);
+    }
+
+    info(category, message, data = null) {
+        this.write('info', category, message, data);
+    }
+
+    warn(category, message, data = null) {
+        this.write('warn', category, message, data);
+    }
+
+    error(category, message, data = null) {
+        this.write('error', category, message, data);
+    }
+
+    write(level, category, message, data) {
+        if (!this.enabled(level, category)) return;
+        let suppressed = 0;
+        if (RANK[level] < RANK.warn && this.rateLimits[category]) {
+            suppressed = this.takeToken(category);
+            if (suppressed < 0) return;
+        }
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            category,
+            message,
+            data: snapshot(data)
+        };
+        if (suppressed > 0) {
+            entry.suppressed = suppressed; // Entries of this category dropped since the last one
+        }
+        this.buffer.push(entry);
+        for (const sink of this.sinks) {
+            try {
+                sink.write(entry);
+            } catch {
+                // A broken sink mustn't take logging (or the caller) down with it
+            }
+        }
+    }
+
+    // Token bucket per category. Returns -1 when the entry is dropped, otherwise the
+    // number dropped since the last kept one.
+    takeToken(category) {
+        const perSecond = this.rateLimits[category];
+        const now = this.now();
+        let bucket = this.buckets.get(category);
+        if (!bucket) {
+            bucket = { tokens: perSecond, time: now, suppressed: 0 };
+            this.buckets.set(category, bucket);
+        }
+        bucket.tokens = Math.min(perSecond, bucket.tokens + (now - bucket.time) * perSecond / 1000);
+        bucket.time = now;
+        if (bucket.tokens < 1) {
+            bucket.suppressed++;
+            return -1;
+        }
+        bucket.tokens -= 1;
+        const suppressed = bucket.suppressed;
+        bucket.suppressed = 0;
+        return suppressed;
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        return () => this.removeSink(sink);
+    }
+
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(other => other !== sink);
+    }
+
+    // The ring buffer, oldest first
+    entries() {
+        return this.buffer.toArray();
+    }
+
+    clear() {
+        this.buffer.clear();
+    }
+}
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+export function consoleSink({ console: target = console } = {}) {
+    return {
+        write({ timestamp, level, category, message, data }) {
+            const line = `[${timestamp}] [${category}] ${message}`;
+            const method = target[CONSOLE_METHODS[level]] ? CONSOLE_METHODS[level] : 'log';
+            if (data) {
+                target[method](line, data);
+            } else {
+                target[method](line);
+            }
+        }
+    };
+}
+
+// A separate list, e.g. to collect one session's entries without the ring buffer's limit
+export function memorySink({ limit = Infinity } = {}) {
+    const entries = [];
+    return {
+        entries,
+        write(entry) {
+            entries.push(entry);
+            if (entries.length > limit) entries.shift();
+        }
+    };
+}
+
+// POSTs batches of entries as JSON ({ entries: [...] }) to `url`: when `batchSize` have
+// queued up, every `flushMs`, and when the page is hidden. Only `level` and up are sent.
+// Pass `fetch` to stub the endpoint locally.
+export function httpSink({
+    url,
+    level = 'warn',
+    batchSize = 20,
+    flushMs = 10000,
+    maxQueue = 500,
+    fetch: send = (...args) => fetch(...args)
+}) {
+    let queue = [];
+    const flush = () => {
+        if (queue.length === 0) return Promise.resolve();
+        const entries = queue;
+        queue = [];
+        return send(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entries }),
+            // Survives the page going away
+            keepalive: true
+        }).catch(() => {
+            // Offline or no endpoint: drop the batch rather than grow forever
+        });
+    };
+    const timer = setInterval(flush, flushMs);
+    const onHidden = () => {
+        if (document.visibilityState === 'hidden') flush();
+    };
+    if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', onHidden);
+    }
+
+    return {
+        write(entry) {
+            if (RANK[entry.level] < RANK[level]) return;
+            queue.push(entry);
+            if (queue.length > maxQueue) queue.shift();
+            if (queue.length >= batchSize) flush();
+        },
+        flush,
+        close() {
+            clearInterval(timer);
+            if (typeof document !== 'undefined') {
+                document.removeEventListener('visibilitychange', onHidden);
+            }
+            return flush();
+        }
+    };
+}
@@ -0,0 +1,206 @@
+// Region mask building
+// Polygons are filled with an even-odd scanline rasterizer, then the soft falloff
+// around them comes from a Felzenszwalb exact Euclidean distance transform. Cost is
+// O(pixels + edges * rows) per mask instead of O(pixels * edges).
+
+// Falloff distances (px) where each region's mask reaches zero
+export const FALLOFF = {
+    skin: 60,
+    eye: 25,
+    lip: 20,
+    eyebrow: 15
+};
+
+const INF = 1e20;
+
+// Fill polygons (arrays of {x, y} in pixel space) into `inside` (1 = inside) using the
+// even-odd rule, so rings nested in other rings become holes. Pixel (x, y) is tested
+// at its integer coordinate, the same sample point the old per-pixel test used.
+// Only rows/columns inside `bounds` are written.
+export function rasterizePolygons(polygons, width, height, inside = new Uint8Array(width * height), bounds = null) {
+    const minY = bounds ? bounds.minY : 0;
+    const maxY = bounds ? bounds.maxY : height - 1;
+    const minX = bounds ? bounds.minX : 0;
+    const maxX = bounds ? bounds.maxX : width - 1;
+    const crossings = [];
+
+    for (let y = minY; y <= maxY; y++) {
+        crossings.length = 0;
+
+        for (const points of polygons) {
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const yi = points[i].y;
+                const yj = points[j].y;
+                if ((yi > y) !== (yj > y)) {
+                    const xi = points[i].x;
+                    const xj = points[j].x;
+                    crossings.push((xj - xi) * (y - yi) / (yj - yi) + xi);
+                }
+            }
+        }
+
+        if (crossings.length < 2) continue;
+        crossings.sort((a, b) => a - b);
+
+        const row = y * width;
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const start = Math.max(minX, Math.ceil(crossings[k]));
+            const end = Math.min(maxX, Math.ceil(crossings[k + 1]) - 1);
+            for (let x = start; x <= end; x++) {
+                inside[row + x] = 1;
+            }
+        }
+    }
+
+    return inside;
+}
+
+// 1D squared distance transform of a sampled function (Felzenszwalb & Huttenlocher)
+function distanceTransform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        const dq = q - v[k];
+        d[q] = dq * dq + f[v[k]];
+    }
+}
+
+// Euclidean distance from every pixel of a width x height grid to the nearest pixel
+// where inside[i] is set (0 for inside pixels)
+export function distanceTransform(inside, width, height) {
+    const dist = new Float32Array(width * height);
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    // Columns
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            f[y] = inside[y * width + x] ? 0 : INF;
+        }
+        distanceTransform1D(f, height, d, v, z);
+        for (let y = 0; y < height; y++) {
+            dist[y * width + x] = d[y];
+        }
+    }
+
+    // Rows
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            f[x] = dist[row + x];
+        }
+        distanceTransform1D(f, width, d, v, z);
+        for (let x = 0; x < width; x++) {
+            dist[row + x] = Math.sqrt(d[x]);
+        }
+    }
+
+    return dist;
+}
+
+export function polygonBounds(polygons, width, height, margin = 0) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const points of polygons) {
+        for (const p of points) {
+            if (p.x < minX) minX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y > maxY) maxY = p.y;
+        }
+    }
+    if (minX === Infinity) return null;
+
+    const bounds = {
+        minX: Math.max(0, Math.floor(minX - margin)),
+        minY: Math.max(0, Math.floor(minY - margin)),
+        maxX: Math.min(width - 1, Math.ceil(maxX + margin)),
+        maxY: Math.min(height - 1, Math.ceil(maxY + margin))
+    };
+    if (bounds.minX > bounds.maxX || bounds.minY > bounds.maxY) return null;
+    return bounds;
+}
+
+// Soft region mask: 1 inside the polygons, fading linearly to 0 at `falloff` px
+// outside them. Work is confined to the polygons' bounding box grown by the falloff.
+// With step > 1 the mask is built on a grid `step` times coarser and each cell is
+// replicated over step x step pixels (cheaper, blockier edges).
+// `strength` scales the whole mask (used to fade out a face that is no longer tracked).
+export function buildFalloffMask(polygons, width, height, falloff, options = {}) {
+    const { mask = new Float32Array(width * height), step = 1, strength = 1 } = options;
+    const rings = polygons.filter(points => points && points.length >= 3);
+    if (rings.length === 0 || strength <= 0) return mask;
+
+    if (step > 1) {
+        return buildCoarseFalloffMask(rings, width, height, falloff, step, strength, mask);
+    }
+
+    const bounds = polygonBounds(rings, width, height, falloff);
+    if (!bounds) return mask;
+
+    const boxWidth = bounds.maxX - bounds.minX + 1;
+    const boxHeight = bounds.maxY - bounds.minY + 1;
+
+    // Rasterize in box-local coordinates
+    const local = rings.map(points => points.map(p => ({
+        x: p.x - bounds.minX,
+        y: p.y - bounds.minY
+    })));
+    const inside = rasterizePolygons(local, boxWidth, boxHeight);
+    const dist = distanceTransform(inside, boxWidth, boxHeight);
+
+    for (let y = 0; y < boxHeight; y++) {
+        const src = y * boxWidth;
+        const dst = (y + bounds.minY) * width + bounds.minX;
+        for (let x = 0; x < boxWidth; x++) {
+            const value = (1 - dist[src + x] / falloff) * strength;
+            if (value > mask[dst + x]) {
+                mask[dst + x] = value;
+            }
+        }
+    }
+
+    return mask;
+}
+
+function buildCoarseFalloffMask(rings, width, height, falloff, step, strength, mask) {
+    const bounds = polygonBounds(rings, width, height, falloff);
+    if (!bounds) return mask;
+
+    const gridWidth = Math.ceil(width / step);
+    const gridHeight = Math.ceil(height / step);
+    const scaled = rings.map(points => points.map(p => ({ x: p.x / step, y: p.y / step })));
+    const coarse = buildFalloffMask(scaled, gridWidth, gridHeight, falloff / step, { strength });
+
+    for (let y = bounds.minY; y <= bounds.maxY; y++) {
+        const src = Math.floor(y / step) * gridWidth;
+        const dst = y * width;
+        for (let x = bounds.minX; x <= bounds.maxX; x++) {
+            const value = coarse[src + Math.floor(x / step)];
+            if (value > mask[dst + x]) {
+                mask[dst + x] = value;
+            }
+        }
+    }
+
+    return mask;
+}
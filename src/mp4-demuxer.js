@@ -0,0 +1,297 @@
+// Minimal MP4 (ISO BMFF) demuxer
+// Reads the sample tables of the first video track so each encoded frame can be handed
+// to a WebCodecs VideoDecoder as an EncodedVideoChunk. Only what decoding needs is
+// parsed: codec configuration, timing (stts/ctts), sample sizes and chunk offsets.
+// Fragmented MP4 (moof) isn't supported; parseMp4() throws and callers fall back to
+// seeking a <video> element.
+
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+
+const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = String.fromCharCode(
+            view.getUint8(offset + 4), view.getUint8(offset + 5),
+            view.getUint8(offset + 6), view.getUint8(offset + 7)
+        );
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function findBox(view, box, path) {
+    let current = box;
+    for (const type of path) {
+        current = readBoxes(view, current.start, current.end).find(b => b.type === type);
+        if (!current) return null;
+    }
+    return current;
+}
+
+// avcC: profile, compatibility and level bytes
+function avcCodec(bytes) {
+    return `avc1.${hex(bytes[1])}${hex(bytes[2])}${hex(bytes[3])}`;
+}
+
+// hvcC: ISO/IEC 14496-15 Annex E codec string
+function hevcCodec(bytes, entryType) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const profileSpace = ['', 'A', 'B', 'C'][bytes[1] >> 6];
+    const tier = (bytes[1] & 0x20) ? 'H' : 'L';
+    const profile = bytes[1] & 0x1f;
+    // Compatibility flags are written bit-reversed
+    let flags = view.getUint32(2);
+    let reversed = 0;
+    for (let i = 0; i < 32; i++) {
+        reversed = (reversed << 1) | (flags & 1);
+        flags >>>= 1;
+    }
+    const constraints = Array.from(bytes.slice(6, 12));
+    while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+        constraints.pop();
+    }
+    const level = bytes[12];
+    return [
+        entryType,
+        `${profileSpace}${profile}`,
+        (reversed >>> 0).toString(16).toUpperCase(),
+        `${tier}${level}`,
+        ...constraints.map(c => hex(c))
+    ].join('.');
+}
+
+// vpcC (version 1): profile, level, bit depth
+function vp9Codec(bytes) {
+    const profile = bytes[4];
+    const level = bytes[5];
+    const bitDepth = bytes[6] >> 4;
+    return `vp09.${String(profile).padStart(2, '0')}.${String(level).padStart(2, '0')}.${String(bitDepth).padStart(2, '0')}`;
+}
+
+// av1C: seq_profile, seq_level_idx_0, tier and bit depth
+function av1Codec(bytes) {
+    const profile = bytes[1] >> 5;
+    const level = bytes[1] & 0x1f;
+    const tier = (bytes[2] & 0x80) ? 'H' : 'M';
+    const highBitDepth = (bytes[2] & 0x40) !== 0;
+    const twelveBit = (bytes[2] & 0x20) !== 0;
+    const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+    return `av01.${profile}.${String(level).padStart(2, '0')}${tier}.${String(bitDepth).padStart(2, '0')}`;
+}
+
+const SAMPLE_ENTRIES = {
+    avc1: { config: 'avcC', codec: avcCodec, description: true },
+    avc3: { config: 'avcC', codec: avcCodec, description: true },
+    hvc1: { config: 'hvcC', codec: hevcCodec, description: true },
+    hev1: { config: 'hvcC', codec: hevcCodec, description: true },
+    vp09: { config: 'vpcC', codec: vp9Codec, description: false },
+    av01: { config: 'av1C', codec: av1Codec, description: true }
+};
+
+function parseSampleEntry(view, bytes, stsd) {
+    // version/flags + entry_count, then the first sample entry box
+    const [entry] = readBoxes(view, stsd.start + 8, stsd.end);
+    const format = entry && SAMPLE_ENTRIES[entry.type];
+    if (!format) {
+        throw new Error(`Unsupported MP4 video codec "${entry?.type}"`);
+    }
+
+    // SampleEntry (8) + VisualSampleEntry fields; width/height sit 24 bytes in
+    const width = view.getUint16(entry.start + 24);
+    const height = view.getUint16(entry.start + 26);
+    const config = readBoxes(view, entry.start + VISUAL_SAMPLE_ENTRY_SIZE, entry.end)
+        .find(b => b.type === format.config);
+    if (!config) {
+        throw new Error(`MP4 ${entry.type} track has no ${format.config} box`);
+    }
+    const configBytes = bytes.subarray(config.start, config.end);
+
+    return {
+        codec: format.codec(configBytes, entry.type),
+        codedWidth: width,
+        codedHeight: height,
+        description: format.description ? configBytes.slice() : undefined
+    };
+}
+
+// Display rotation from the tkhd matrix, in degrees (phones store portrait video as
+// rotated landscape)
+function trackRotation(view, tkhd) {
+    const matrix = tkhd.start + (view.getUint8(tkhd.start) === 1 ? 52 : 40);
+    const a = view.getInt32(matrix);
+    const b = view.getInt32(matrix + 4);
+    return (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+}
+
+function fullBoxEntries(view, box) {
+    return { version: view.getUint8(box.start), count: view.getUint32(box.start + 4), first: box.start + 8 };
+}
+
+function parseSamples(view, stbl) {
+    const box = (type) => findBox(view, stbl, [type]);
+
+    const stsz = box('stsz');
+    const stco = box('stco') || box('co64');
+    const stsc = box('stsc');
+    const stts = box('stts');
+    if (!stsz || !stco || !stsc || !stts) {
+        throw new Error('MP4 sample tables incomplete (fragmented MP4?)');
+    }
+
+    // Sizes
+    const fixedSize = view.getUint32(stsz.start + 4);
+    const sampleCount = view.getUint32(stsz.start + 8);
+    const sizes = new Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        sizes[i] = fixedSize || view.getUint32(stsz.start + 12 + i * 4);
+    }
+
+    // Chunk offsets
+    const is64 = stco.type === 'co64';
+    const chunks = fullBoxEntries(view, stco);
+    const chunkOffsets = new Array(chunks.count);
+    for (let i = 0; i < chunks.count; i++) {
+        chunkOffsets[i] = is64
+            ? Number(view.getBigUint64(chunks.first + i * 8))
+            : view.getUint32(chunks.first + i * 4);
+    }
+
+    // Sample -> chunk mapping
+    const stscEntries = fullBoxEntries(view, stsc);
+    const offsets = new Array(sampleCount);
+    let sample = 0;
+    for (let e = 0; e < stscEntries.count; e++) {
+        const base = stscEntries.first + e * 12;
+        const firstChunk = view.getUint32(base) - 1;
+        const perChunk = view.getUint32(base + 4);
+        const lastChunk = e + 1 < stscEntries.count
+            ? view.getUint32(stscEntries.first + (e + 1) * 12) - 1
+            : chunkOffsets.length;
+        for (let c = firstChunk; c < lastChunk && sample < sampleCount; c++) {
+            let offset = chunkOffsets[c];
+            for (let s = 0; s < perChunk && sample < sampleCount; s++) {
+                offsets[sample] = offset;
+                offset += sizes[sample];
+                sample++;
+            }
+        }
+    }
+
+    // Decode timestamps
+    const sttsEntries = fullBoxEntries(view, stts);
+    const dts = new Array(sampleCount);
+    const durations = new Array(sampleCount);
+    let time = 0;
+    sample = 0;
+    for (let e = 0; e < sttsEntries.count; e++) {
+        const count = view.getUint32(sttsEntries.first + e * 8);
+        const delta = view.getUint32(sttsEntries.first + e * 8 + 4);
+        for (let i = 0; i < count && sample < sampleCount; i++) {
+            dts[sample] = time;
+            durations[sample] = delta;
+            time += delta;
+            sample++;
+        }
+    }
+
+    // Composition offsets (B-frames); signed in version 1
+    const ctts = box('ctts');
+    const compositionOffsets = new Array(sampleCount).fill(0);
+    if (ctts) {
+        const entries = fullBoxEntries(view, ctts);
+        sample = 0;
+        for (let e = 0; e < entries.count; e++) {
+            const count = view.getUint32(entries.first + e * 8);
+            const offset = entries.version === 1
+                ? view.getInt32(entries.first + e * 8 + 4)
+                : view.getUint32(entries.first + e * 8 + 4);
+            for (let i = 0; i < count && sample < sampleCount; i++) {
+                compositionOffsets[sample++] = offset;
+            }
+        }
+    }
+
+    // Sync samples; no stss means every sample is a keyframe
+    const stss = box('stss');
+    let sync = null;
+    if (stss) {
+        const entries = fullBoxEntries(view, stss);
+        sync = new Set();
+        for (let e = 0; e < entries.count; e++) {
+            sync.add(view.getUint32(entries.first + e * 4) - 1);
+        }
+    }
+
+    const samples = new Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        samples[i] = {
+            offset: offsets[i],
+            size: sizes[i],
+            dts: dts[i],
+            cts: dts[i] + compositionOffsets[i],
+            duration: durations[i],
+            key: sync ? sync.has(i) : true
+        };
+    }
+    return samples;
+}
+
+// buffer: ArrayBuffer of the whole file. Returns
+// { config: VideoDecoderConfig, timescale, duration, rotation,
+//   samples: [{offset, size, dts, cts, duration, key}] }
+// with samples in decode order. Edit lists are ignored.
+export function parseMp4(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const top = readBoxes(view, 0, buffer.byteLength);
+    const moov = top.find(b => b.type === 'moov');
+    if (!moov) {
+        throw new Error('Not an MP4 file (no moov box)');
+    }
+
+    const traks = readBoxes(view, moov.start, moov.end).filter(b => b.type === 'trak');
+    for (const trak of traks) {
+        const hdlr = findBox(view, trak, ['mdia', 'hdlr']);
+        const handler = hdlr && String.fromCharCode(...bytes.subarray(hdlr.start + 8, hdlr.start + 12));
+        if (handler !== 'vide') continue;
+
+        const mdhd = findBox(view, trak, ['mdia', 'mdhd']);
+        const version = view.getUint8(mdhd.start);
+        const timescale = version === 1 ? view.getUint32(mdhd.start + 20) : view.getUint32(mdhd.start + 12);
+        const duration = version === 1
+            ? Number(view.getBigUint64(mdhd.start + 24))
+            : view.getUint32(mdhd.start + 16);
+
+        const tkhd = findBox(view, trak, ['tkhd']);
+        const rotation = tkhd ? trackRotation(view, tkhd) : 0;
+
+        const stbl = findBox(view, trak, ['mdia', 'minf', 'stbl']);
+        const stsd = findBox(view, stbl, ['stsd']);
+        const config = parseSampleEntry(view, bytes, stsd);
+        const samples = parseSamples(view, stbl);
+        if (samples.length === 0) {
+            throw new Error('MP4 video track has no samples (fragmented MP4?)');
+        }
+        return { config, timescale, duration, rotation, samples };
+    }
+    throw new Error('MP4 file has no video track');
+}
+
+export function isMp4(buffer) {
+    if (buffer.byteLength < 12) return false;
+    const type = String.fromCharCode(...new Uint8Array(buffer, 4, 4));
+    return type === 'ftyp';
+}
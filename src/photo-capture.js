@@ -0,0 +1,115 @@
+// Photo capture
+// Takes a full-resolution still with ImageCapture.takePhoto() when the camera supports
+// it (otherwise the current video frame) and runs it through a dedicated FrameRenderer
+// at native resolution with the latest landmarks, logo included. renderStill() is the
+// same render for any image (see still-image.js).
+//
+// Landmarks are normalized, so they carry over to the still as long as it has the same
+// framing as the video. A photo with a different aspect ratio (the sensor crops
+// differently for stills) would misplace the masks, so the video frame is used instead.
+
+import { FrameRenderer } from './frame-renderer.js';
+import { createCanvas } from './canvas.js';
+import { sourceSize } from './viewport.js';
+import { silentLog } from './logger.js';
+
+const ASPECT_TOLERANCE = 0.02;
+
+async function takeStill(track, video, log) {
+    const videoSize = sourceSize(video);
+
+    if (track && typeof ImageCapture !== 'undefined') {
+        try {
+            const blob = await new ImageCapture(track).takePhoto();
+            const bitmap = await createImageBitmap(blob);
+            const aspectDelta = Math.abs(bitmap.width / bitmap.height - videoSize.width / videoSize.height);
+            if (aspectDelta <= ASPECT_TOLERANCE) {
+                return { image: bitmap, source: 'takePhoto' };
+            }
+            log('CAPTURE', 'Photo framing differs from video, using video frame', {
+                photo: `${bitmap.width}x${bitmap.height}`,
+                video: `${videoSize.width}x${videoSize.height}`
+            });
+            bitmap.close();
+        } catch (error) {
+            log.warn('CAPTURE', 'ImageCapture.takePhoto() failed, using video frame', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+
+    return { image: await createImageBitmap(video), source: 'video' };
+}
+
+function canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), type, quality);
+    });
+}
+
+// Renders `image` at its native resolution with the filter's options (contrast,
+// background, mirror, ...). Resolves to { blob, width, height }
+export async function renderStill({
+    image,
+    faces = [],
+    segmentation = null,
+    options = {},
+    logo = null,
+    backgroundImage = null,
+    type = 'image/jpeg',
+    quality = 0.92,
+    log = silentLog
+}) {
+    const { width, height } = sourceSize(image);
+    const canvas = createCanvas(width, height);
+
+    // Full quality regardless of what the live view has been throttled to
+    const renderer = new FrameRenderer(canvas, {
+        ...options,
+        processingScale: 1,
+        maskStep: 1,
+        analyzeCoverage: false,
+        compactLogo: false,
+        log
+    });
+
+    try {
+        renderer.setLogo(logo);
+        renderer.setBackgroundImage(backgroundImage);
+
+        if (faces.length > 0) {
+            renderer.render('face', image, { faces, segmentation });
+            renderer.drawLogo();
+        } else {
+            // Whole-frame mode draws the logo itself
+            renderer.render('whole', image, { segmentation });
+        }
+
+        const blob = await canvasToBlob(canvas, type, quality);
+        log('CAPTURE', 'Still rendered', {
+            size: `${width}x${height}`,
+            faces: faces.length,
+            renderer: renderer.rendererType,
+            bytes: blob.size
+        });
+        return { blob, width, height };
+    } finally {
+        renderer.destroy();
+    }
+}
+
+// options: renderer options from the live filter (contrast, background, ...)
+// Resolves to { blob, width, height, source: 'takePhoto' | 'video' }
+export async function capturePhoto({ track = null, video, log = silentLog, ...still }) {
+    const { image, source } = await takeStill(track, video, log);
+    try {
+        const result = await renderStill({ ...still, image, log });
+        return { ...result, source };
+    } finally {
+        image.close?.();
+    }
+}
@@ -0,0 +1,365 @@
+// UV look presets
+// A preset is a versioned JSON document describing everything that makes a "look":
+// per-region colour mapping, contrast, feathering, background treatment, how sunscreen
+// is drawn and the watermark. Presets come from the bundled set below, from a URL or
+// from an object, are validated with path-precise errors, and are switched at runtime
+// through renderer.setOptions({ preset }) without touching the camera.
+//
+// Format (version 1; every section except "version" is optional and falls back to
+// the classic look):
+//
+//   {
+//     "version": 1,
+//     "name": "My look",
+//     "description": "...",
+//     "regions": {                      // skin | eye | lip | hair
+//       "skin": {
+//         "threshold": 128,             // brightness split, 0..255
+//         "bright": { "r": [wr, wg, wb, wBrightness], "g": [...], "b": [...],
+//                     "min": [r, g, b], "max": [r, g, b] },
+//         "dark": { ... }
+//       },
+//       "lip": { "r": [...], "g": [...], "b": [...] }   // or one mapping for all
+//     },
+//     "eyebrowBlend": 0.3,              // 0..1, eyebrows tinted towards the hair colour
+//     "contrast": 1.8,                  // 0..4
+//     "feather": { "radius": 2, "strength": 0.25 },
+//     "background": { "treatment": "white", "featherRadius": 8 },
+//     "sunscreen": { "minBrightness": 180, "maxSaturation": 0.3, "color": [0, 0, 0] },
+//     "watermark": { "enabled": true, "image": "./pixxel.png", "text": "UV",
+//                    "position": "bottom-right" },
+//     "luts": { "interpolation": "tetrahedral",   // or "trilinear"
+//               "skin": "./skin.cube", "background": "./bg.cube" }
+//   }
+//
+// Mappings are applied to the inverted pixel: each output channel is
+// wr * r + wg * g + wb * b + wBrightness * (r + g + b) / 3, clamped to [min, max].
+// A region with a .cube LUT (skin, eye, lip, hair or background; 1D or 3D, see
+// cube-lut.js) is graded by the LUT instead, from the same inverted pixel. Paths
+// resolve against the preset's URL.
+
+import { BACKGROUNDS } from './background-compositor.js';
+import { LUT_INTERPOLATIONS, isCubeLUT, loadCube } from './cube-lut.js';
+import { DEFAULT_SUNSCREEN, DEFAULT_WATERMARK, WATERMARK_POSITIONS } from './frame-renderer.js';
+import { BLUR_STRENGTH, CLASSIC_REGIONS, EYEBROW_BLEND, LOOK_REGIONS, LUT_REGIONS } from './uv-pipeline.js';
+
+export const PRESET_VERSION = 1;
+
+// problems: ['regions.skin.bright.r: expected 4 numbers', ...]
+export class PresetError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}:\n  ${problems.join('\n  ')}` : message);
+        this.name = 'PresetError';
+        this.problems = problems;
+    }
+}
+
+// Validation helpers: each checks `value` at `path` and pushes readable problems
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'string') return `"${value}"`;
+    return typeof value === 'number' ? String(value) : typeof value;
+}
+
+function checkObject(value, path, keys, problems) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push(`${path}: expected an object, got ${describe(value)}`);
+        return false;
+    }
+    for (const key of Object.keys(value)) {
+        if (!keys.includes(key)) {
+            problems.push(`${path ? `${path}.` : ''}${key}: unknown field (expected one of ${keys.join(', ')})`);
+        }
+    }
+    return true;
+}
+
+function checkNumber(value, path, min, max, problems, { integer = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${path}: expected a number, got ${describe(value)}`);
+    } else if (integer && !Number.isInteger(value)) {
+        problems.push(`${path}: expected a whole number, got ${value}`);
+    } else if (value < min || value > max) {
+        problems.push(`${path}: ${value} is out of range (${min}..${max})`);
+    }
+}
+
+function checkVector(value, path, length, min, max, problems) {
+    if (!Array.isArray(value) || value.length !== length) {
+        problems.push(`${path}: expected ${length} numbers, got ${describe(value)}`);
+        return;
+    }
+    value.forEach((item, index) => checkNumber(item, `${path}[${index}]`, min, max, problems));
+}
+
+function checkOneOf(value, path, allowed, problems) {
+    if (!allowed.includes(value)) {
+        problems.push(`${path}: expected one of ${allowed.join(', ')}, got ${describe(value)}`);
+    }
+}
+
+function checkString(value, path, problems, { nullable = false } = {}) {
+    if (typeof value !== 'string' && !(nullable && value === null)) {
+        problems.push(`${path}: expected a string${nullable ? ' or null' : ''}, got ${describe(value)}`);
+    }
+}
+
+// Keeps weights sane: anything beyond this is almost certainly a typo
+const MAX_WEIGHT = 8;
+
+function checkMapping(mapping, path, problems) {
+    if (!checkObject(mapping, path, ['r', 'g', 'b', 'min', 'max'], problems)) return;
+    for (const channel of ['r', 'g', 'b']) {
+        checkVector(mapping[channel], `${path}.${channel}`, 4, -MAX_WEIGHT, MAX_WEIGHT, problems);
+    }
+    for (const bound of ['min', 'max']) {
+        if (mapping[bound] !== undefined) {
+            checkVector(mapping[bound], `${path}.${bound}`, 3, 0, 255, problems);
+        }
+    }
+}
+
+function checkRegion(region, path, problems) {
+    // Either one mapping, or a brightness split between two
+    if (region && typeof region === 'object' && 'threshold' in region) {
+        if (!checkObject(region, path, ['threshold', 'bright', 'dark'], problems)) return;
+        checkNumber(region.threshold, `${path}.threshold`, 0, 255, problems);
+        checkMapping(region.bright, `${path}.bright`, problems);
+        checkMapping(region.dark, `${path}.dark`, problems);
+    } else {
+        checkMapping(region, path, problems);
+    }
+}
+
+function checkContrast(contrast, problems) {
+    checkNumber(contrast, 'contrast', 0, 4, problems);
+    // contrastFactor() divides by (259 - contrast * 255)
+    if (typeof contrast === 'number' && Math.abs(contrast * 255 - 259) < 1) {
+        problems.push(`contrast: ${contrast} is too close to ${(259 / 255).toFixed(4)}, where contrast is undefined`);
+    }
+}
+
+const SECTIONS = {
+    version: () => {},
+    name: (value, problems) => checkString(value, 'name', problems),
+    description: (value, problems) => checkString(value, 'description', problems),
+    regions: (regions, problems) => {
+        if (!checkObject(regions, 'regions', LOOK_REGIONS, problems)) return;
+        for (const [name, region] of Object.entries(regions)) {
+            if (LOOK_REGIONS.includes(name)) checkRegion(region, `regions.${name}`, problems);
+        }
+    },
+    eyebrowBlend: (value, problems) => checkNumber(value, 'eyebrowBlend', 0, 1, problems),
+    contrast: checkContrast,
+    feather: (feather, problems) => {
+        if (!checkObject(feather, 'feather', ['radius', 'strength'], problems)) return;
+        if (feather.radius !== undefined) {
+            checkNumber(feather.radius, 'feather.radius', 0, 8, problems, { integer: true });
+        }
+        if (feather.strength !== undefined) {
+            checkNumber(feather.strength, 'feather.strength', 0, 1, problems);
+        }
+    },
+    background: (background, problems) => {
+        if (!checkObject(background, 'background', ['treatment', 'featherRadius'], problems)) return;
+        if (background.treatment !== undefined) {
+            checkOneOf(background.treatment, 'background.treatment', BACKGROUNDS, problems);
+        }
+        if (background.featherRadius !== undefined) {
+            checkNumber(background.featherRadius, 'background.featherRadius', 0, 64, problems);
+        }
+    },
+    sunscreen: (sunscreen, problems) => {
+        if (!checkObject(sunscreen, 'sunscreen', ['minBrightness', 'maxSaturation', 'color'], problems)) return;
+        if (sunscreen.minBrightness !== undefined) {
+            checkNumber(sunscreen.minBrightness, 'sunscreen.minBrightness', 0, 255, problems);
+        }
+        if (sunscreen.maxSaturation !== undefined) {
+            checkNumber(sunscreen.maxSaturation, 'sunscreen.maxSaturation', 0, 1, problems);
+        }
+        if (sunscreen.color !== undefined) {
+            checkVector(sunscreen.color, 'sunscreen.color', 3, 0, 255, problems);
+        }
+    },
+    watermark: (watermark, problems) => {
+        if (!checkObject(watermark, 'watermark', ['enabled', 'image', 'text', 'position'], problems)) return;
+        if (watermark.enabled !== undefined && typeof watermark.enabled !== 'boolean') {
+            problems.push(`watermark.enabled: expected true or false, got ${describe(watermark.enabled)}`);
+        }
+        if (watermark.image !== undefined) {
+            checkString(watermark.image, 'watermark.image', problems, { nullable: true });
+        }
+        if (watermark.text !== undefined) {
+            checkString(watermark.text, 'watermark.text', problems);
+        }
+        if (watermark.position !== undefined) {
+            checkOneOf(watermark.position, 'watermark.position', WATERMARK_POSITIONS, problems);
+        }
+    },
+    luts: (luts, problems) => {
+        if (!checkObject(luts, 'luts', ['interpolation', ...LUT_REGIONS], problems)) return;
+        if (luts.interpolation !== undefined) {
+            checkOneOf(luts.interpolation, 'luts.interpolation', LUT_INTERPOLATIONS, problems);
+        }
+        for (const name of LUT_REGIONS) {
+            // A path to a .cube file, or one already parsed (cube-lut.js parseCube)
+            if (luts[name] !== undefined && !isCubeLUT(luts[name])) {
+                checkString(luts[name], `luts.${name}`, problems, { nullable: true });
+            }
+        }
+    }
+};
+
+// The look this app has always had; every other preset is merged over it
+export const CLASSIC_PRESET = {
+    version: PRESET_VERSION,
+    name: 'Classic',
+    description: 'Pale glowing skin, deep blue shadows where sunscreen or sun damage is',
+    regions: CLASSIC_REGIONS,
+    eyebrowBlend: EYEBROW_BLEND,
+    contrast: 1.8,
+    feather: { radius: 2, strength: BLUR_STRENGTH },
+    background: { treatment: 'white', featherRadius: 8 },
+    sunscreen: DEFAULT_SUNSCREEN,
+    watermark: { ...DEFAULT_WATERMARK, image: './pixxel.png' },
+    luts: { interpolation: 'trilinear' }
+};
+
+// Same brightness for every channel of a region
+function grey(weight, extra = {}) {
+    return { r: [0, 0, 0, weight], g: [0, 0, 0, weight], b: [0, 0, 0, weight], ...extra };
+}
+
+export const BUNDLED_PRESETS = {
+    classic: CLASSIC_PRESET,
+    mono: {
+        version: PRESET_VERSION,
+        name: 'Mono',
+        description: 'Black and white UV photo: bright skin, dark sunscreen',
+        regions: {
+            skin: { threshold: 128, bright: grey(1.1, { min: [190, 190, 190] }), dark: grey(0.4) },
+            eye: { threshold: 100, bright: grey(1.4), dark: grey(0.2) },
+            lip: grey(0.6),
+            hair: grey(1.1)
+        },
+        contrast: 0.3,
+        background: { treatment: 'dark', featherRadius: 8 },
+        sunscreen: { color: [0, 0, 0] },
+        watermark: { position: 'bottom-left' }
+    },
+    blacklight: {
+        version: PRESET_VERSION,
+        name: 'Blacklight',
+        description: 'Violet glow with magenta shadows, like a club blacklight',
+        regions: {
+            skin: {
+                threshold: 128,
+                bright: { r: [0.2, 0, 0.3, 0.5], g: [0, 0.1, 0, 0.4], b: [0, 0, 0.3, 0.9], min: [120, 80, 200] },
+                dark: { r: [0.6, 0, 0.4, 0], g: [0, 0.1, 0.1, 0], b: [0.2, 0, 1.1, 0], min: [40, 0, 90] }
+            },
+            eye: { threshold: 100, bright: grey(1.5, { min: [180, 180, 255] }), dark: grey(0.2) },
+            lip: { r: [0.8, 0.2, 0.4, 0], g: [0, 0.3, 0, 0], b: [0.3, 0, 0.8, 0] },
+            hair: { r: [0, 0, 0, 0.5], g: [0, 0, 0, 0.3], b: [0, 0, 0, 0.9] }
+        },
+        eyebrowBlend: 0.4,
+        contrast: 0.3,
+        feather: { radius: 3, strength: 0.35 },
+        background: { treatment: 'dark', featherRadius: 12 },
+        sunscreen: { color: [20, 0, 60] }
+    }
+};
+
+// Checks a parsed preset and returns it merged over the classic look (sections are
+// merged one level deep, so `"background": { "treatment": "blur" }` keeps the classic
+// feather radius). Throws PresetError listing every problem found.
+export function validatePreset(json) {
+    const problems = [];
+    if (!checkObject(json, '', Object.keys(SECTIONS), problems)) {
+        throw new PresetError('Invalid preset', problems);
+    }
+    if (json.version === undefined) {
+        problems.push(`version: missing (this app reads version ${PRESET_VERSION})`);
+    } else if (json.version !== PRESET_VERSION) {
+        problems.push(`version: ${describe(json.version)} is not supported (expected ${PRESET_VERSION})`);
+    }
+    for (const [key, check] of Object.entries(SECTIONS)) {
+        if (json[key] !== undefined) check(json[key], problems);
+    }
+    if (problems.length) {
+        throw new PresetError(`Invalid preset${typeof json.name === 'string' ? ` "${json.name}"` : ''}`, problems);
+    }
+
+    const preset = { ...CLASSIC_PRESET, name: json.name ?? 'Custom', description: json.description ?? '' };
+    for (const key of ['regions', 'feather', 'background', 'sunscreen', 'watermark', 'luts']) {
+        if (json[key] !== undefined) preset[key] = { ...CLASSIC_PRESET[key], ...json[key] };
+    }
+    for (const key of ['eyebrowBlend', 'contrast']) {
+        if (json[key] !== undefined) preset[key] = json[key];
+    }
+    return preset;
+}
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new PresetError(`Preset is not valid JSON (${error.message})`);
+    }
+}
+
+export function parsePreset(text) {
+    return validatePreset(parseJSON(text));
+}
+
+// Replaces .cube paths in preset.luts with the parsed LUTs
+async function loadLUTs(preset, baseUrl) {
+    const entries = LUT_REGIONS
+        .map(name => [name, preset.luts[name]])
+        .filter(([, lut]) => typeof lut === 'string' && lut !== '');
+    if (!entries.length) return preset;
+
+    const problems = [];
+    const loaded = await Promise.all(entries.map(async ([name, path]) => {
+        try {
+            return [name, await loadCube(new URL(path, baseUrl).href)];
+        } catch (error) {
+            problems.push(`luts.${name}: ${error.message}`);
+            return [name, null];
+        }
+    }));
+    if (problems.length) {
+        throw new PresetError(`Could not load the LUTs of preset "${preset.name}"`, problems);
+    }
+    return { ...preset, luts: { ...preset.luts, ...Object.fromEntries(loaded) } };
+}
+
+// source: a bundled preset name, a URL to a .json preset, or a preset object.
+// Relative watermark images and LUTs in a fetched preset resolve against the preset's URL.
+export async function loadPreset(source) {
+    if (typeof source === 'string' && BUNDLED_PRESETS[source]) {
+        return loadLUTs(validatePreset(BUNDLED_PRESETS[source]), document.baseURI);
+    }
+    if (typeof source !== 'string') {
+        return loadLUTs(validatePreset(source), document.baseURI);
+    }
+
+    // A bare word can only be a (misspelt) bundled name
+    if (!/[/.]/.test(source)) {
+        throw new PresetError(`Unknown preset "${source}" (bundled: ${Object.keys(BUNDLED_PRESETS).join(', ')})`);
+    }
+    const url = new URL(source, document.baseURI);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new PresetError(`Could not load preset ${url.href} (HTTP ${response.status})`);
+    }
+    const json = parseJSON(await response.text());
+    const preset = validatePreset(json);
+    // Only an image the file names itself is relative to it; one inherited from the
+    // defaults stays relative to the page
+    if (preset.watermark.image && typeof json.watermark?.image === 'string') {
+        preset.watermark = { ...preset.watermark, image: new URL(preset.watermark.image, url).href };
+    }
+    return loadLUTs(preset, url);
+}
@@ -0,0 +1,170 @@
+// Adaptive quality governor
+// Measures per-frame render time and face-detection time and steps the quality level
+// up or down to hold the target frame rate. Hysteresis comes from three things:
+//   - a dead band between the downgrade and upgrade thresholds,
+//   - requiring a run of consecutive frames on one side before acting,
+//   - a cooldown after every change, plus an upgrade back-off whenever a freshly
+//     upgraded level turns out to be too slow (stops up/down oscillation).
+
+// Index 0 is the best quality. processingScale is the internal resolution relative to
+// the display canvas, maskStep the region-mask grid step, detectEvery the number of
+// camera frames per FaceMesh detection.
+export const QUALITY_LEVELS = [
+    { name: 'ultra', processingScale: 1, maskStep: 1, blurRadius: 2, detectEvery: 1 },
+    { name: 'high', processingScale: 0.75, maskStep: 1, blurRadius: 2, detectEvery: 1 },
+    { name: 'medium', processingScale: 0.6, maskStep: 2, blurRadius: 1, detectEvery: 2 },
+    { name: 'low', processingScale: 0.5, maskStep: 2, blurRadius: 1, detectEvery: 2 },
+    { name: 'minimal', processingScale: 0.35, maskStep: 4, blurRadius: 0, detectEvery: 3 }
+];
+
+export function levelForScale(levels, processingScale) {
+    let best = 0;
+    levels.forEach((level, index) => {
+        if (Math.abs(level.processingScale - processingScale) < Math.abs(levels[best].processingScale - processingScale)) {
+            best = index;
+        }
+    });
+    return best;
+}
+
+export class QualityGovernor {
+    constructor(options = {}) {
+        this.levels = options.levels || QUALITY_LEVELS;
+        this.levelIndex = Math.min(
+            this.levels.length - 1,
+            Math.max(0, options.initialLevel ?? levelForScale(this.levels, options.processingScale ?? 0.75))
+        );
+        this.setTargetFPS(options.targetFPS ?? 30);
+
+        this.enabled = options.enabled ?? true;
+        this.smoothing = options.smoothing ?? 0.1; // EMA weight of the newest sample
+        this.downgradeRatio = options.downgradeRatio ?? 0.9; // cost above 90% of budget
+        this.upgradeRatio = options.upgradeRatio ?? 0.5; // cost below 50% of budget
+        this.downgradeAfter = options.downgradeAfter ?? 10; // consecutive frames
+        this.upgradeAfter = options.upgradeAfter ?? 90;
+        this.cooldownMs = options.cooldownMs ?? 1500;
+        this.flapWindowMs = options.flapWindowMs ?? 5000;
+        this.maxUpgradeBackoff = options.maxUpgradeBackoff ?? 8;
+        this.maxDecisions = options.maxDecisions ?? 50;
+        this.now = options.now || (() => performance.now());
+
+        this.renderMs = null;
+        this.detectMs = null;
+        this.overBudgetFrames = 0;
+        this.underBudgetFrames = 0;
+        this.upgradeBackoff = 1;
+        this.lastChangeAt = -Infinity;
+        this.lastUpgradeAt = -Infinity;
+        this.decisions = [];
+    }
+
+    get level() {
+        return this.levels[this.levelIndex];
+    }
+
+    setTargetFPS(fps) {
+        this.targetFPS = fps;
+        this.budgetMs = 1000 / fps;
+    }
+
+    ema(previous, sample) {
+        return previous === null ? sample : previous + (sample - previous) * this.smoothing;
+    }
+
+    recordDetection(ms) {
+        this.detectMs = this.ema(this.detectMs, ms);
+    }
+
+    // Estimated main-loop cost of one displayed frame at the current level
+    frameCost() {
+        const detectEvery = this.level.detectEvery || 1;
+        return (this.renderMs ?? 0) + (this.detectMs ?? 0) / detectEvery;
+    }
+
+    // Call once per rendered frame. Returns the decision when the level changes.
+    recordFrame(renderMs) {
+        this.renderMs = this.ema(this.renderMs, renderMs);
+        if (!this.enabled) return null;
+
+        const cost = this.frameCost();
+        const ratio = cost / this.budgetMs;
+        if (ratio > this.downgradeRatio) {
+            this.overBudgetFrames++;
+            this.underBudgetFrames = 0;
+        } else if (ratio < this.upgradeRatio) {
+            this.underBudgetFrames++;
+            this.overBudgetFrames = 0;
+        } else {
+            this.overBudgetFrames = 0;
+            this.underBudgetFrames = 0;
+        }
+
+        const now = this.now();
+        if (now - this.lastChangeAt < this.cooldownMs) {
+            return null;
+        }
+
+        if (this.overBudgetFrames >= this.downgradeAfter && this.levelIndex < this.levels.length - 1) {
+            if (now - this.lastUpgradeAt < this.flapWindowMs) {
+                // The level we just moved up to can't hold the budget: wait longer next time
+                this.upgradeBackoff = Math.min(this.maxUpgradeBackoff, this.upgradeBackoff * 2);
+            }
+            return this.changeLevel(this.levelIndex + 1, 'over budget', cost, now);
+        }
+
+        if (this.underBudgetFrames >= this.upgradeAfter * this.upgradeBackoff && this.levelIndex > 0) {
+            this.lastUpgradeAt = now;
+            return this.changeLevel(this.levelIndex - 1, 'headroom', cost, now);
+        }
+
+        return null;
+    }
+
+    changeLevel(index, reason, cost, now) {
+        const decision = {
+            at: now,
+            from: this.level.name,
+            to: this.levels[index].name,
+            reason,
+            costMs: Math.round(cost * 10) / 10,
+            budgetMs: Math.round(this.budgetMs * 10) / 10,
+            upgradeBackoff: this.upgradeBackoff
+        };
+        this.levelIndex = index;
+        this.lastChangeAt = now;
+        this.overBudgetFrames = 0;
+        this.underBudgetFrames = 0;
+        // Old timings describe the previous level
+        this.renderMs = null;
+
+        this.decisions.push(decision);
+        if (this.decisions.length > this.maxDecisions) {
+            this.decisions.shift();
+        }
+        return { ...decision, level: this.level };
+    }
+
+    // Force a level (e.g. from config), without counting as a decision
+    setLevel(index) {
+        this.levelIndex = Math.min(this.levels.length - 1, Math.max(0, index));
+        this.lastChangeAt = this.now();
+        this.renderMs = null;
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            levelIndex: this.levelIndex,
+            level: { ...this.level },
+            targetFPS: this.targetFPS,
+            budgetMs: this.budgetMs,
+            renderMs: this.renderMs,
+            detectMs: this.detectMs,
+            frameCostMs: this.frameCost(),
+            overBudgetFrames: this.overBudgetFrames,
+            underBudgetFrames: this.underBudgetFrames,
+            upgradeBackoff: this.upgradeBackoff,
+            decisions: this.decisions.slice()
+        };
+    }
+}
@@ -0,0 +1,186 @@
+// Canvas recording
+// Records the display canvas (canvas.captureStream) plus an optional microphone track
+// with MediaRecorder. The container/codec is negotiated from RECORDING_FORMATS in order
+// of preference. The recording indicator is drawn on a separate overlay canvas, so it
+// is visible on screen but never part of the recorded stream.
+
+import { silentLog } from './logger.js';
+
+// Preferred first; audio codecs are dropped when there is no audio track
+export const RECORDING_FORMATS = [
+    { mimeType: 'video/webm;codecs=vp9', audio: 'opus', extension: 'webm' },
+    { mimeType: 'video/webm;codecs=vp8', audio: 'opus', extension: 'webm' },
+    { mimeType: 'video/mp4;codecs=avc1.42E01E', audio: 'mp4a.40.2', extension: 'mp4' },
+    { mimeType: 'video/webm', audio: null, extension: 'webm' },
+    { mimeType: 'video/mp4', audio: null, extension: 'mp4' }
+];
+
+function formatMimeType(format, withAudio) {
+    if (!withAudio || !format.audio) return format.mimeType;
+    return `${format.mimeType},${format.audio}`;
+}
+
+// First supported format as { mimeType, extension }, or null if MediaRecorder
+// supports none of them
+export function negotiateFormat(withAudio, isTypeSupported = (type) => MediaRecorder.isTypeSupported(type)) {
+    for (const format of RECORDING_FORMATS) {
+        const mimeType = formatMimeType(format, withAudio);
+        if (isTypeSupported(mimeType)) {
+            return { mimeType, extension: format.extension };
+        }
+    }
+    return null;
+}
+
+export class CanvasRecorder {
+    static isSupported(canvas) {
+        return typeof MediaRecorder !== 'undefined' && typeof canvas?.captureStream === 'function';
+    }
+
+    constructor(canvas, { fps = 30, maxDurationMs = 60000, videoBitsPerSecond = 5000000, log = silentLog, onStop = () => {} } = {}) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.maxDurationMs = maxDurationMs;
+        this.videoBitsPerSecond = videoBitsPerSecond;
+        this.log = log;
+        // Called with the finished clip, whether stopped by stop() or by maxDurationMs
+        this.onStop = onStop;
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.format = null;
+        this.startTime = 0;
+        this.maxDurationTimer = null;
+        this.stopPromise = null;
+    }
+
+    get recording() {
+        return this.recorder !== null;
+    }
+
+    get elapsedMs() {
+        return this.recording ? performance.now() - this.startTime : 0;
+    }
+
+    // audioTrack: optional microphone MediaStreamTrack (not stopped when recording ends)
+    start({ audioTrack = null } = {}) {
+        if (this.recording) {
+            throw new Error('Already recording');
+        }
+
+        const format = negotiateFormat(!!audioTrack);
+        if (!format) {
+            throw new Error('No supported recording format');
+        }
+
+        const stream = this.canvas.captureStream(this.fps);
+        if (audioTrack) {
+            stream.addTrack(audioTrack);
+        }
+
+        const recorder = new MediaRecorder(stream, {
+            mimeType: format.mimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+        this.chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+
+        this.stopPromise = new Promise((resolve, reject) => {
+            recorder.onstop = () => resolve(this.finish());
+            recorder.onerror = (event) => {
+                this.cleanup();
+                reject(event.error || new Error('MediaRecorder error'));
+            };
+        });
+        // Rejections are also reported through stop(); don't leave this one unhandled
+        this.stopPromise.catch(() => {});
+
+        this.recorder = recorder;
+        this.stream = stream;
+        this.format = format;
+        this.startTime = performance.now();
+        // Timeslice so a crash mid-recording still leaves most of the clip in chunks
+        recorder.start(1000);
+
+        this.maxDurationTimer = setTimeout(() => {
+            this.log('RECORDING', 'Maximum duration reached, stopping', { maxDurationMs: this.maxDurationMs });
+            this.stop();
+        }, this.maxDurationMs);
+
+        this.log('RECORDING', 'Recording started', {
+            mimeType: format.mimeType,
+            audio: !!audioTrack,
+            fps: this.fps,
+            maxDurationMs: this.maxDurationMs
+        });
+        return format;
+    }
+
+    // Resolves to { blob, mimeType, extension, durationMs }
+    stop() {
+        if (!this.recording) {
+            return Promise.reject(new Error('Not recording'));
+        }
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        return this.stopPromise;
+    }
+
+    finish() {
+        const durationMs = performance.now() - this.startTime;
+        const { mimeType, extension } = this.format;
+        const blob = new Blob(this.chunks, { type: mimeType.split(';')[0] });
+        this.cleanup();
+
+        const clip = { blob, mimeType, extension, durationMs };
+        this.log('RECORDING', 'Recording finished', { mimeType, durationMs, bytes: blob.size });
+        this.onStop(clip);
+        return clip;
+    }
+
+    cleanup() {
+        clearTimeout(this.maxDurationTimer);
+        this.maxDurationTimer = null;
+        // Only the canvas tracks belong to us; the microphone track is the caller's
+        this.stream?.getVideoTracks().forEach(track => track.stop());
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+    }
+}
+
+// Red dot + elapsed / max time in the top-left corner of the overlay
+export function drawRecordingIndicator(ctx, elapsedMs, maxDurationMs) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    const scale = Math.max(1, Math.min(width, height) / 400);
+    const formatTime = (ms) => {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    const x = 16 * scale;
+    const y = 24 * scale;
+
+    // Blink once a second
+    if (Math.floor(elapsedMs / 500) % 2 === 0) {
+        ctx.fillStyle = '#ff3b30';
+        ctx.beginPath();
+        ctx.arc(x + 6 * scale, y, 6 * scale, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.font = `bold ${14 * scale}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    const label = `${formatTime(elapsedMs)} / ${formatTime(maxDurationMs)}`;
+    ctx.fillText(label, x + 19 * scale, y + scale);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, x + 18 * scale, y);
+}
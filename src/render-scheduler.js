@@ -0,0 +1,184 @@
+// Render scheduler
+// One requestAnimationFrame loop for the whole app, driven by an explicit state machine.
+// What gets drawn each tick depends only on the current state; everything else (camera
+// events, FaceMesh results, errors, page visibility) requests a state transition.
+//
+//   booting ──> camera-ready ──> detector-loading ──> face-tracked <──> no-face
+//                    │                  │                   │              │
+//                    └──────────────────┴─────> hard-fallback <────────────┘
+//
+//   any state ──> paused ──> (back to the state it paused from)
+//   any state ──> error ──> booting (restart)
+//   any state ──> booting (frame source switched)
+//
+// The scheduler never touches the camera or the DOM: rAF, the clock and the render
+// callback are injected, so transitions can be driven by hand without a camera.
+
+import { silentLog } from './logger.js';
+
+export const RENDER_STATES = {
+    BOOTING: 'booting',
+    CAMERA_READY: 'camera-ready',
+    DETECTOR_LOADING: 'detector-loading',
+    FACE_TRACKED: 'face-tracked',
+    NO_FACE: 'no-face',
+    HARD_FALLBACK: 'hard-fallback',
+    PAUSED: 'paused',
+    ERROR: 'error'
+};
+
+const S = RENDER_STATES;
+
+// Allowed targets per state; paused, error and booting are reachable from everywhere
+const TRANSITIONS = {
+    [S.BOOTING]: [S.CAMERA_READY, S.HARD_FALLBACK],
+    [S.CAMERA_READY]: [S.DETECTOR_LOADING, S.HARD_FALLBACK],
+    [S.DETECTOR_LOADING]: [S.FACE_TRACKED, S.NO_FACE, S.HARD_FALLBACK],
+    [S.FACE_TRACKED]: [S.NO_FACE, S.HARD_FALLBACK],
+    [S.NO_FACE]: [S.FACE_TRACKED, S.HARD_FALLBACK],
+    // A new camera stream starts over from camera-ready
+    [S.HARD_FALLBACK]: [S.CAMERA_READY],
+    [S.PAUSED]: [],
+    [S.ERROR]: [S.BOOTING]
+};
+
+// States with nothing to draw don't keep the rAF loop alive
+const IDLE_STATES = new Set([S.BOOTING, S.PAUSED, S.ERROR]);
+
+const HISTORY_LIMIT = 50;
+
+export function canTransition(from, to) {
+    if (from === to) return false;
+    if (to === S.PAUSED || to === S.ERROR || to === S.BOOTING) return true;
+    return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+export class RenderScheduler {
+    constructor({
+        render = () => {},
+        log = silentLog,
+        onTransition = () => {},
+        frameInterval = 1000 / 30,
+        requestFrame = (callback) => requestAnimationFrame(callback),
+        cancelFrame = (id) => cancelAnimationFrame(id),
+        now = () => performance.now()
+    } = {}) {
+        this.render = render;
+        this.log = log;
+        this.onTransition = onTransition;
+        this.frameInterval = frameInterval;
+        this.requestFrame = requestFrame;
+        this.cancelFrame = cancelFrame;
+        this.now = now;
+
+        this.state = S.BOOTING;
+        this.resumeState = null;
+        this.frameId = null;
+        this.lastTickTime = -Infinity;
+        this.history = [];
+    }
+
+    get running() {
+        return this.frameId !== null;
+    }
+
+    can(to) {
+        // Paused only ends through resume() or an error
+        if (this.state === S.PAUSED) return to === S.ERROR;
+        return canTransition(this.state, to);
+    }
+
+    // Returns false (and logs) when the transition is not allowed from the current state
+    transition(to, reason = '', data = null) {
+        if (to === this.state) return false;
+        if (!this.can(to)) {
+            this.log('SCHEDULER', `Ignored transition ${this.state} -> ${to}`, { reason });
+            return false;
+        }
+        this.enter(to, reason, data);
+        return true;
+    }
+
+    enter(to, reason, data) {
+        const from = this.state;
+        this.state = to;
+        const entry = { from, to, reason, time: this.now() };
+        this.history.push(entry);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.log('SCHEDULER', `${from} -> ${to}${reason ? ` (${reason})` : ''}`, data);
+
+        this.updateLoop();
+        this.onTransition(entry);
+    }
+
+    pause(reason = 'paused') {
+        if (this.state === S.PAUSED || this.state === S.ERROR) return false;
+        this.resumeState = this.state;
+        this.enter(S.PAUSED, reason, null);
+        return true;
+    }
+
+    resume(reason = 'resumed') {
+        if (this.state !== S.PAUSED) return false;
+        const target = this.resumeState;
+        this.resumeState = null;
+        this.enter(target, reason, null);
+        return true;
+    }
+
+    setFrameInterval(frameInterval) {
+        this.frameInterval = frameInterval;
+    }
+
+    updateLoop() {
+        if (IDLE_STATES.has(this.state)) {
+            this.stop();
+        } else if (!this.running) {
+            // Draw on the next frame without waiting out the throttle
+            this.lastTickTime = -Infinity;
+            this.frameId = this.requestFrame(() => this.tick());
+        }
+    }
+
+    // One loop iteration; public so the loop can be stepped by hand (e.g. with a fake rAF)
+    tick() {
+        this.frameId = null;
+        if (IDLE_STATES.has(this.state)) return;
+
+        const now = this.now();
+        if (now - this.lastTickTime >= this.frameInterval) {
+            this.lastTickTime = now;
+            try {
+                this.render(this.state, now);
+            } catch (error) {
+                this.log.error('SCHEDULER', `Error rendering in state ${this.state}`, {
+                    name: error.name,
+                    message: error.message
+                });
+            }
+        }
+
+        // render() may have transitioned (and already rescheduled); keep a single loop
+        if (!this.running && !IDLE_STATES.has(this.state)) {
+            this.frameId = this.requestFrame(() => this.tick());
+        }
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            this.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            resumeState: this.resumeState,
+            running: this.running,
+            history: [...this.history]
+        };
+    }
+}
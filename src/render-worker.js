@@ -0,0 +1,90 @@
+// Render worker
+// Owns the OffscreenCanvas transferred from #canvas and runs the pixel pipeline off
+// the main thread. See worker-protocol.js for the message format.
+
+import { FrameRenderer } from './frame-renderer.js';
+import { MSG, createMessage, isMessage } from './worker-protocol.js';
+import { leveledLog } from './logger.js';
+
+let renderer = null;
+let postedCoverage = null;
+
+function post(type, payload) {
+    self.postMessage(createMessage(type, payload));
+}
+
+// The main thread's logger decides what to keep (worker-pipeline.js)
+const log = leveledLog((level, category, message, data) => {
+    post(MSG.LOG, { level, category, message, data });
+});
+
+function closeFrame(frame) {
+    try {
+        frame?.close?.();
+    } catch (error) {
+        // Already closed
+    }
+}
+
+function renderFrame(message) {
+    const { frameId, mode, frame, faces, segmentation } = message;
+    const start = performance.now();
+    try {
+        if (!renderer) {
+            throw new Error('Render worker not initialized');
+        }
+        try {
+            renderer.render(mode, frame, { faces, segmentation });
+        } catch (error) {
+            // Same recovery as the main-thread path: show something rather than nothing
+            if (mode !== 'face') throw error;
+            log.error('RENDER', 'Error in worker face render, drawing inverted frame', {
+                name: error.name,
+                message: error.message
+            });
+            renderer.render('inverted', frame);
+        }
+        const renderMs = performance.now() - start;
+        // Coverage results are small, but only send them when they have changed
+        const coverage = renderer.lastCoverage !== postedCoverage ? renderer.lastCoverage : undefined;
+        postedCoverage = renderer.lastCoverage;
+        post(MSG.RENDERED, { frameId, mode, renderMs, coverage });
+    } catch (error) {
+        post(MSG.ERROR, { frameId, message: error.message });
+    } finally {
+        closeFrame(frame);
+        closeFrame(segmentation);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (isMessage(message, MSG.INIT)) {
+        try {
+            renderer = new FrameRenderer(message.canvas, { ...message.options, log });
+            post(MSG.READY, { renderer: renderer.rendererType });
+        } catch (error) {
+            post(MSG.ERROR, { frameId: null, message: error.message });
+        }
+    } else if (isMessage(message, MSG.FRAME)) {
+        renderFrame(message);
+    } else if (isMessage(message, MSG.LOGO)) {
+        renderer?.setLogo(message.image);
+    } else if (isMessage(message, MSG.BACKGROUND)) {
+        renderer?.setBackgroundImage(message.image);
+    } else if (isMessage(message, MSG.CALIBRATE)) {
+        renderer?.calibrateCoverage();
+    } else if (isMessage(message, MSG.RESIZE)) {
+        renderer?.resize(message.width, message.height);
+    } else if (isMessage(message, MSG.OPTIONS)) {
+        const { type, ...options } = message;
+        renderer?.setOptions(options);
+    } else if (isMessage(message, MSG.DISPOSE)) {
+        renderer?.destroy();
+        renderer = null;
+        self.close();
+    } else {
+        log('WORKER', 'Unknown message', { type: message?.type });
+    }
+};
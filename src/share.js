@@ -0,0 +1,48 @@
+// Hand a finished capture to the user: Web Share sheet where files can be shared,
+// otherwise a download.
+
+import { silentLog } from './logger.js';
+
+export function captureFilename(extension, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `uv-filter-${stamp}.${extension}`;
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Resolves to 'shared', 'cancelled' or 'downloaded'
+export async function shareOrDownload(blob, filename, { title = 'UV Filter', log = silentLog } = {}) {
+    const file = typeof File !== 'undefined' ? new File([blob], filename, { type: blob.type }) : null;
+
+    if (file && navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return 'cancelled';
+            }
+            // NotAllowedError: the tap's user activation expired while we were processing
+            log.warn('SHARE', 'Web Share failed, downloading instead', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+
+    downloadBlob(blob, filename);
+    return 'downloaded';
+}
@@ -0,0 +1,134 @@
+// Still-image input
+// Loads a picture from a file picker, drag-and-drop or paste, and finds faces in it
+// with a FaceMesh instance of its own running in staticImageMode (the live instance
+// keeps tracking state between video frames). Video export (video-export.js) reuses the
+// detector with staticImageMode off, feeding it one decoded frame at a time.
+
+import { silentLog } from './logger.js';
+import { sourceSize } from './viewport.js';
+
+// EXIF orientation applied, so phone photos come out upright
+export function loadImage(blob) {
+    return createImageBitmap(blob, { imageOrientation: 'from-image' });
+}
+
+// First file of the given kind ('image/', 'video/') in a DataTransfer (drop) or
+// clipboard event payload, or null
+export function fileFrom(dataTransfer, typePrefix) {
+    if (!dataTransfer) return null;
+    const files = Array.from(dataTransfer.files || []);
+    const file = files.find(f => f.type.startsWith(typePrefix));
+    if (file) return file;
+    const item = Array.from(dataTransfer.items || [])
+        .find(i => i.kind === 'file' && i.type.startsWith(typePrefix));
+    return item ? item.getAsFile() : null;
+}
+
+export const imageFileFrom = (dataTransfer) => fileFrom(dataTransfer, 'image/');
+
+// Opens the system file picker; resolves to the chosen File, or null
+export function pickFile(accept) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.style.display = 'none';
+        input.addEventListener('change', () => {
+            resolve(input.files?.[0] || null);
+            input.remove();
+        });
+        input.addEventListener('cancel', () => {
+            resolve(null);
+            input.remove();
+        });
+        document.body.appendChild(input);
+        input.click();
+    });
+}
+
+export const pickImageFile = () => pickFile('image/*');
+
+export class StillFaceDetector {
+    static isSupported() {
+        return typeof FaceMesh !== 'undefined';
+    }
+
+    constructor({
+        maxNumFaces = 4,
+        staticImageMode = true,
+        refineLandmarks = true,
+        minDetectionConfidence = 0.5,
+        minTrackingConfidence = 0.5,
+        log = silentLog
+    } = {}) {
+        this.maxNumFaces = maxNumFaces;
+        this.staticImageMode = staticImageMode;
+        this.refineLandmarks = refineLandmarks;
+        this.minDetectionConfidence = minDetectionConfidence;
+        this.minTrackingConfidence = minTrackingConfidence;
+        this.log = log;
+        this.faceMesh = null;
+        this.pending = null;
+        this.canvas = null;
+    }
+
+    setup() {
+        this.faceMesh = new FaceMesh({
+            locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
+        });
+        this.faceMesh.setOptions({
+            staticImageMode: this.staticImageMode,
+            maxNumFaces: this.maxNumFaces,
+            refineLandmarks: this.refineLandmarks,
+            minDetectionConfidence: this.minDetectionConfidence,
+            minTrackingConfidence: this.minTrackingConfidence
+        });
+        this.faceMesh.onResults((results) => {
+            const pending = this.pending;
+            this.pending = null;
+            pending?.resolve(results.multiFaceLandmarks || []);
+        });
+        // FaceMesh takes video/image/canvas elements, not ImageBitmaps or VideoFrames
+        this.canvas = document.createElement('canvas');
+    }
+
+    // Resolves to FaceMesh multiFaceLandmarks (normalized to the image)
+    async detect(image) {
+        if (!StillFaceDetector.isSupported()) {
+            this.log('STILL', 'FaceMesh not available, still image gets the whole-frame effect');
+            return [];
+        }
+        if (!this.faceMesh) {
+            this.setup();
+        }
+        if (this.pending) {
+            throw new Error('Face detection already running');
+        }
+
+        // The export's seek path passes the <video> itself, whose width attribute is 0
+        const { width, height } = sourceSize(image);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+        const results = new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+        });
+        try {
+            await this.faceMesh.send({ image: this.canvas });
+        } catch (error) {
+            this.pending = null;
+            throw error;
+        }
+        return results;
+    }
+
+    close() {
+        this.pending?.reject(new Error('Detector closed'));
+        this.pending = null;
+        this.faceMesh?.close();
+        this.faceMesh = null;
+    }
+}
@@ -0,0 +1,246 @@
+// <uv-filter> custom element
+// UVFaceFilter (uv-filter.js) as a tag, with its own canvas and <video> in shadow DOM:
+//
+//   <script type="module" src="./src/uv-filter-element.js"></script>
+//   <uv-filter preset="blacklight" camera="rear" fps="24" watermark="off"></uv-filter>
+//   <uv-filter source="image" src="demo.jpg" mode="whole-frame"></uv-filter>
+//
+// Attributes take the URL parameter values (config.js): preset, camera, fps, watermark
+// (the logo setting) and mode, plus source (frame source kind) and src (the file URL,
+// required for source="image" / "video"). Changes apply to the running filter; mode,
+// source and src reopen the source. Each element is a separate filter, so several can
+// share a page. The camera an element picks isn't remembered for the next visit.
+//
+// Events (CustomEvent, detail in brackets):
+//   ready        frames are flowing ({ source: FrameSource.describe() })
+//   statechange  render state machine transition ({ from, to, reason, time })
+//   presetchange the preset attribute's look is applied ({ preset: name })
+//   error        no frames or an unusable attribute ({ reason })
+// plus every filter event (camera-started, face-detected, stats ...), same names and
+// payloads as filter.on() (filter-events.js).
+//
+// The filter starts when the element is connected and is destroyed when it's removed.
+
+import { UVFaceFilter } from './uv-filter.js';
+import { defaultConfig } from './config.js';
+import { BUNDLED_PRESETS } from './presets.js';
+import { RENDER_STATES } from './render-scheduler.js';
+import { FILTER_EVENTS } from './filter-events.js';
+
+// Attribute -> filter option (preset goes through setPreset() to report the outcome)
+const ATTRIBUTE_OPTIONS = {
+    camera: 'camera',
+    fps: 'fps',
+    watermark: 'logo',
+    mode: 'mode'
+};
+
+// Attributes that only take effect when the source is reopened
+const RESTART_ATTRIBUTES = ['mode', 'source', 'src'];
+
+const TEMPLATE = `
+<style>
+    :host {
+        display: inline-block;
+        position: relative;
+        width: 640px;
+        height: 480px;
+        background: #000;
+        overflow: hidden;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    canvas {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        display: block;
+    }
+    .overlay {
+        pointer-events: none;
+    }
+    video {
+        display: none;
+    }
+</style>
+<video autoplay muted playsinline></video>
+<canvas class="canvas" part="canvas"></canvas>
+<canvas class="overlay" part="overlay"></canvas>
+`;
+
+export class UVFilterElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['preset', ...Object.keys(ATTRIBUTE_OPTIONS), 'source', 'src'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+        this.uvFilter = null;
+        this.resizeObserver = null;
+        this.restartQueued = false;
+    }
+
+    // The UVFaceFilter while connected (null otherwise), for everything not covered by
+    // attributes: capturePhoto(), setBackground(), updateOptions() ...
+    get filter() {
+        return this.uvFilter;
+    }
+
+    connectedCallback() {
+        const shadow = this.shadowRoot;
+        const options = {};
+        for (const [attribute, option] of Object.entries(ATTRIBUTE_OPTIONS)) {
+            if (this.hasAttribute(attribute)) options[option] = this.getAttribute(attribute);
+        }
+        this.uvFilter = new UVFaceFilter({
+            canvas: shadow.querySelector('.canvas'),
+            video: shadow.querySelector('video'),
+            overlay: shadow.querySelector('.overlay'),
+            options,
+            onStateChange: (entry) => this.onStateChange(entry),
+            // Elements don't share the page's remembered camera, nor change it
+            cameraStorage: null
+        });
+        for (const type of FILTER_EVENTS) {
+            this.uvFilter.on(type, (payload) => this.emit(type, payload));
+        }
+        this.reportProblems(this.uvFilter.problems);
+        // The window watcher misses layout changes that only resize the element
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.uvFilter?.onViewportChange());
+            this.resizeObserver.observe(this);
+        }
+        if (this.hasAttribute('preset')) {
+            this.applyPreset(this.getAttribute('preset'));
+        }
+        this.start();
+    }
+
+    disconnectedCallback() {
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        this.uvFilter?.destroy();
+        this.uvFilter = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Before connecting, connectedCallback() reads the attributes itself
+        if (!this.uvFilter || oldValue === value) return;
+        if (name === 'preset') {
+            this.applyPreset(value ?? 'classic');
+            return;
+        }
+        const option = ATTRIBUTE_OPTIONS[name];
+        if (option) {
+            // A removed attribute goes back to the default
+            const problems = this.uvFilter.updateOptions({ [option]: value ?? defaultConfig()[option] });
+            this.reportProblems(problems);
+        }
+        if (RESTART_ATTRIBUTES.includes(name)) {
+            this.restart();
+        }
+    }
+
+    // Opens the source the attributes describe; `ready` or `error` tells how it went
+    async start() {
+        const filter = this.uvFilter;
+        const kind = this.getAttribute('source') || 'camera';
+        if ((kind === 'image' || kind === 'video') && !this.getAttribute('src')) {
+            this.emit('error', { reason: `source="${kind}" needs a src attribute` });
+            return false;
+        }
+        let source;
+        try {
+            source = await this.frameSource(filter);
+        } catch (error) {
+            this.emit('error', { reason: `src ${this.getAttribute('src')}: ${error.message}` });
+            return false;
+        }
+        // Removed while the image was loading
+        if (filter !== this.uvFilter) return false;
+        const started = await filter.start(source);
+        if (started && filter === this.uvFilter) {
+            this.emit('ready', { source: filter.source.describe() });
+        }
+        return started;
+    }
+
+    // Several attributes changing together reopen the source once
+    restart() {
+        if (this.restartQueued) return;
+        this.restartQueued = true;
+        queueMicrotask(() => {
+            this.restartQueued = false;
+            if (!this.uvFilter) return;
+            this.uvFilter.stop();
+            this.start();
+        });
+    }
+
+    // source kind, or for source="image" / "video", a source on the src file
+    async frameSource(filter) {
+        const kind = this.getAttribute('source') || 'camera';
+        const src = this.getAttribute('src');
+        if (kind !== 'image' && kind !== 'video') {
+            return kind;
+        }
+        if (kind === 'video') {
+            return filter.createSource('video', src);
+        }
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.src = src;
+        await image.decode();
+        return filter.createSource('image', image);
+    }
+
+    async applyPreset(name) {
+        const filter = this.uvFilter;
+        const preset = await filter.setPreset(name);
+        if (filter !== this.uvFilter) return;
+        if (preset) {
+            this.emit('presetchange', { preset: preset.name });
+        } else {
+            const known = Object.keys(BUNDLED_PRESETS).join(', ');
+            this.emit('error', { reason: `preset "${name}" could not be loaded (bundled: ${known}, or a URL)` });
+        }
+    }
+
+    pause() {
+        return this.uvFilter?.pause() ?? false;
+    }
+
+    resume() {
+        return this.uvFilter?.resume() ?? false;
+    }
+
+    capturePhoto() {
+        return this.uvFilter?.capturePhoto() ?? Promise.resolve(null);
+    }
+
+    exportDiagnostics() {
+        return this.uvFilter?.exportDiagnostics() ?? Promise.resolve(null);
+    }
+
+    onStateChange(entry) {
+        this.emit('statechange', entry);
+        if (entry.to === RENDER_STATES.ERROR) {
+            this.emit('error', { reason: entry.reason });
+        }
+    }
+
+    reportProblems(problems) {
+        problems.forEach(problem => this.emit('error', { reason: problem }));
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('uv-filter')) {
+    customElements.define('uv-filter', UVFilterElement);
+}
@@ -0,0 +1,2396 @@
+// UV Face Filter - embeddable
+// The whole filter as one object that draws into a canvas you own:
+//
+//   import { createUVFilter } from './src/uv-filter.js';
+//   const filter = createUVFilter({ canvas, source: 'camera', options: { preset: 'mono' } });
+//   await filter.start();
+//   ...
+//   filter.destroy();
+//
+// source: a frame source kind ('camera', 'test-pattern', ...), a FrameSource, or the
+// MediaStream, canvas, image or File to run on. options: the settings of config.js
+// (preset, fps, camera, logo, mode, debug, maxFaces, ...) plus background,
+// backgroundImage, fit, interactive, landmarkSmoothing and recordAudio (RUNTIME_OPTIONS
+// below).
+// Instances are independent; each owns its tracks, MediaPipe graphs and render loop, and
+// destroy() releases all of them. index.html (main.js) is one full-window instance.
+
+import { FACE_REGIONS } from './face-topology.js';
+import { FrameRenderer } from './frame-renderer.js';
+import { createCanvas } from './canvas.js';
+import { BACKGROUNDS } from './background-compositor.js';
+import { WorkerRenderPipeline } from './worker-pipeline.js';
+import { QualityGovernor } from './quality-governor.js';
+import { FaceTracker } from './face-tracker.js';
+import { LandmarkStabilizer } from './landmark-stabilizer.js';
+import { RenderScheduler, RENDER_STATES } from './render-scheduler.js';
+import { capturePhoto, renderStill } from './photo-capture.js';
+import { StillFaceDetector, loadImage, imageFileFrom, pickImageFile } from './still-image.js';
+import { shareOrDownload, captureFilename } from './share.js';
+import { CanvasRecorder, drawRecordingIndicator } from './recorder.js';
+import { createFrameSource, FrameSource, CameraSource } from './frame-sources.js';
+import { CameraManager, cameraErrorType } from './camera-manager.js';
+import { FIT_MODES, canvasSize, watchViewport } from './viewport.js';
+import { BUNDLED_PRESETS, PresetError, loadPreset } from './presets.js';
+import { defaultConfig, parseConfig } from './config.js';
+import { EventEmitter, FILTER_EVENTS } from './filter-events.js';
+import { Logger, consoleSink, httpSink } from './logger.js';
+import {
+    DIAGNOSTICS_VERSION, TimingHistogram, platformSupport, resourceTiming, diagnosticsFilename,
+    watchDiagnosticsGesture
+} from './diagnostics.js';
+import { exportVideo, isVideoExportSupported, pickVideoFile, videoFileFrom, drawExportProgress } from './video-export.js';
+
+// Categories that log from per-frame paths (entries per second; logger.js)
+const LOG_RATE_LIMITS = { RENDER: 2, FACEMESH: 2, SEGMENTATION: 1 };
+
+function expectBoolean(value) {
+    if (typeof value !== 'boolean') throw new Error('expected true or false');
+    return value;
+}
+
+function expectOneOf(values) {
+    return (value) => {
+        if (!values.includes(value)) throw new Error(`expected ${values.join(', ')}`);
+        return value;
+    };
+}
+
+// { mode: 'smooth' | 'hold', holdMs, fadeMs } (landmark-stabilizer.js), any subset
+function expectLandmarkSmoothing(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('expected { mode, holdMs, fadeMs }');
+    }
+    const smoothing = {};
+    for (const [key, setting] of Object.entries(value)) {
+        if (key === 'mode') {
+            if (setting !== 'smooth' && setting !== 'hold') throw new Error('mode: expected smooth or hold');
+            smoothing.mode = setting;
+        } else if (key === 'holdMs' || key === 'fadeMs') {
+            if (!Number.isFinite(setting) || setting < 0) throw new Error(`${key}: expected a number of ms >= 0`);
+            smoothing[key] = setting;
+        } else {
+            throw new Error(`unknown setting ${key} (mode, holdMs, fadeMs)`);
+        }
+    }
+    return smoothing;
+}
+
+// Options only code can set (no URL / stored form): name -> check(value), which returns
+// the value or throws with what was expected
+const RUNTIME_OPTIONS = {
+    background: expectOneOf(BACKGROUNDS),
+    // HTMLImageElement / ImageBitmap for the 'image' background
+    backgroundImage: (value) => value,
+    fit: expectOneOf(FIT_MODES),
+    // Page-wide keyboard shortcuts, drop / paste, tap to capture, long-press to record
+    interactive: expectBoolean,
+    // How lost faces are held and faded, live and in video export
+    landmarkSmoothing: expectLandmarkSmoothing,
+    recordAudio: expectBoolean
+};
+
+// source / preset may also be objects (a FrameSource or MediaStream..., a preset object)
+const OBJECT_OPTIONS = ['source', 'preset'];
+
+// { name: value } -> { values, problems }; invalid and unknown options are reported
+export function parseOptions(options = {}) {
+    const values = {};
+    const problems = [];
+    const config = {};
+    for (const [name, value] of Object.entries(options)) {
+        if (value === undefined) continue;
+        if (OBJECT_OPTIONS.includes(name) && value !== null && typeof value === 'object') {
+            values[name] = value;
+        } else if (name in RUNTIME_OPTIONS) {
+            try {
+                values[name] = RUNTIME_OPTIONS[name](value);
+            } catch (error) {
+                const shown = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+                problems.push(`option ${name}=${shown}: ${error.message} (ignored)`);
+            }
+        } else {
+            config[name] = value;
+        }
+    }
+    const parsed = parseConfig(config);
+    return { values: { ...parsed.values, ...values }, problems: [...problems, ...parsed.problems] };
+}
+
+export class UVFaceFilter {
+    // canvas: where the filter draws (required). video: <video> to play the camera into
+    // (a detached one is used when omitted). overlay: optional canvas above it for the
+    // recording indicator and export progress. source / options: see the top of the file.
+    // onStateChange({ from, to, reason, time }) follows the render state machine.
+    // cameraStorage: where the camera choice is remembered (localStorage when omitted,
+    // null for this instance only).
+    constructor({ canvas, video = null, overlay = null, source = undefined, options = {}, onStateChange = () => {}, cameraStorage = undefined } = {}) {
+        // Each filter logs on its own (logger.js): getDebugLogs() and the diagnostics bundle
+        // show this instance only, and its debug / logLevel / logEndpoint options don't
+        // reach other filters on the page
+        this.logger = new Logger({ rateLimits: LOG_RATE_LIMITS });
+        this.log = this.logger.log;
+        this.consoleOutput = null;
+        this.endpointOutput = null; // { url, sink }
+        this.log('CONSTRUCTOR', 'UVFaceFilter constructor called');
+        if (!canvas) {
+            throw new Error('UVFaceFilter needs a canvas to draw into');
+        }
+        
+        this.video = video;
+        this.canvas = canvas;
+        this.overlay = overlay; // Optional, recording indicator only
+        this.log('CONSTRUCTOR', 'DOM elements', {
+            video: !!this.video,
+            overlay: !!this.overlay,
+            canvasId: this.canvas.id || null
+        });
+        
+        // Lifecycle: constructed -> start() -> stop() / pause() / resume() ... -> destroy()
+        this.started = false;
+        this.paused = false; // pause() by the embedder, as opposed to a hidden page
+        this.destroyed = false;
+        this.disposers = []; // Undo every listener / watcher this instance installed
+        // on / off / once: camera, detector, face, capture and stats events (filter-events.js)
+        this.events = new EventEmitter(FILTER_EVENTS, { log: this.log });
+        this.statsTimer = null;
+        this.statsIntervalMs = 1000;
+        this.renderedFrames = 0; // Since the last stats event
+        this.detectorStartTimes = {}; // detector -> when it was created, until its first results
+        // For the diagnostics bundle (diagnostics.js): detector -> { status, assets, loadMs,
+        // sendErrors, lastError }, and render / detection / frame-to-frame timing
+        this.detectors = {};
+        this.timings = {
+            render: new TimingHistogram(),
+            detect: new TimingHistogram(),
+            frameInterval: new TimingHistogram()
+        };
+        this.lastRenderAt = null;
+        this.diagnosticsTimer = null;
+        this.diagnosticsDelayMs = 15000; // ?diagnostics=1: time to reproduce the problem first
+        this.interactionDisposers = []; // The `interactive` ones, removable on their own
+        
+        // Settings (src/config.js names and parsers) over the defaults
+        const { values, problems } = parseOptions({ ...options, ...(source !== undefined ? { source } : {}) });
+        const config = defaultConfig();
+        for (const name of Object.keys(config)) {
+            if (name in values && !OBJECT_OPTIONS.includes(name)) config[name] = values[name];
+        }
+        this.config = config;
+        this.configureLogging();
+        this.log('CONFIG', 'Options applied', { config });
+        problems.forEach(problem => this.log.warn('CONFIG', `Ignoring invalid option: ${problem}`));
+        this.problems = problems; // The options above that were ignored
+        
+        // Where live frames come from (src/frame-sources.js): a kind, or a FrameSource /
+        // MediaStream / canvas / image / File. Swap at runtime with setFrameSource().
+        this.source = null;
+        this.sourceGeneration = 0; // Bumped by every setFrameSource() and stop()
+        this.sourceInput = values.source ?? config.source;
+        // Which camera to open (front/rear, deviceId) and the torch; remembered across
+        // reloads unless the camera option asks for one
+        this.cameraManager = new CameraManager({ storage: cameraStorage, log: this.log });
+        if (config.camera) {
+            this.cameraManager.override({ facingMode: config.camera });
+        }
+        this.still = null; // { image, faces, name } while a still image is shown
+        this.stillDetector = null;
+        
+        this.faceMesh = null;
+        this.selfieSegmentation = null;
+        this.detectionLoopActive = false;
+        this.isProcessing = false;
+        this.frameCount = 0;
+        this.lastLogTime = 0;
+        this.faceMeshLoadTimeout = null;
+        this.videoReady = false;
+        this.streamActive = false;
+        this.cameraStream = null;
+        this.lastHealthCheck = 0;
+        this.lastFaces = null; // Last detected faces ({ id, landmarks, ... }) for continuous rendering
+        this.maxNumFaces = config.maxFaces; // Everyone in a group selfie gets the face treatment
+        // 'face': face tracking, whole frame until a face shows up; 'whole-frame': no FaceMesh
+        this.mode = config.mode;
+        this.faceTracker = new FaceTracker();
+        // Smooths landmark jitter and fades out lost faces; mode 'hold' keeps the last
+        // detection on screen indefinitely (previous behaviour). landmarkSmoothing option.
+        this.landmarkSmoothing = values.landmarkSmoothing ?? {};
+        this.landmarkStabilizer = new LandmarkStabilizer(this.landmarkSmoothing);
+        this.faceMeshSetupAttempted = false; // Prevent multiple FaceMesh setups
+        this.lastSegmentationMask = null; // Copy of the last person mask (alpha = person)
+        this.lastSegmentationTime = 0;
+        this.segmentationMaxAgeMs = 500; // Older masks are ignored rather than misaligned
+        this.segmentationSetupAttempted = false;
+        
+        // UV look: colour mapping, contrast, feathering, background, sunscreen and
+        // watermark all come from the preset (src/presets.js); switch with setPreset()
+        this.basePreset = BUNDLED_PRESETS.classic; // As loaded, before the logo option
+        this.preset = { ...BUNDLED_PRESETS.classic, watermark: this.watermarkFor(BUNDLED_PRESETS.classic) };
+        
+        // Person/background compositing: UV on the person only, background treatment
+        // 'white' | 'dark' | 'blur' | 'original' | 'image' (backgroundImage)
+        this.useSegmentation = config.segmentation !== 'off';
+        this.background = values.background ?? this.preset.background.treatment;
+        this.backgroundImage = values.backgroundImage ?? null;
+        this.featherRadius = this.preset.background.featherRadius;
+        
+        // Sunscreen coverage per face zone (forehead, nose, cheeks, chin, upper lip)
+        this.analyzeCoverage = true;
+        this.coverageOverlay = false;
+        
+        // Face regions (ordered contours from MediaPipe's connection lists)
+        this.log('CONSTRUCTOR', 'Face regions initialized', Object.fromEntries(
+            Object.entries(FACE_REGIONS).map(([region, polygons]) => [region, polygons.length])
+        ));
+        
+        // Performance
+        this.processingScale = 0.75;
+        this.lastFrameTime = 0;
+        this.targetFPS = config.fps;
+        this.frameInterval = 1000 / this.targetFPS;
+        
+        // UV look (from the preset; blur radius is capped further by the quality level)
+        this.uvContrast = this.preset.contrast;
+        this.uvBlurRadius = this.preset.feather.radius;
+        
+        // Adaptive quality: starts at the level matching processingScale and adjusts
+        // resolution, mask step, blur radius and detection cadence to hold targetFPS
+        this.qualityGovernor = new QualityGovernor({
+            targetFPS: this.targetFPS,
+            processingScale: this.processingScale
+        });
+        this.maskStep = 1;
+        this.qualityBlurRadius = this.uvBlurRadius;
+        this.detectEvery = 1;
+        this.detectionFrameCount = 0;
+        this.applyQualityLevel(this.qualityGovernor.level);
+        
+        // Rendering: worker + OffscreenCanvas when available, main thread otherwise.
+        // WebGL2 inside either, with the Canvas 2D pipeline as the fallback.
+        this.useRenderWorker = true;
+        this.useWebGL = true;
+        this.renderer = null;
+        this.ctx = null; // Only set when rendering on the main thread
+        // The canvas is sized to its CSS box in device pixels (devicePixelRatio capped at
+        // maxPixelRatio); the live source is cropped to cover it, stills are letterboxed.
+        // Rebuilt on resize / rotation / devicePixelRatio changes.
+        this.fit = values.fit ?? 'cover';
+        this.maxPixelRatio = 2;
+        this.pixelRatio = 1;
+        this.viewportChangePending = false; // Resize deferred until a recording ends
+        this.setupRenderer();
+        this.setupCanvas();
+        if (this.backgroundImage) {
+            this.renderer.setBackgroundImage(this.backgroundImage);
+        }
+        this.disposers.push(watchViewport(() => this.onViewportChange()));
+        
+        // The only render loop: what it draws each frame follows the scheduler state
+        this.scheduler = new RenderScheduler({
+            render: (state, now) => this.renderState(state, now),
+            log: this.log,
+            onTransition: onStateChange,
+            frameInterval: this.frameInterval
+        });
+        this.setupPageVisibility();
+        
+        // Photo capture: tap the canvas or press P / Space
+        this.capturing = false;
+        
+        // Video recording: long-press the canvas or press R; tap or R again to stop.
+        // The microphone is only requested (with the camera) when both flags are on.
+        this.recordingEnabled = true;
+        this.recordAudio = values.recordAudio ?? false;
+        this.maxRecordingMs = 60000;
+        this.recorder = null;
+        this.recordingIndicatorTimer = null;
+        this.longPressMs = 600;
+        
+        // Offline video export: press V or drop a video file; Escape cancels.
+        // { controller: AbortController, resumeLive } while an export runs
+        this.videoExport = null;
+        this.videoExportBitrate = 8000000;
+        
+        // Page-wide input (keys, drop / paste, taps on the canvas) only when asked for:
+        // an embedded filter shouldn't take over its host page's keyboard
+        this.interactive = false;
+        this.setInteractive(values.interactive ?? false);
+        
+        // Detection health
+        this.lastFaceDetected = 0;
+        this.faceMeshFailCount = 0;
+        this.maxFaceMeshFailures = 5; // Consecutive send() failures before giving up on faces
+        
+        // Logo (the preset's watermark image; the text watermark when there is none)
+        this.logoImage = null;
+        this.logoLoaded = false;
+        this.logoUrl = null;
+        this.loadLogo(this.preset.watermark.image);
+        const preset = values.preset ?? config.preset;
+        if (preset !== 'classic') {
+            this.setPreset(preset);
+        }
+        
+        this.log('CONSTRUCTOR', 'Initialization complete, start() opens the frame source');
+    }
+    
+    // Sinks and levels from the debug / logLevel / logCategories / logEndpoint options
+    configureLogging() {
+        const { debug, logLevel, logCategories, logEndpoint } = this.config;
+        this.logger.setLevel(logLevel, logCategories);
+        if (debug && !this.consoleOutput) {
+            this.consoleOutput = consoleSink();
+            this.logger.addSink(this.consoleOutput);
+        } else if (!debug && this.consoleOutput) {
+            this.logger.removeSink(this.consoleOutput);
+            this.consoleOutput = null;
+        }
+        if ((logEndpoint || null) !== (this.endpointOutput?.url ?? null)) {
+            if (this.endpointOutput) {
+                this.logger.removeSink(this.endpointOutput.sink);
+                this.endpointOutput.sink.close();
+            }
+            this.endpointOutput = logEndpoint ? { url: logEndpoint, sink: httpSink({ url: logEndpoint }) } : null;
+            if (this.endpointOutput) this.logger.addSink(this.endpointOutput.sink);
+        }
+    }
+    
+    // Filter events (names and payloads in filter-events.js); on() returns an unsubscribe
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+    
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+    
+    startStats() {
+        if (this.statsTimer) return;
+        this.renderedFrames = 0;
+        let last = performance.now();
+        this.statsTimer = setInterval(() => {
+            const now = performance.now();
+            const fps = this.renderedFrames * 1000 / (now - last);
+            last = now;
+            this.renderedFrames = 0;
+            if (!this.events.hasListeners('stats')) return;
+            const round = (ms) => ms === null ? null : Math.round(ms * 10) / 10;
+            this.events.emit('stats', {
+                fps: Math.round(fps * 10) / 10,
+                renderMs: round(this.qualityGovernor.renderMs),
+                detectMs: round(this.qualityGovernor.detectMs),
+                quality: this.qualityGovernor.level.name,
+                state: this.scheduler.state,
+                faces: this.faceTracker.visibleCount()
+            });
+        }, this.statsIntervalMs);
+    }
+    
+    stopStats() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+    }
+    
+    // addEventListener that destroy() undoes; `disposers` picks the list it goes on
+    listen(target, type, handler, disposers = this.disposers) {
+        target.addEventListener(type, handler);
+        disposers.push(() => target.removeEventListener(type, handler));
+    }
+    
+    setInteractive(enabled) {
+        if (enabled === this.interactive) return;
+        this.interactive = enabled;
+        if (enabled) {
+            this.setupCaptureTriggers();
+            this.setupStillImageInput();
+            this.setupCameraControls();
+            this.setupDiagnosticsTrigger();
+        } else {
+            this.interactionDisposers.splice(0).forEach(dispose => dispose());
+        }
+        this.log('LISTENERS', `Page input ${enabled ? 'on' : 'off'}`);
+    }
+    
+    // CSS size of the display canvas; the window when it isn't laid out (yet)
+    displaySize() {
+        return {
+            width: this.canvas.clientWidth || window.innerWidth,
+            height: this.canvas.clientHeight || window.innerHeight
+        };
+    }
+    
+    loadLogo(url) {
+        this.logoUrl = url;
+        if (!url) {
+            this.logoImage = null;
+            this.logoLoaded = true; // Nothing to wait for: draw the text logo
+            this.renderer?.setLogo(null);
+            return;
+        }
+        
+        // Try to load logo image if it exists
+        const logoImg = new Image();
+        logoImg.crossOrigin = 'anonymous'; // Allow cross-origin if needed
+        logoImg.onload = () => {
+            if (this.logoUrl !== url) return; // Preset changed while loading
+            this.logoImage = logoImg;
+            this.logoLoaded = true;
+            this.renderer?.setLogo(logoImg);
+            this.log('LOGO', 'Logo image loaded successfully', {
+                width: logoImg.naturalWidth,
+                height: logoImg.naturalHeight,
+                complete: logoImg.complete
+            });
+        };
+        logoImg.onerror = (error) => {
+            if (this.logoUrl !== url) return;
+            this.log.warn('LOGO', 'Logo image not found, will use text logo', {
+                url,
+                error: error
+            });
+            this.logoImage = null;
+            this.logoLoaded = true; // Still mark as loaded so we can draw text logo
+            this.renderer?.setLogo(null);
+        };
+        logoImg.src = url;
+    }
+    
+    // source: bundled preset name ('classic', 'mono', 'blacklight'), URL of a preset
+    // JSON file, or a preset object. Resolves to the applied preset, or null when it
+    // couldn't be loaded (the current look stays).
+    async setPreset(source) {
+        try {
+            const preset = await loadPreset(source);
+            if (this.destroyed) return null;
+            this.applyPreset(preset);
+            return preset;
+        } catch (error) {
+            this.log.error('PRESET', 'Error loading preset', {
+                source: typeof source === 'string' ? source : '(object)',
+                message: error.message,
+                problems: error instanceof PresetError ? error.problems : undefined
+            });
+            return null;
+        }
+    }
+    
+    // The preset's watermark as ?logo= has it: off, or another image
+    watermarkFor(preset) {
+        const { logo } = this.config;
+        if (logo === false) return { ...preset.watermark, enabled: false, image: null };
+        if (typeof logo === 'string') return { ...preset.watermark, enabled: true, image: logo };
+        return preset.watermark;
+    }
+    
+    // Switches the look in place: the camera, detection and recording keep running
+    applyPreset(source) {
+        const preset = { ...source, watermark: this.watermarkFor(source) };
+        this.basePreset = source;
+        this.preset = preset;
+        this.uvContrast = preset.contrast;
+        this.uvBlurRadius = preset.feather.radius;
+        this.qualityBlurRadius = Math.min(this.uvBlurRadius, this.qualityGovernor.level.blurRadius);
+        this.background = preset.background.treatment;
+        this.featherRadius = preset.background.featherRadius;
+        this.renderer?.setOptions({
+            preset,
+            contrast: this.uvContrast,
+            blurRadius: this.qualityBlurRadius,
+            background: this.background,
+            featherRadius: this.featherRadius
+        });
+        if (preset.watermark.image !== this.logoUrl) {
+            this.loadLogo(preset.watermark.image);
+        }
+        if (this.still) {
+            this.renderStillPreview();
+        }
+        this.events.emit('preset-changed', { name: preset.name });
+        this.log('PRESET', 'Preset applied', {
+            name: preset.name,
+            contrast: preset.contrast,
+            background: preset.background.treatment
+        });
+    }
+    
+    // FaceMesh options for live, still and video-export detection
+    detectorOptions() {
+        return {
+            maxNumFaces: this.maxNumFaces,
+            refineLandmarks: this.config.refineLandmarks,
+            minDetectionConfidence: this.config.detectionConfidence,
+            minTrackingConfidence: this.config.trackingConfidence
+        };
+    }
+    
+    rendererOptions() {
+        return {
+            preset: this.preset,
+            contrast: this.uvContrast,
+            blurRadius: this.qualityBlurRadius,
+            processingScale: this.processingScale,
+            maskStep: this.maskStep,
+            useWebGL: this.useWebGL,
+            // Selfie view for user-facing cameras; stills and rear cameras as they are
+            mirror: this.still ? false : (this.source?.mirror ?? true),
+            fit: this.still ? 'contain' : this.fit,
+            compactLogo: this.displaySize().width < 768,
+            useSegmentation: this.useSegmentation,
+            background: this.background,
+            featherRadius: this.featherRadius,
+            analyzeCoverage: this.analyzeCoverage,
+            coverageOverlay: this.coverageOverlay
+        };
+    }
+    
+    setCoverageAnalysis(enabled, { overlay = this.coverageOverlay } = {}) {
+        this.analyzeCoverage = enabled;
+        this.coverageOverlay = overlay;
+        this.renderer?.setOptions({ analyzeCoverage: enabled, coverageOverlay: overlay });
+        this.log('COVERAGE', 'Coverage analysis settings changed', { enabled, overlay });
+    }
+    
+    // Take the bare-skin baseline from the next face frame (before applying sunscreen)
+    calibrateCoverage() {
+        this.renderer?.calibrateCoverage();
+        this.log('COVERAGE', 'Coverage calibration requested');
+    }
+    
+    // Latest per-face, per-zone coverage estimate (see src/coverage-analyzer.js)
+    getCoverage() {
+        return this.renderer?.lastCoverage || null;
+    }
+    
+    // image: HTMLImageElement / ImageBitmap used by the 'image' background
+    setBackground(background, image = this.backgroundImage) {
+        if (!BACKGROUNDS.includes(background)) {
+            throw new Error(`Unknown background "${background}"`);
+        }
+        this.background = background;
+        this.backgroundImage = image;
+        this.renderer?.setBackgroundImage(image);
+        this.renderer?.setOptions({ background });
+        this.log('SEGMENTATION', 'Background changed', { background, hasImage: !!image });
+    }
+    
+    // Person mask for this frame, or null when segmentation is off or has gone stale
+    currentSegmentationMask() {
+        if (!this.useSegmentation || !this.lastSegmentationMask) return null;
+        if (performance.now() - this.lastSegmentationTime > this.segmentationMaxAgeMs) return null;
+        return this.lastSegmentationMask;
+    }
+    
+    applyQualityLevel(level) {
+        this.processingScale = level.processingScale;
+        this.maskStep = level.maskStep;
+        this.qualityBlurRadius = Math.min(this.uvBlurRadius, level.blurRadius);
+        this.detectEvery = level.detectEvery;
+        this.renderer?.setOptions({
+            processingScale: this.processingScale,
+            maskStep: this.maskStep,
+            blurRadius: this.qualityBlurRadius
+        });
+    }
+    
+    // Render timings from either renderer feed the governor; raw frames do no pixel work
+    recordRenderTime(mode, renderMs) {
+        this.timings.render.record(renderMs);
+        if (mode === 'raw') return;
+        const decision = this.qualityGovernor.recordFrame(renderMs);
+        if (decision) {
+            this.log('QUALITY', `Quality ${decision.from} -> ${decision.to} (${decision.reason})`, {
+                costMs: decision.costMs,
+                budgetMs: decision.budgetMs,
+                level: decision.level
+            });
+            this.applyQualityLevel(decision.level);
+        }
+    }
+    
+    // What gets rendered: the still image in still-image mode, else the live source
+    currentFrameImage() {
+        return this.still ? this.still.image : this.source?.image;
+    }
+    
+    isFrameSourceReady() {
+        if (this.still) return true;
+        return !!this.source?.isReady();
+    }
+    
+    renderFrame(mode, frame = {}) {
+        const image = this.currentFrameImage();
+        this.renderedFrames++;
+        const now = performance.now();
+        if (this.lastRenderAt !== null) {
+            this.timings.frameInterval.record(now - this.lastRenderAt);
+        }
+        this.lastRenderAt = now;
+        if (this.renderer instanceof WorkerRenderPipeline) {
+            // Timing arrives asynchronously through onRendered
+            this.renderer.render(mode, image, frame);
+            return;
+        }
+        const start = performance.now();
+        this.renderer.render(mode, image, frame);
+        // Still images are one-off renders; they say nothing about live frame cost
+        if (!this.still) {
+            this.recordRenderTime(mode, performance.now() - start);
+        }
+    }
+    
+    setupRenderer() {
+        const options = this.rendererOptions();
+        
+        if (this.useRenderWorker && WorkerRenderPipeline.isSupported(this.canvas)) {
+            try {
+                this.renderer = new WorkerRenderPipeline(this.canvas, {
+                    options,
+                    log: this.log,
+                    onReady: (rendererType) => {
+                        this.log('RENDERER', 'Render worker ready', { renderer: rendererType });
+                    },
+                    onError: (error) => {
+                        this.fallBackToMainThreadRenderer(error.message);
+                    },
+                    onRendered: (mode, renderMs) => {
+                        this.recordRenderTime(mode, renderMs);
+                    }
+                });
+                this.ctx = null;
+                this.log('RENDERER', 'Rendering in worker via OffscreenCanvas');
+                return;
+            } catch (error) {
+                this.log.error('RENDERER', 'Error starting render worker', {
+                    name: error.name,
+                    message: error.message
+                });
+            }
+        } else {
+            this.log('RENDERER', 'OffscreenCanvas/Worker not available', {
+                useRenderWorker: this.useRenderWorker,
+                offscreenCanvas: typeof OffscreenCanvas !== 'undefined',
+                worker: typeof Worker !== 'undefined'
+            });
+        }
+        
+        this.renderer = new FrameRenderer(this.canvas, { ...options, log: this.log });
+        this.ctx = this.renderer.ctx;
+        this.log('RENDERER', 'Rendering on main thread', { renderer: this.renderer.rendererType });
+    }
+    
+    fallBackToMainThreadRenderer(reason) {
+        this.log.warn('RENDERER', 'Render worker failed, switching to main-thread rendering', { reason });
+        
+        this.renderer.destroy();
+        
+        // A canvas handed over to a worker can never get a 2D context again, so a copy
+        // takes its place in the DOM; embedders holding the old one hear about it
+        const previous = this.canvas;
+        const canvas = previous.cloneNode(false);
+        previous.replaceWith(canvas);
+        this.canvas = canvas;
+        if (this.interactive) {
+            // The gesture listeners sit on the canvas itself
+            this.setInteractive(false);
+            this.setInteractive(true);
+        }
+        
+        this.renderer = new FrameRenderer(this.canvas, { ...this.rendererOptions(), log: this.log });
+        this.ctx = this.renderer.ctx;
+        this.setupCanvas();
+        if (this.logoLoaded) {
+            this.renderer.setLogo(this.logoImage);
+        }
+        this.renderer.setBackgroundImage(this.backgroundImage);
+        this.log('RENDERER', 'Rendering on main thread', { renderer: this.renderer.rendererType });
+        this.events.emit('canvas-replaced', { canvas, previous, reason });
+    }
+    
+    // Stop drawing while the page is hidden; pick up in the same state when it's back
+    setupPageVisibility() {
+        this.listen(document, 'visibilitychange', () => {
+            // A still image or pause() keeps the live pipeline paused until closed / resumed
+            if (this.still || this.paused) return;
+            if (document.hidden) {
+                this.scheduler.pause('page hidden');
+            } else {
+                this.scheduler.resume('page visible');
+            }
+        });
+    }
+    
+    // Listeners live on the document: the canvas element is replaced if rendering falls
+    // back to the main thread
+    setupCaptureTriggers() {
+        const listen = (type, handler) => this.listen(document, type, handler, this.interactionDisposers);
+        let longPressTimer = null;
+        let longPressFired = false;
+        
+        listen('pointerdown', (event) => {
+            if (longPressTimer) {
+                // Another finger: a multi-touch gesture, not a long press
+                cancelLongPress();
+                return;
+            }
+            if (event.target !== this.canvas || !this.recordingEnabled || this.isRecording()) return;
+            longPressFired = false;
+            longPressTimer = setTimeout(() => {
+                longPressFired = true;
+                this.startRecording();
+            }, this.longPressMs);
+        });
+        const cancelLongPress = () => {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        };
+        listen('pointerup', cancelLongPress);
+        listen('pointercancel', cancelLongPress);
+        
+        listen('click', (event) => {
+            if (event.target !== this.canvas) return;
+            if (longPressFired) {
+                // The release that ended the long press isn't a tap
+                longPressFired = false;
+            } else if (this.isRecording()) {
+                this.stopRecording();
+            } else if (this.scheduler.state === RENDER_STATES.ERROR && !this.still) {
+                // No camera: a tap is the way in to still-image mode
+                this.openStillImagePicker();
+            } else {
+                this.capturePhoto();
+            }
+        });
+        listen('keydown', (event) => {
+            if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.key === 'p' || event.key === 'P' || event.key === ' ') {
+                event.preventDefault();
+                this.capturePhoto();
+            } else if ((event.key === 'r' || event.key === 'R') && this.recordingEnabled) {
+                event.preventDefault();
+                this.toggleRecording();
+            }
+        });
+    }
+    
+    // Still images: O opens the file picker, or drop / paste an image anywhere.
+    // Video files: V opens the picker, or drop one; the processed clip is exported.
+    // Escape cancels an export, otherwise goes back to the camera.
+    setupStillImageInput() {
+        const listen = (type, handler) => this.listen(document, type, handler, this.interactionDisposers);
+        listen('keydown', (event) => {
+            if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.key === 'o' || event.key === 'O') {
+                event.preventDefault();
+                this.openStillImagePicker();
+            } else if (event.key === 'v' || event.key === 'V') {
+                event.preventDefault();
+                this.openVideoExportPicker();
+            } else if (event.key === 'Escape' && this.videoExport) {
+                this.cancelVideoExport();
+            } else if (event.key === 'Escape' && this.still) {
+                this.closeStillImage();
+            }
+        });
+        listen('dragover', (event) => {
+            event.preventDefault();
+        });
+        listen('drop', (event) => {
+            event.preventDefault();
+            const video = videoFileFrom(event.dataTransfer);
+            if (video) {
+                this.exportVideoFile(video);
+                return;
+            }
+            const file = imageFileFrom(event.dataTransfer);
+            if (file) this.openStillImage(file);
+        });
+        listen('paste', (event) => {
+            const file = imageFileFrom(event.clipboardData);
+            if (file) {
+                event.preventDefault();
+                this.openStillImage(file);
+            }
+        });
+    }
+    
+    async openStillImagePicker() {
+        const file = await pickImageFile();
+        if (file) {
+            await this.openStillImage(file);
+        }
+    }
+    
+    async openStillImage(file) {
+        this.log('STILL', 'Opening still image', { name: file.name, type: file.type, bytes: file.size });
+        try {
+            const image = await loadImage(file);
+            if (!this.stillDetector) {
+                this.stillDetector = new StillFaceDetector({ ...this.detectorOptions(), log: this.log });
+            }
+            // Whole-frame mode skips face detection for stills too
+            const multiFaceLandmarks = this.mode === 'whole-frame' ? [] : await this.stillDetector.detect(image);
+            const faces = multiFaceLandmarks.map((landmarks, index) => ({ id: index + 1, landmarks }));
+            
+            if (this.still) {
+                this.still.image.close();
+            } else {
+                // Live pipeline rests while the still is up
+                this.stopDetectionLoop();
+                this.scheduler.pause('still image');
+            }
+            
+            this.still = { image, faces, name: file.name };
+            this.log('STILL', 'Still image ready', {
+                size: `${image.width}x${image.height}`,
+                faces: faces.length
+            });
+            this.renderStillPreview();
+        } catch (error) {
+            this.log.error('STILL', 'Error opening still image', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+    
+    // Fits the whole still into the window (letterboxed); photos are shown unmirrored
+    renderStillPreview() {
+        const { faces } = this.still;
+        this.renderer.setOptions({ mirror: false, fit: 'contain' });
+        
+        if (faces.length > 0) {
+            this.renderFrame('face', { faces });
+        } else {
+            this.renderFrame('whole');
+        }
+    }
+    
+    // Full-resolution render of the still, through share sheet or download
+    async downloadStill() {
+        const { image, faces, name } = this.still;
+        this.capturing = true;
+        try {
+            const { blob } = await renderStill({
+                image,
+                faces,
+                options: { ...this.rendererOptions(), mirror: false },
+                logo: this.logoImage,
+                backgroundImage: this.backgroundImage,
+                log: this.log
+            });
+            const baseName = name.replace(/\.[^.]+$/, '') || 'photo';
+            const result = await shareOrDownload(blob, `uv-${baseName}.jpg`, { log: this.log });
+            this.log('STILL', 'Still image delivered', { result, bytes: blob.size });
+            this.emitCapture('still', blob, result);
+            return blob;
+        } catch (error) {
+            this.log.error('STILL', 'Error rendering still image', {
+                name: error.name,
+                message: error.message
+            });
+            return null;
+        } finally {
+            this.capturing = false;
+        }
+    }
+    
+    closeStillImage() {
+        if (!this.still) return;
+        this.still.image.close();
+        this.still = null;
+        this.renderer.setOptions({ mirror: this.source?.mirror ?? true, fit: this.fit });
+        this.resumeLivePipeline('still image closed');
+        this.log('STILL', 'Back to camera');
+    }
+    
+    // Counterpart of stopDetectionLoop() + scheduler.pause()
+    resumeLivePipeline(reason) {
+        if (this.paused) return; // pause() outlasts stills and exports
+        this.startDetectionLoop();
+        this.scheduler.resume(reason);
+    }
+    
+    async openVideoExportPicker() {
+        const file = await pickVideoFile();
+        if (file) {
+            await this.exportVideoFile(file);
+        }
+    }
+    
+    // Processes every frame of `file` offline and hands over the result. The live
+    // pipeline rests meanwhile so FaceMesh and the GPU aren't shared.
+    async exportVideoFile(file) {
+        if (this.videoExport) {
+            this.log('EXPORT', 'Export already running, ignoring', { name: file.name });
+            return null;
+        }
+        if (!isVideoExportSupported()) {
+            this.log('EXPORT', 'Video export not supported (WebCodecs VideoEncoder missing)');
+            return null;
+        }
+        if (this.isRecording()) {
+            await this.stopRecording();
+        }
+        
+        // With a still open the live pipeline is already paused, and stays that way
+        const resumeLive = !this.still;
+        if (resumeLive) {
+            this.stopDetectionLoop();
+            this.scheduler.pause('video export');
+        }
+        this.videoExport = { controller: new AbortController(), resumeLive };
+        
+        const ctx = this.overlay?.getContext('2d');
+        if (ctx) {
+            this.sizeOverlay();
+            drawExportProgress(ctx, { phase: 'video', frame: 0, frameCount: 0, progress: 0 });
+        }
+        
+        try {
+            const result = await exportVideo(file, {
+                options: this.rendererOptions(),
+                logo: this.logoImage,
+                detectorOptions: this.detectorOptions(),
+                landmarkSmoothing: this.landmarkSmoothing,
+                bitrate: this.videoExportBitrate,
+                signal: this.videoExport.controller.signal,
+                onProgress: (progress) => ctx && drawExportProgress(ctx, progress),
+                log: this.log
+            });
+            const baseName = file.name.replace(/\.[^.]+$/, '') || 'video';
+            const delivered = await shareOrDownload(result.blob, `uv-${baseName}.${result.extension}`, { log: this.log });
+            this.log('EXPORT', 'Video delivered', { result: delivered, bytes: result.blob.size });
+            this.emitCapture('video-export', result.blob, delivered);
+            return result.blob;
+        } catch (error) {
+            const cancelled = error.name === 'AbortError';
+            this.log[cancelled ? 'info' : 'error']('EXPORT', cancelled ? 'Export cancelled' : 'Error exporting video', {
+                name: error.name,
+                message: error.message
+            });
+            return null;
+        } finally {
+            if (ctx) {
+                ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+            }
+            // A still opened during the export keeps the live pipeline paused
+            if (this.videoExport.resumeLive && !this.still) {
+                this.resumeLivePipeline('video export finished');
+            }
+            this.videoExport = null;
+        }
+    }
+    
+    cancelVideoExport() {
+        this.videoExport?.controller.abort();
+    }
+    
+    isRecording() {
+        return !!this.recorder?.recording;
+    }
+    
+    toggleRecording() {
+        return this.isRecording() ? this.stopRecording() : this.startRecording();
+    }
+    
+    startRecording() {
+        if (this.isRecording()) return false;
+        if (!CanvasRecorder.isSupported(this.canvas)) {
+            this.log('RECORDING', 'Recording not supported (MediaRecorder / canvas.captureStream missing)');
+            return false;
+        }
+        
+        try {
+            this.recorder = new CanvasRecorder(this.canvas, {
+                fps: this.targetFPS,
+                maxDurationMs: this.maxRecordingMs,
+                log: this.log,
+                onStop: (clip) => this.deliverRecording(clip)
+            });
+            const audioTrack = this.recordAudio ? this.source?.stream?.getAudioTracks()[0] || null : null;
+            this.recorder.start({ audioTrack });
+            this.showRecordingIndicator();
+            return true;
+        } catch (error) {
+            this.log.error('RECORDING', 'Error starting recording', {
+                name: error.name,
+                message: error.message
+            });
+            this.recorder = null;
+            return false;
+        }
+    }
+    
+    async stopRecording() {
+        if (!this.isRecording()) return null;
+        try {
+            // Delivery happens in onStop, which also covers the max-duration stop
+            return await this.recorder.stop();
+        } catch (error) {
+            this.log.error('RECORDING', 'Error stopping recording', {
+                name: error.name,
+                message: error.message
+            });
+            this.hideRecordingIndicator();
+            return null;
+        }
+    }
+    
+    async deliverRecording({ blob, extension }) {
+        this.hideRecordingIndicator();
+        if (this.viewportChangePending) {
+            this.onViewportChange();
+        }
+        try {
+            const result = await shareOrDownload(blob, captureFilename(extension), { log: this.log });
+            this.log('RECORDING', 'Recording delivered', { result, bytes: blob.size });
+            this.emitCapture('recording', blob, result);
+        } catch (error) {
+            this.log.error('RECORDING', 'Error delivering recording', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+    
+    // The overlay covers the display canvas, at full device resolution
+    sizeOverlay() {
+        const { width, height } = this.displaySize();
+        const dpr = window.devicePixelRatio || 1;
+        this.overlay.width = Math.round(width * dpr);
+        this.overlay.height = Math.round(height * dpr);
+    }
+    
+    showRecordingIndicator() {
+        if (!this.overlay) return;
+        this.sizeOverlay();
+        const ctx = this.overlay.getContext('2d');
+        
+        const draw = () => {
+            if (!this.isRecording()) return;
+            drawRecordingIndicator(ctx, this.recorder.elapsedMs, this.maxRecordingMs);
+        };
+        draw();
+        this.recordingIndicatorTimer = setInterval(draw, 250);
+    }
+    
+    hideRecordingIndicator() {
+        clearInterval(this.recordingIndicatorTimer);
+        this.recordingIndicatorTimer = null;
+        if (this.overlay) {
+            this.overlay.getContext('2d').clearRect(0, 0, this.overlay.width, this.overlay.height);
+        }
+    }
+    
+    emitCapture(kind, blob, delivered) {
+        this.events.emit('capture-complete', { kind, blob, bytes: blob.size, delivered });
+    }
+    
+    async capturePhoto() {
+        if (this.capturing) {
+            this.log('CAPTURE', 'Capture already in progress, ignoring');
+            return null;
+        }
+        if (this.still) {
+            return this.downloadStill();
+        }
+        if (!this.isFrameSourceReady()) {
+            this.log('CAPTURE', 'Frame source not ready, nothing to capture');
+            return null;
+        }
+        
+        this.capturing = true;
+        this.canvas.animate?.([{ opacity: 0.4 }, { opacity: 1 }], { duration: 200 });
+        
+        try {
+            const { blob } = await capturePhoto({
+                track: this.source.stream?.getVideoTracks()[0] || null,
+                video: this.source.image,
+                faces: this.landmarkStabilizer.getFaces(performance.now()),
+                segmentation: this.currentSegmentationMask(),
+                options: this.rendererOptions(),
+                logo: this.logoImage,
+                backgroundImage: this.backgroundImage,
+                log: this.log
+            });
+            const result = await shareOrDownload(blob, captureFilename('jpg'), { log: this.log });
+            this.log('CAPTURE', 'Photo delivered', { result, bytes: blob.size });
+            this.emitCapture('photo', blob, result);
+            return blob;
+        } catch (error) {
+            this.log.error('CAPTURE', 'Error capturing photo', {
+                name: error.name,
+                message: error.message,
+                stack: error.stack
+            });
+            return null;
+        } finally {
+            this.capturing = false;
+        }
+    }
+    
+    logVideoState() {
+        if (!this.video) return;
+        const state = {
+            readyState: this.video.readyState,
+            HAVE_NOTHING: this.video.HAVE_NOTHING,
+            HAVE_METADATA: this.video.HAVE_METADATA,
+            HAVE_CURRENT_DATA: this.video.HAVE_CURRENT_DATA,
+            HAVE_FUTURE_DATA: this.video.HAVE_FUTURE_DATA,
+            HAVE_ENOUGH_DATA: this.video.HAVE_ENOUGH_DATA,
+            paused: this.video.paused,
+            ended: this.video.ended,
+            videoWidth: this.video.videoWidth,
+            videoHeight: this.video.videoHeight,
+            srcObject: !!this.video.srcObject,
+            currentTime: this.video.currentTime,
+            duration: this.video.duration,
+            error: this.video.error ? {
+                code: this.video.error.code,
+                message: this.video.error.message
+            } : null
+        };
+        this.log('VIDEO_STATE', 'Video element state', state);
+        return state;
+    }
+    
+    logStreamState() {
+        if (!this.cameraStream) {
+            this.log('STREAM_STATE', 'No stream available');
+            return;
+        }
+        const tracks = this.cameraStream.getTracks();
+        const trackStates = tracks.map((track, idx) => ({
+            index: idx,
+            kind: track.kind,
+            enabled: track.enabled,
+            readyState: track.readyState,
+            muted: track.muted,
+            id: track.id,
+            label: track.label,
+            settings: track.getSettings ? track.getSettings() : null,
+            capabilities: track.getCapabilities ? track.getCapabilities() : null,
+            constraints: track.getConstraints ? track.getConstraints() : null
+        }));
+        const state = {
+            active: this.cameraStream.active,
+            id: this.cameraStream.id,
+            tracksCount: tracks.length,
+            tracks: trackStates
+        };
+        this.log('STREAM_STATE', 'Stream state', state);
+        return state;
+    }
+    
+    // The diagnostics bundle (diagnostics.js) as a plain object; the logs come last so
+    // they include the video / stream snapshots taken for it
+    diagnostics() {
+        const video = this.logVideoState() ?? null;
+        const stream = this.logStreamState() ?? null;
+        const detectors = Object.fromEntries(Object.entries(this.detectors).map(([detector, entry]) => [
+            detector,
+            { ...entry, assets: entry.assets.map(asset => ({ ...asset, timing: resourceTiming(asset.url) })) }
+        ]));
+        return {
+            version: DIAGNOSTICS_VERSION,
+            createdAt: new Date().toISOString(),
+            uptimeMs: Math.round(performance.now()),
+            page: typeof location !== 'undefined' ? location.href : null,
+            platform: platformSupport(),
+            config: { ...this.config },
+            problems: [...this.problems],
+            lifecycle: { started: this.started, paused: this.paused, destroyed: this.destroyed },
+            renderState: this.scheduler.getState(),
+            renderer: {
+                type: this.renderer?.rendererType ?? null,
+                worker: this.renderer instanceof WorkerRenderPipeline,
+                canvas: { width: this.canvas.width, height: this.canvas.height, ...this.displaySize() }
+            },
+            quality: this.qualityGovernor.getState(),
+            source: this.source?.describe() ?? null,
+            camera: this.cameraManager.preference,
+            video,
+            stream,
+            detectors,
+            faces: this.faceTracker.visibleCount(),
+            timings: Object.fromEntries(Object.entries(this.timings).map(([name, histogram]) => [name, histogram.toJSON()])),
+            logs: this.logger.entries()
+        };
+    }
+    
+    // Hands the bundle to the share sheet or downloads it; resolves to 'shared',
+    // 'downloaded' or 'cancelled' (null when it couldn't be built)
+    async exportDiagnostics() {
+        try {
+            const bundle = this.diagnostics();
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const delivered = await shareOrDownload(blob, diagnosticsFilename(), { title: 'UV Filter diagnostics', log: this.log });
+            this.log('DIAGNOSTICS', 'Diagnostics bundle exported', { delivered, bytes: blob.size, logs: bundle.logs.length });
+            return delivered;
+        } catch (error) {
+            this.log.error('DIAGNOSTICS', 'Error exporting diagnostics bundle', { name: error.name, message: error.message });
+            return null;
+        }
+    }
+    
+    // ?diagnostics=1: export once the filter has had time to show the problem. Without a
+    // tap there's no share sheet, so this ends up as a download.
+    scheduleDiagnosticsExport() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = setTimeout(() => {
+            this.diagnosticsTimer = null;
+            this.exportDiagnostics();
+        }, this.diagnosticsDelayMs);
+    }
+    
+    // Opens the frame source (the source option unless one is given) and starts
+    // rendering. Resolves to true once frames are flowing, false when the source failed
+    // (the filter then shows the error state; start() again or setFrameSource() to retry).
+    async start(source = this.sourceInput) {
+        if (this.destroyed) {
+            throw new Error('UVFaceFilter has been destroyed');
+        }
+        if (this.started && this.source) {
+            this.log('INIT', 'start() while running, nothing to do');
+            return true;
+        }
+        this.log('INIT', 'start() called', {
+            videoReady: this.videoReady,
+            streamActive: this.streamActive,
+            renderState: this.scheduler.state,
+            source: typeof source === 'string' ? source : source?.constructor?.name
+        });
+        this.logVideoState();
+        this.log('INIT', 'navigator.mediaDevices', {
+            exists: !!navigator.mediaDevices,
+            getUserMedia: typeof navigator.mediaDevices?.getUserMedia,
+            enumerateDevices: typeof navigator.mediaDevices?.enumerateDevices
+        });
+        this.log('INIT', 'User agent', { ua: navigator.userAgent });
+        
+        this.started = true;
+        this.paused = false;
+        this.setupVideoListeners();
+        if (this.config.diagnostics) {
+            this.scheduleDiagnosticsExport();
+        }
+        
+        let frameSource;
+        try {
+            frameSource = this.sourceFrom(source);
+        } catch (error) {
+            this.log.warn('INIT', 'Unusable frame source, using the camera', { message: error.message });
+            frameSource = this.createSource('camera');
+        }
+        return this.setFrameSource(frameSource);
+    }
+    
+    // Closes the frame source (camera tracks end) and stops rendering; the canvas keeps
+    // the last frame. MediaPipe stays loaded, so start() again is quick.
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+        this.sourceGeneration++; // A source still opening stops itself
+        this.paused = false;
+        this.cancelVideoExport();
+        if (this.isRecording()) {
+            this.stopRecording();
+        }
+        if (this.still) {
+            this.still.image.close();
+            this.still = null;
+            this.renderer?.setOptions({ fit: this.fit });
+        }
+        this.stopDetectionLoop();
+        this.stopStats();
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+        this.lastRenderAt = null;
+        if (this.source) {
+            this.source.stop();
+            this.log('SOURCE', 'Frame source stopped', this.source.describe());
+        }
+        this.forgetFaces();
+        this.landmarkStabilizer.reset();
+        this.source = null;
+        this.cameraStream = null;
+        this.streamActive = false;
+        this.videoReady = false;
+        if (this.scheduler.state === RENDER_STATES.PAUSED) {
+            this.scheduler.resume('stopping');
+        }
+        this.scheduler.transition(RENDER_STATES.BOOTING, 'stopped');
+    }
+    
+    // Freezes on the current frame: detection and rendering rest, the source stays open
+    pause() {
+        if (!this.started || this.paused) return false;
+        this.paused = true;
+        this.stopDetectionLoop();
+        this.scheduler.pause('paused');
+        this.lastRenderAt = null; // The pause isn't a slow frame
+        return true;
+    }
+    
+    resume() {
+        if (!this.paused) return false;
+        this.paused = false;
+        // A still image keeps the live pipeline paused; a hidden page resumes on its own
+        if (this.still || document.hidden) return true;
+        this.resumeLivePipeline('resumed');
+        return true;
+    }
+    
+    // Changes options while running (same names and values as the constructor's).
+    // source switches right away when started; mode applies from the next start().
+    // Returns the problems found; invalid options are ignored.
+    updateOptions(options = {}) {
+        const { values, problems } = parseOptions(options);
+        problems.forEach(problem => this.log.warn('CONFIG', `Ignoring invalid option: ${problem}`));
+        for (const [name, value] of Object.entries(values)) {
+            if (name in this.config && !OBJECT_OPTIONS.includes(name)) {
+                this.config[name] = value;
+            }
+            this.applyOption(name, value, values);
+        }
+        this.log('CONFIG', 'Options updated', { options: Object.keys(values) });
+        return problems;
+    }
+    
+    applyOption(name, value, values) {
+        switch (name) {
+            case 'source':
+                this.sourceInput = value;
+                if (this.started) this.setFrameSource(this.sourceFrom(value));
+                break;
+            case 'preset':
+                this.setPreset(value);
+                break;
+            case 'logo':
+                this.applyPreset(this.basePreset);
+                break;
+            case 'fps':
+                this.targetFPS = value;
+                this.frameInterval = 1000 / value;
+                this.scheduler.setFrameInterval(this.frameInterval);
+                this.qualityGovernor.setTargetFPS(value);
+                break;
+            case 'camera':
+                this.cameraManager.override({ facingMode: value });
+                if (this.source instanceof CameraSource) this.setFrameSource(this.createSource('camera'));
+                break;
+            case 'mode':
+                this.mode = value;
+                break;
+            case 'debug':
+            case 'logLevel':
+            case 'logCategories':
+            case 'logEndpoint':
+                this.configureLogging();
+                break;
+            case 'maxFaces':
+            case 'detectionConfidence':
+            case 'trackingConfidence':
+            case 'refineLandmarks':
+                this.maxNumFaces = this.config.maxFaces;
+                this.faceMesh?.setOptions(this.detectorOptions());
+                // Made again with the new options for the next still
+                this.stillDetector?.close();
+                this.stillDetector = null;
+                break;
+            case 'segmentation':
+                this.setSegmentation(value);
+                break;
+            case 'background':
+                this.setBackground(value, values.backgroundImage ?? this.backgroundImage);
+                break;
+            case 'backgroundImage':
+                if (!('background' in values)) this.setBackground(this.background, value);
+                break;
+            case 'fit':
+                this.fit = value;
+                if (!this.still) this.renderer?.setOptions({ fit: value });
+                break;
+            case 'interactive':
+                this.setInteractive(value);
+                break;
+            case 'diagnostics':
+                clearTimeout(this.diagnosticsTimer);
+                this.diagnosticsTimer = null;
+                if (value && this.started) this.scheduleDiagnosticsExport();
+                break;
+            case 'landmarkSmoothing':
+                this.landmarkSmoothing = { ...this.landmarkSmoothing, ...value };
+                this.landmarkStabilizer.setOptions(value);
+                break;
+            case 'recordAudio':
+                // The microphone is requested with the next camera
+                this.recordAudio = value;
+                break;
+        }
+    }
+    
+    // 'general' | 'landscape' | 'off'; the graph is created the first time it's needed
+    setSegmentation(segmentation) {
+        this.useSegmentation = segmentation !== 'off';
+        this.renderer?.setOptions({ useSegmentation: this.useSegmentation });
+        if (!this.useSegmentation) {
+            this.lastSegmentationMask = null;
+        } else if (this.selfieSegmentation) {
+            this.selfieSegmentation.setOptions(this.segmentationOptions());
+        } else if (this.source) {
+            this.segmentationSetupAttempted = false;
+            this.setupSelfieSegmentation();
+            if (!this.detectionLoopActive && !this.paused && !this.still && !this.videoExport) {
+                this.startDetectionLoop();
+            }
+        }
+        this.log('SEGMENTATION', 'Segmentation changed', { segmentation });
+    }
+    
+    // Releases everything: camera tracks, MediaPipe graphs, the render worker / GL
+    // context, the render loop, timers and listeners. The instance can't be started again.
+    destroy() {
+        if (this.destroyed) return;
+        this.stop();
+        this.destroyed = true;
+        this.setInteractive(false);
+        this.disposers.splice(0).forEach(dispose => dispose());
+        this.removeVideoListeners();
+        this.hideRecordingIndicator();
+        this.scheduler.stop();
+        
+        this.faceMesh?.close();
+        this.faceMesh = null;
+        this.selfieSegmentation?.close();
+        this.selfieSegmentation = null;
+        this.stillDetector?.close();
+        this.stillDetector = null;
+        this.renderer?.destroy();
+        this.renderer = null;
+        this.ctx = null;
+        this.lastSegmentationMask = null;
+        this.logoUrl = null; // A logo still loading is dropped
+        this.events.clear();
+        this.log('INIT', 'UVFaceFilter destroyed');
+        // The buffer stays readable; queued entries still go out
+        this.endpointOutput?.sink.close();
+        this.endpointOutput = null;
+    }
+    
+    // What start() / the source option take -> a FrameSource: a kind, a FrameSource, or
+    // the MediaStream, canvas, image or File (image / video) to run on
+    sourceFrom(input) {
+        if (input instanceof FrameSource) return input;
+        if (typeof input === 'string') return this.createSource(input);
+        if (typeof MediaStream !== 'undefined' && input instanceof MediaStream) {
+            return this.createSource('stream', input);
+        }
+        if (input instanceof Blob) {
+            return this.createSource(input.type.startsWith('video/') ? 'video' : 'image', input);
+        }
+        if (typeof HTMLCanvasElement !== 'undefined' && input instanceof HTMLCanvasElement) {
+            return this.createSource('canvas', input);
+        }
+        if (input && typeof input === 'object') return this.createSource('image', input);
+        throw new Error(`Unknown frame source ${String(input)}`);
+    }
+    
+    // kind: 'camera' | 'video' | 'image' | 'canvas' | 'stream' | 'test-pattern';
+    // input: the file/URL, image, canvas or MediaStream for kinds that take one
+    createSource(kind, input = null) {
+        if (kind === 'camera') {
+            return new CameraSource({
+                video: this.video,
+                constraints: {
+                    video: this.cameraManager.videoConstraints({
+                        width: { ideal: 1280, min: 640 },
+                        height: { ideal: 720, min: 480 }
+                    }),
+                    // Microphone only when recordings should carry sound
+                    audio: this.recordingEnabled && this.recordAudio
+                },
+                log: this.log
+            });
+        }
+        return createFrameSource(kind, input, { log: this.log });
+    }
+    
+    // Swaps the live frame source at runtime; the pipeline starts over from booting.
+    // Resolves to true once the new source is running.
+    async setFrameSource(source) {
+        if (this.destroyed) {
+            throw new Error('UVFaceFilter has been destroyed');
+        }
+        if (this.videoExport) {
+            this.log('SOURCE', 'Video export running, not switching frame source');
+            return false;
+        }
+        if (this.still) {
+            this.closeStillImage();
+        }
+        
+        // Switches can overlap (two quick camera flips, a flip during start()): only the
+        // latest one may keep its source, the others stop theirs once they've opened
+        const generation = ++this.sourceGeneration;
+        const previous = this.source;
+        this.started = true;
+        this.stopDetectionLoop();
+        this.source = null;
+        if (previous && previous !== source) {
+            previous.stop();
+            this.log('SOURCE', 'Previous frame source stopped', previous.describe());
+        }
+        if (this.scheduler.state === RENDER_STATES.PAUSED) {
+            // Paused (page hidden or pause()) only ends through resume
+            this.paused = false;
+            this.scheduler.resume('switching frame source');
+        }
+        if (this.scheduler.state !== RENDER_STATES.BOOTING) {
+            this.scheduler.transition(RENDER_STATES.BOOTING, `switching to ${source.kind} source`);
+        }
+        // Nothing from the old frames carries over
+        this.forgetFaces();
+        this.landmarkStabilizer.reset();
+        this.lastFaces = null;
+        this.lastSegmentationMask = null;
+        
+        this.log('SOURCE', 'Starting frame source', { kind: source.kind });
+        try {
+            await source.start();
+            if (generation !== this.sourceGeneration) {
+                // Another switch, or stop() / destroy(), while the source was opening
+                this.log('SOURCE', 'Frame source superseded while opening, stopping it', { kind: source.kind });
+                source.stop();
+                return false;
+            }
+        } catch (error) {
+            source.stop();
+            if (generation !== this.sourceGeneration) return false;
+            this.log.error('SOURCE', 'Error starting frame source', {
+                kind: source.kind,
+                name: error.name,
+                message: error.message
+            });
+            this.events.emit('camera-error', {
+                kind: source.kind,
+                type: cameraErrorType(error),
+                name: error.name,
+                message: error.message
+            });
+            this.enterErrorState(`${source.kind} source failed: ${error.message}`);
+            return false;
+        }
+        
+        if (!source.isReady()) {
+            this.log.error('SOURCE', 'Frame source has no frames', source.describe());
+            source.stop();
+            this.events.emit('camera-error', {
+                kind: source.kind,
+                type: 'no-frames',
+                name: null,
+                message: 'The source has zero dimensions'
+            });
+            this.enterErrorState(`${source.kind} source has zero dimensions`);
+            return false;
+        }
+        
+        this.source = source;
+        this.cameraStream = source.stream;
+        this.streamActive = true;
+        this.videoReady = true;
+        this.log('SOURCE', 'Frame source running', source.describe());
+        this.logStreamState();
+        if (source instanceof CameraSource) {
+            await this.restoreCameraPreference(source);
+            // A newer switch has already stopped this source
+            if (generation !== this.sourceGeneration) return false;
+        }
+        this.events.emit('camera-started', {
+            kind: source.kind,
+            width: source.width,
+            height: source.height,
+            deviceId: source.deviceId ?? null,
+            facingMode: source.facingMode ?? null,
+            label: source.videoTrack?.label ?? null
+        });
+        this.startStats();
+        
+        this.renderer.setOptions({ mirror: source.mirror });
+        
+        // Setup segmentation for person/background separation
+        if (!this.segmentationSetupAttempted) {
+            this.setupSelfieSegmentation();
+        }
+        
+        // Whole-frame UV effect right away, face tracking once FaceMesh is up
+        this.startDetection();
+        return true;
+    }
+    
+    // Convenience for the console / embedding page: setFrameSource(createSource(...))
+    switchFrameSource(kind, input = null) {
+        return this.setFrameSource(this.createSource(kind, input));
+    }
+    
+    // Cameras: C flips front/rear, T toggles the torch (rear cameras on phones, mostly)
+    setupCameraControls() {
+        const listen = (type, handler) => this.listen(document, type, handler, this.interactionDisposers);
+        listen('keydown', (event) => {
+            if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.key === 'c' || event.key === 'C') {
+                event.preventDefault();
+                this.flipCamera();
+            } else if (event.key === 't' || event.key === 'T') {
+                event.preventDefault();
+                this.toggleTorch();
+            }
+        });
+    }
+    
+    // Hidden on purpose: hold three fingers on the canvas for 2 s, or press D
+    setupDiagnosticsTrigger() {
+        this.interactionDisposers.push(watchDiagnosticsGesture(this.canvas, () => this.exportDiagnostics()));
+        this.listen(document, 'keydown', (event) => {
+            if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.key === 'd' || event.key === 'D') {
+                event.preventDefault();
+                this.exportDiagnostics();
+            }
+        }, this.interactionDisposers);
+    }
+    
+    // Remembers the camera that actually opened and turns the torch back on if it was
+    // on last time (the track starts with it off)
+    async restoreCameraPreference(source) {
+        this.cameraManager.remember(source);
+        if (this.cameraManager.preference.torch && CameraManager.torchSupported(source.videoTrack)) {
+            try {
+                await this.cameraManager.setTorch(source.videoTrack, true);
+            } catch (error) {
+                this.log.warn('CAMERA', 'Could not restore torch', { name: error.name, message: error.message });
+            }
+        }
+    }
+    
+    // [{ deviceId, label, facingMode }] of the video inputs
+    listCameras() {
+        return this.cameraManager.listCameras();
+    }
+    
+    // Opens a specific camera ({ deviceId }) or the front/rear one ({ facingMode }) in
+    // place of the current source; the old tracks are stopped first. Resolves to true
+    // once it's running.
+    async selectCamera({ deviceId = null, facingMode = null } = {}) {
+        this.log('CAMERA', 'Selecting camera', { deviceId, facingMode });
+        this.cameraManager.choose({ deviceId, facingMode });
+        return this.setFrameSource(this.createSource('camera'));
+    }
+    
+    // Front <-> rear; with more than two cameras, the next one in the list
+    async flipCamera() {
+        const current = this.source instanceof CameraSource
+            ? { deviceId: this.source.deviceId, facingMode: this.source.facingMode }
+            : this.cameraManager.preference;
+        const next = await this.cameraManager.nextCamera(current);
+        if (!next) {
+            this.log('CAMERA', 'Only one camera, nothing to flip to');
+            return false;
+        }
+        return this.selectCamera(next);
+    }
+    
+    // Resolves to the torch state applied; false when the camera has no torch
+    async setTorch(on) {
+        const track = this.source instanceof CameraSource ? this.source.videoTrack : null;
+        try {
+            return await this.cameraManager.setTorch(track, on);
+        } catch (error) {
+            this.log.error('CAMERA', 'Error switching torch', { name: error.name, message: error.message });
+            return false;
+        }
+    }
+    
+    toggleTorch() {
+        const track = this.source instanceof CameraSource ? this.source.videoTrack : null;
+        const on = track?.getSettings?.().torch ?? this.cameraManager.preference.torch;
+        return this.setTorch(!on);
+    }
+    
+    removeVideoListeners() {
+        if (!this.video) return;
+        if (this.onLoadedMetadata) {
+            this.video.removeEventListener('loadedmetadata', this.onLoadedMetadata);
+        }
+        if (this.onCanPlay) {
+            this.video.removeEventListener('canplay', this.onCanPlay);
+        }
+        if (this.onPlay) {
+            this.video.removeEventListener('play', this.onPlay);
+        }
+        if (this.onPlaying) {
+            this.video.removeEventListener('playing', this.onPlaying);
+        }
+        if (this.onPause) {
+            this.video.removeEventListener('pause', this.onPause);
+        }
+        if (this.onVideoError) {
+            this.video.removeEventListener('error', this.onVideoError);
+        }
+        if (this.onStalled) {
+            this.video.removeEventListener('stalled', this.onStalled);
+        }
+        if (this.onWaiting) {
+            this.video.removeEventListener('waiting', this.onWaiting);
+        }
+    }
+    
+    setupVideoListeners() {
+        this.log('LISTENERS', 'Setting up video event listeners');
+        
+        if (!this.video) return; // Sources make their own hidden <video>
+        this.removeVideoListeners();
+        
+        // State changes come from setFrameSource(); these are diagnostics for the
+        // camera's <video>
+        this.onLoadedMetadata = () => {
+            this.log('VIDEO_EVENT', 'loadedmetadata fired');
+            this.logVideoState();
+            this.logStreamState();
+        };
+        
+        this.onCanPlay = () => {
+            this.log('VIDEO_EVENT', 'canplay fired');
+            this.logVideoState();
+        };
+        
+        this.onPlay = () => {
+            this.log('VIDEO_EVENT', 'play fired');
+            this.logVideoState();
+        };
+        
+        this.onPlaying = () => {
+            this.log('VIDEO_EVENT', 'playing fired');
+            this.logVideoState();
+        };
+        
+        this.onPause = () => {
+            this.log('VIDEO_EVENT', 'pause fired');
+            this.logVideoState();
+        };
+        
+        this.onVideoError = (e) => {
+            this.log('VIDEO_EVENT', 'error fired', {
+                errorCode: this.video.error?.code,
+                errorMessage: this.video.error?.message,
+                event: e
+            });
+            this.logVideoState();
+            if (this.source?.image === this.video) {
+                this.enterErrorState('Video error event');
+            }
+        };
+        
+        this.onStalled = () => {
+            this.log('VIDEO_EVENT', 'stalled fired');
+            this.logVideoState();
+        };
+        
+        this.onWaiting = () => {
+            this.log('VIDEO_EVENT', 'waiting fired');
+            this.logVideoState();
+        };
+        
+        // Add listeners
+        this.video.addEventListener('loadedmetadata', this.onLoadedMetadata);
+        this.video.addEventListener('canplay', this.onCanPlay);
+        this.video.addEventListener('play', this.onPlay);
+        this.video.addEventListener('playing', this.onPlaying);
+        this.video.addEventListener('pause', this.onPause);
+        this.video.addEventListener('error', this.onVideoError);
+        this.video.addEventListener('stalled', this.onStalled);
+        this.video.addEventListener('waiting', this.onWaiting);
+        
+        this.log('LISTENERS', 'All video event listeners attached');
+    }
+    
+    // Display canvas at its CSS size in device pixels. How the source fits into it
+    // (cover crop / contain letterbox, landmarks mapped to match) is worked out per frame
+    // by the renderer, so a new camera resolution or a rotated stream needs nothing here.
+    setupCanvas() {
+        const display = this.displaySize();
+        const { width, height, pixelRatio } = canvasSize(
+            display.width,
+            display.height,
+            window.devicePixelRatio,
+            this.maxPixelRatio
+        );
+        this.pixelRatio = pixelRatio;
+        this.renderer.resize(width, height);
+        this.renderer.setOptions({ compactLogo: display.width < 768, pixelRatio });
+        
+        this.log('CANVAS', 'Canvas dimensions set', {
+            width,
+            height,
+            pixelRatio,
+            cssWidth: display.width,
+            cssHeight: display.height,
+            source: this.source ? `${this.source.width}x${this.source.height}` : null
+        });
+    }
+    
+    // Window resized, phone rotated or devicePixelRatio changed
+    onViewportChange() {
+        if (this.isRecording()) {
+            // Resizing a canvas mid-capture breaks the recording in some browsers
+            this.viewportChangePending = true;
+            this.log('CANVAS', 'Viewport changed while recording, resizing afterwards');
+            return;
+        }
+        this.viewportChangePending = false;
+        this.setupCanvas();
+        if (this.still) {
+            this.renderStillPreview();
+        }
+    }
+    
+    setupSelfieSegmentation() {
+        this.log('SEGMENTATION', 'setupSelfieSegmentation() called');
+        
+        if (this.segmentationSetupAttempted) {
+            this.log('SEGMENTATION', 'Segmentation setup already attempted, skipping');
+            return;
+        }
+        
+        this.segmentationSetupAttempted = true;
+        
+        if (this.config.segmentation === 'off') {
+            this.log('SEGMENTATION', 'Segmentation turned off by configuration');
+            return;
+        }
+        if (typeof SelfieSegmentation === 'undefined') {
+            this.log.warn('SEGMENTATION', 'SelfieSegmentation not available, will process without segmentation');
+            this.detectors['selfie-segmentation'] = { status: 'unavailable', assets: [] };
+            return;
+        }
+        
+        try {
+            this.log('SEGMENTATION', 'Creating SelfieSegmentation instance');
+            this.detectorLoading('selfie-segmentation');
+            this.selfieSegmentation = new SelfieSegmentation({
+                locateFile: (file) => {
+                    const url = `https://cdn.jsdelivr.net/npm/@mediapipe/selfie_segmentation/${file}`;
+                    this.detectorAsset('selfie-segmentation', file, url);
+                    return url;
+                }
+            });
+            
+            this.selfieSegmentation.setOptions(this.segmentationOptions());
+            
+            this.selfieSegmentation.onResults((results) => {
+                this.detectorReady('selfie-segmentation');
+                if (results.segmentationMask) {
+                    // MediaPipe reuses its mask canvas; copy it so later renders see this frame
+                    this.storeSegmentationMask(results.segmentationMask);
+                    if (this.logger.enabled('debug', 'SEGMENTATION')) {
+                        this.logger.debug('SEGMENTATION', 'Segmentation mask received', {
+                            width: results.segmentationMask.width || 'unknown',
+                            height: results.segmentationMask.height || 'unknown'
+                        });
+                    }
+                } else {
+                    this.log('SEGMENTATION', 'No segmentation mask in results');
+                }
+            });
+            
+            // Frames are sent from the same detection loop as FaceMesh (onSourceFrame)
+            this.log('SEGMENTATION', 'SelfieSegmentation setup complete');
+        } catch (error) {
+            this.log.error('SEGMENTATION', 'Error in setupSelfieSegmentation', {
+                name: error.name,
+                message: error.message
+            });
+            this.detectorFailed('selfie-segmentation', error);
+        }
+    }
+    
+    segmentationOptions() {
+        return {
+            // 0 = general (256x256), 1 = landscape (144x256, faster)
+            modelSelection: this.config.segmentation === 'general' ? 0 : 1,
+            smoothSegmentation: true
+        };
+    }
+    
+    storeSegmentationMask(mask) {
+        const { width, height } = mask;
+        if (!this.lastSegmentationMask) {
+            this.lastSegmentationMask = createCanvas(width, height);
+        } else if (this.lastSegmentationMask.width !== width || this.lastSegmentationMask.height !== height) {
+            this.lastSegmentationMask.width = width;
+            this.lastSegmentationMask.height = height;
+        }
+        const ctx = this.lastSegmentationMask.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(mask, 0, 0);
+        this.lastSegmentationTime = performance.now();
+    }
+    
+    setupFaceMesh() {
+        // CRITICAL: Prevent multiple FaceMesh instances
+        if (this.faceMesh) {
+            this.log('FACEMESH', 'FaceMesh already exists, skipping');
+            return;
+        }
+        
+        this.log('FACEMESH', 'setupFaceMesh() called');
+        this.log('FACEMESH', 'MediaPipe availability', {
+            FaceMesh: typeof FaceMesh
+        });
+        
+        if (typeof FaceMesh === 'undefined') {
+            this.log.warn('FACEMESH', 'FaceMesh not available - staying in fallback mode');
+            this.detectors['face-mesh'] = { status: 'unavailable', assets: [] };
+            return;
+        }
+        
+        try {
+            this.log('FACEMESH', 'Creating FaceMesh instance');
+            this.detectorLoading('face-mesh');
+            this.faceMesh = new FaceMesh({
+                locateFile: (file) => {
+                    const url = `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+                    this.logger.debug('FACEMESH', 'Loading MediaPipe file', { file, url });
+                    this.detectorAsset('face-mesh', file, url);
+                    return url;
+                }
+            });
+            
+            this.log('FACEMESH', 'FaceMesh instance created');
+            
+            this.faceMesh.setOptions(this.detectorOptions());
+            
+            this.log('FACEMESH', 'FaceMesh options set');
+            
+            this.faceMesh.onResults((results) => {
+                this.detectorReady('face-mesh');
+                // Every detection: only built when someone is listening at debug level
+                if (this.logger.enabled('debug', 'FACEMESH')) {
+                    this.logger.debug('FACEMESH', 'FaceMesh results received', {
+                        hasImage: !!results.image,
+                        multiFaceLandmarks: results.multiFaceLandmarks?.length || 0,
+                        renderState: this.scheduler.state
+                    });
+                }
+                this.processFrame(results);
+            });
+            
+            this.log('FACEMESH', 'FaceMesh onResults handler set');
+            
+            // Don't timeout - let it try indefinitely, but switch to fallback if too many failures
+            this.faceMeshLoadTimeout = null;
+            
+            if (this.source?.isReady()) {
+                this.startDetectionLoop();
+                this.log('FACEMESH', 'Detection loop started', { source: this.source.kind });
+                this.scheduler.transition(RENDER_STATES.DETECTOR_LOADING, 'FaceMesh started');
+            } else {
+                this.log.error('FACEMESH', 'Frame source not ready for detection');
+                this.activateHardFallback('Frame source not ready for detection', false);
+            }
+        } catch (error) {
+            this.log.error('FACEMESH', 'Error in setupFaceMesh', {
+                name: error.name,
+                message: error.message,
+                stack: error.stack
+            });
+            this.detectorFailed('face-mesh', error);
+            this.activateHardFallback('setupFaceMesh error: ' + error.message, false);
+        }
+    }
+    
+    // A MediaPipe graph was created; its model files load on the first send
+    detectorLoading(detector) {
+        this.detectorStartTimes[detector] = performance.now();
+        this.detectors[detector] = { status: 'loading', assets: [], loadMs: null, sendErrors: 0, lastError: null };
+    }
+    
+    // A file the graph asked for (locateFile); the same file can be asked for twice
+    detectorAsset(detector, file, url) {
+        const assets = this.detectors[detector]?.assets;
+        if (assets && !assets.some(asset => asset.url === url)) {
+            assets.push({ file, url });
+        }
+    }
+    
+    // setup threw (fatal) or a send() failed
+    detectorFailed(detector, error, fatal = true) {
+        const entry = this.detectors[detector];
+        if (!entry) return;
+        if (fatal) entry.status = 'failed';
+        else entry.sendErrors++;
+        entry.lastError = { name: error.name, message: error.message };
+    }
+    
+    // First results of a MediaPipe graph (it loads its model on the first send)
+    detectorReady(detector) {
+        const startTime = this.detectorStartTimes[detector];
+        if (startTime === undefined) return;
+        delete this.detectorStartTimes[detector];
+        const loadMs = Math.round(performance.now() - startTime);
+        if (this.detectors[detector]) {
+            this.detectors[detector].status = 'ready';
+            this.detectors[detector].loadMs = loadMs;
+        }
+        this.log('DETECTOR', 'Detector ready', { detector, loadMs });
+        this.events.emit('detector-ready', { detector, loadMs });
+    }
+    
+    // Frames are flowing: whole-frame UV until FaceMesh reports its first results
+    startDetection() {
+        this.scheduler.transition(RENDER_STATES.CAMERA_READY, `${this.source.kind} source ready`);
+        if (this.mode === 'whole-frame') {
+            // Stays in camera-ready (whole-frame UV); the loop only feeds segmentation
+            this.log('FACEMESH', 'Whole-frame mode, FaceMesh not loaded');
+            this.startDetectionLoop();
+            return;
+        }
+        if (!this.faceMesh) {
+            this.setupFaceMesh();
+            return;
+        }
+        // FaceMesh survives a source switch; only the loop feeding it restarts
+        this.startDetectionLoop();
+        this.scheduler.transition(RENDER_STATES.DETECTOR_LOADING, 'FaceMesh restarted');
+    }
+    
+    // Feeds the source's frames to SelfieSegmentation and FaceMesh, throttled to
+    // targetFPS. Without either, the whole-frame effect runs undetected.
+    startDetectionLoop() {
+        if (!(this.faceMesh || this.selfieSegmentation) || !this.source) return;
+        this.detectionLoopActive = true;
+        this.source.setFrameCallback(() => this.onSourceFrame());
+    }
+    
+    stopDetectionLoop() {
+        if (!this.detectionLoopActive) return;
+        this.detectionLoopActive = false;
+        this.source?.setFrameCallback(null);
+        this.log('FACEMESH', 'Detection loop stopped (frame source stays open)');
+    }
+    
+    async onSourceFrame() {
+        const now = performance.now();
+        if (now - this.lastFrameTime < this.frameInterval) return;
+        this.lastFrameTime = now;
+        if (this.isProcessing || !this.source?.isReady()) return;
+        this.isProcessing = true;
+        const image = this.source.image;
+        
+        // Send to selfie segmentation for person/background mask
+        if (this.selfieSegmentation && this.useSegmentation) {
+            try {
+                await this.selfieSegmentation.send({ image });
+            } catch (error) {
+                this.detectorFailed('selfie-segmentation', error, false);
+                this.log.error('SEGMENTATION', 'SelfieSegmentation.send() failed', {
+                    name: error.name,
+                    message: error.message
+                });
+            }
+        }
+        
+        // Send to FaceMesh if available, every detectEvery frames
+        this.detectionFrameCount++;
+        if (this.faceMesh && this.detectionFrameCount % this.detectEvery === 0) {
+            try {
+                const detectStart = performance.now();
+                await this.faceMesh.send({ image });
+                const detectMs = performance.now() - detectStart;
+                this.qualityGovernor.recordDetection(detectMs);
+                this.timings.detect.record(detectMs);
+                this.faceMeshFailCount = 0;
+            } catch (error) {
+                this.detectorFailed('face-mesh', error, false);
+                this.log.error('FACEMESH', 'FaceMesh.send() failed', {
+                    name: error.name,
+                    message: error.message,
+                    failCount: this.faceMeshFailCount + 1
+                });
+                this.faceMeshFailCount++;
+                if (this.faceMeshFailCount >= this.maxFaceMeshFailures) {
+                    this.log.warn('FACEMESH', 'FaceMesh failures exceeded, staying in fallback mode');
+                    this.scheduler.transition(RENDER_STATES.NO_FACE, 'FaceMesh failures exceeded');
+                }
+            }
+        }
+        
+        this.isProcessing = false;
+    }
+    
+    // Called by the scheduler once per frame with the current state
+    renderState(state, now) {
+        if (!this.source || !this.renderer) return;
+        
+        switch (state) {
+            case RENDER_STATES.FACE_TRACKED: {
+                // Stabilized faces; lost faces fade out, then expire
+                const faces = this.landmarkStabilizer.getFaces(now);
+                if (faces.length > 0) {
+                    this.applyUVFilter(faces);
+                    return;
+                }
+                this.lastFaces = null;
+                this.scheduler.transition(RENDER_STATES.NO_FACE, 'tracked faces expired');
+                this.applyUVFilterToEntireFrame();
+                return;
+            }
+            case RENDER_STATES.CAMERA_READY:
+            case RENDER_STATES.DETECTOR_LOADING:
+            case RENDER_STATES.NO_FACE: {
+                if (this.isFrameSourceReady()) {
+                    // Apply UV filter to entire video feed
+                    this.applyUVFilterToEntireFrame();
+                    this.frameCount++;
+                }
+                return;
+            }
+            case RENDER_STATES.HARD_FALLBACK:
+                if (this.isFrameSourceReady()) {
+                    this.drawRawVideoFrame();
+                } else {
+                    this.log('FALLBACK', 'Frame source not ready for rendering', this.source.describe());
+                }
+                return;
+            default:
+                // booting / paused / error: nothing to draw
+                return;
+        }
+    }
+    
+    applyUVFilterToEntireFrame() {
+        try {
+            if (!this.renderer || !this.isFrameSourceReady()) {
+                return;
+            }
+            
+            // Whole-frame inversion + sunscreen detection, logo included; person only
+            // when there is a segmentation mask
+            this.renderFrame('whole', { segmentation: this.currentSegmentationMask() });
+            
+        } catch (error) {
+            this.log.error('RENDER', 'Error in applyUVFilterToEntireFrame', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+    
+    activateHardFallback(reason, stopMediaPipeOnly = true) {
+        this.log.warn('FALLBACK', 'activateHardFallback() called', {
+            reason,
+            stopMediaPipeOnly,
+            renderState: this.scheduler.state,
+            streamActive: this.streamActive
+        });
+        
+        if (this.faceMeshLoadTimeout) {
+            clearTimeout(this.faceMeshLoadTimeout);
+            this.faceMeshLoadTimeout = null;
+            this.log('FALLBACK', 'FaceMesh timeout cleared');
+        }
+        
+        if (stopMediaPipeOnly) {
+            this.stopDetectionLoop();
+        }
+        
+        this.log('FALLBACK', 'Frame source remains active - switching to fallback rendering');
+        this.logStreamState();
+        this.logVideoState();
+        
+        // Raw mirrored video from here on
+        if (this.scheduler.transition(RENDER_STATES.HARD_FALLBACK, reason)) {
+            this.events.emit('fallback-activated', { reason });
+        }
+    }
+    
+    // No usable video at all (permission denied, broken stream)
+    enterErrorState(reason) {
+        this.log.error('ERROR', 'Entering error state', { reason });
+        this.stopDetectionLoop();
+        this.scheduler.transition(RENDER_STATES.ERROR, reason);
+    }
+    
+    drawRawVideoFrame() {
+        try {
+            if (!this.renderer || !this.source) {
+                this.log.error('RENDER', 'Missing renderer or frame source in drawRawVideoFrame');
+                return;
+            }
+            
+            // Health check every 60 frames
+            if (this.frameCount % 60 === 0) {
+                const now = performance.now();
+                if (now - this.lastHealthCheck > 2000) {
+                    this.lastHealthCheck = now;
+                    this.log('RENDER', 'Health check', {
+                        frameCount: this.frameCount,
+                        source: this.source.describe(),
+                        streamActive: this.streamActive
+                    });
+                    this.logStreamState();
+                }
+            }
+            
+            // Draw video (mirrored) + logo
+            this.renderFrame('raw');
+            
+            this.frameCount++;
+            
+            // Log every 300 frames (every ~10 seconds at 30fps)
+            if (this.frameCount % 300 === 0) {
+                const now = performance.now();
+                if (now - this.lastLogTime > 10000) {
+                    this.log('RENDER', 'Frame render', {
+                        frameCount: this.frameCount,
+                        source: this.source.kind,
+                        dimensions: `${this.source.width}x${this.source.height}`,
+                        canvasDimensions: `${this.renderer.width}x${this.renderer.height}`,
+                        renderer: this.renderer.rendererType
+                    });
+                    this.lastLogTime = now;
+                }
+            }
+        } catch (error) {
+            this.log.error('RENDER', 'Error in drawRawVideoFrame', {
+                name: error.name,
+                message: error.message,
+                stack: error.stack
+            });
+        }
+    }
+    
+    // face-detected for tracks that are new since `known`, face-lost for dropped ones
+    emitFaceChanges(known) {
+        const tracks = this.faceTracker.tracks;
+        for (const id of tracks.keys()) {
+            if (!known.has(id)) this.events.emit('face-detected', { id, faces: tracks.size });
+        }
+        for (const id of known) {
+            if (!tracks.has(id)) this.events.emit('face-lost', { id, faces: tracks.size });
+        }
+    }
+    
+    // New source or stop(): every tracked face is gone
+    forgetFaces() {
+        const known = new Set(this.faceTracker.tracks.keys());
+        this.faceTracker = new FaceTracker();
+        this.emitFaceChanges(known);
+    }
+    
+    processFrame(results) {
+        try {
+            // Every detected face, with tracking IDs that stay stable across frames. Empty
+            // results still age the tracks so lost faces eventually release their IDs.
+            const known = new Set(this.faceTracker.tracks.keys());
+            const faces = this.faceTracker.update(results.multiFaceLandmarks);
+            this.emitFaceChanges(known);
+            const now = performance.now();
+            this.landmarkStabilizer.update(faces, now);
+            
+            if (faces.length === 0) {
+                // Lost faces fade out in the render loop, which moves on to no-face once
+                // they have expired
+                if (this.scheduler.state === RENDER_STATES.DETECTOR_LOADING) {
+                    this.scheduler.transition(RENDER_STATES.NO_FACE, 'FaceMesh running, no face');
+                }
+                return;
+            }
+            
+            this.lastFaceDetected = Date.now();
+            if (this.faceMeshLoadTimeout) {
+                clearTimeout(this.faceMeshLoadTimeout);
+                this.faceMeshLoadTimeout = null;
+            }
+            
+            this.lastFaces = faces;
+            
+            if (this.scheduler.state !== RENDER_STATES.FACE_TRACKED) {
+                this.scheduler.transition(RENDER_STATES.FACE_TRACKED, 'face detected', {
+                    faces: faces.map(face => face.id)
+                });
+            }
+        } catch (error) {
+            this.log.error('PROCESS', 'Error in processFrame', {
+                name: error.name,
+                message: error.message,
+                stack: error.stack
+            });
+            // Whole-frame UV until the next good result
+            this.scheduler.transition(RENDER_STATES.NO_FACE, 'processFrame error');
+        }
+    }
+    
+    drawInvertedFrame() {
+        try {
+            if (!this.renderer || !this.isFrameSourceReady()) {
+                this.log('RENDER', 'Cannot draw inverted frame - video not ready', {
+                    hasRenderer: !!this.renderer,
+                    source: this.source?.describe() || null
+                });
+                return;
+            }
+            
+            this.renderFrame('inverted');
+            
+            // Inverted mode active
+        } catch (error) {
+            this.log.error('RENDER', 'Error in drawInvertedFrame', {
+                name: error.name,
+                message: error.message
+            });
+        }
+    }
+    
+    applyUVFilter(faces) {
+        try {
+            if (!this.renderer || !this.isFrameSourceReady()) {
+                this.log('RENDER', 'Cannot apply UV filter - video not ready', {
+                    hasRenderer: !!this.renderer,
+                    source: this.source?.describe() || null
+                });
+                return;
+            }
+            
+            if (this.logger.enabled('debug', 'RENDER')) {
+                this.logger.debug('RENDER', 'Applying UV filter', {
+                    faces: faces.map(face => face.id),
+                    canvasSize: `${this.renderer.width}x${this.renderer.height}`,
+                    videoSize: `${this.source.width}x${this.source.height}`,
+                    renderer: this.renderer.rendererType
+                });
+            }
+            
+            this.renderFrame('face', { faces, segmentation: this.currentSegmentationMask() });
+            // UV filter active
+            
+            this.frameCount++;
+        } catch (error) {
+            this.log.error('RENDER', 'Error in applyUVFilter', {
+                name: error.name,
+                message: error.message,
+                stack: error.stack
+            });
+            this.drawInvertedFrame();
+        }
+    }
+}
+
+// { canvas, video?, overlay?, source?, options? } -> UVFaceFilter (not started yet)
+export function createUVFilter(setup) {
+    return new UVFaceFilter(setup);
+}
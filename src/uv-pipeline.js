@@ -0,0 +1,276 @@
+// UV pixel pipeline - Canvas 2D (CPU) implementation
+// Pure functions over ImageData-like objects ({ data, width, height }) so the same
+// code runs on the main thread, in tests and as the reference for the WebGL renderer.
+
+import { applyCubeLUT, isCubeLUT } from './cube-lut.js';
+
+// Mask values above this select a region
+export const REGION_THRESHOLD = 0.1;
+
+// Eyebrows are only partially tinted towards the hair colour (classic look)
+export const EYEBROW_BLEND = 0.3;
+
+// Soft blur only touches the feathered band of the skin mask
+export const BLUR_MASK_MIN = 0.15;
+export const BLUR_MASK_MAX = 0.85;
+export const BLUR_STRENGTH = 0.25; // Classic look; presets set feather.strength
+export const BLUR_STEP = 2;
+
+export function clamp(value) {
+    return Math.max(0, Math.min(255, value));
+}
+
+export function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+export function invertPixel(r, g, b) {
+    return {
+        r: 255 - r,
+        g: 255 - g,
+        b: 255 - b
+    };
+}
+
+// The look: how each region's inverted colour is mapped (see presets.js for the JSON
+// format). A mapping gives every output channel as a weighted sum of the input r, g, b
+// and brightness ((r + g + b) / 3), clamped to [min, max]. A region either has one
+// mapping or splits on brightness: above `threshold` uses `bright`, otherwise `dark`.
+export const LOOK_REGIONS = ['skin', 'eye', 'lip', 'hair'];
+
+// A region can be graded with a .cube LUT instead (cube-lut.js), applied to the same
+// inverted colour. 'background' is everything outside the face regions; without its
+// own LUT it is shaded like hair (as it always was).
+export const LUT_REGIONS = [...LOOK_REGIONS, 'background'];
+
+// Match TikTok UV filter: pale white skin with deep blue/purple shadows, glowing white
+// eyes with dark pupils, greenish lips, light hair/background
+export const CLASSIC_REGIONS = {
+    skin: {
+        threshold: 128,
+        // Bright areas (normal skin) -> pale white with slight blue tint
+        bright: {
+            r: [0.1, 0, 0, 0.9],
+            g: [0, 0.15, 0, 0.85],
+            b: [0, 0, 0.15, 0.95],
+            min: [200, 200, 220]
+        },
+        // Dark areas (shadows, sun damage) -> deep blue/purple
+        dark: {
+            r: [0.3, 0, 0.2, 0],
+            g: [0, 0.4, 0.3, 0],
+            b: [0.3, 0, 1.2, 0],
+            min: [0, 0, 80]
+        }
+    },
+    eye: {
+        threshold: 100,
+        bright: { r: [0, 0, 0, 1.5], g: [0, 0, 0, 1.5], b: [0, 0, 0, 1.5] },
+        dark: { r: [0, 0, 0, 0.3], g: [0, 0, 0, 0.3], b: [0, 0, 0, 0.3] }
+    },
+    lip: {
+        r: [0.2, 0.5, 0, 0],
+        g: [0, 0.9, 0.2, 0],
+        b: [0, 0.4, 0.3, 0]
+    },
+    hair: {
+        r: [0, 0, 0, 1.15],
+        g: [0, 0, 0, 1.15],
+        b: [0, 0, 0, 1.15]
+    }
+};
+
+function compileMapping({ r, g, b, min = [0, 0, 0], max = [255, 255, 255] }) {
+    return { r, g, b, min, max };
+}
+
+function compileRegion(region) {
+    if (region.threshold === undefined) {
+        const mapping = compileMapping(region);
+        // Brightness is never negative, so everything is "bright"
+        return { threshold: -1, bright: mapping, dark: mapping };
+    }
+    return {
+        threshold: region.threshold,
+        bright: compileMapping(region.bright),
+        dark: compileMapping(region.dark)
+    };
+}
+
+// { interpolation, skin, ..., background } with parsed LUTs -> one LUT or null per
+// LUT_REGIONS entry
+function compileLUTs(luts) {
+    const compiled = {};
+    for (const name of LUT_REGIONS) {
+        const lut = luts[name] || null;
+        if (lut !== null && !isCubeLUT(lut)) {
+            throw new Error(`LUT for "${name}" is not loaded (presets.js loadPreset() fetches .cube files)`);
+        }
+        compiled[name] = lut;
+    }
+    compiled.background = compiled.background || compiled.hair;
+    return compiled;
+}
+
+// preset-shaped { regions, eyebrowBlend, feather: { strength }, luts } (all optional)
+// -> what shadeRegions / applySoftBlur / the WebGL renderer work from
+export function compileLook({ regions = {}, eyebrowBlend = EYEBROW_BLEND, feather = {}, luts = {} } = {}) {
+    const compiled = Object.fromEntries(LOOK_REGIONS.map(name => [
+        name,
+        compileRegion(regions[name] || CLASSIC_REGIONS[name])
+    ]));
+    compiled.background = compiled.hair;
+    return {
+        regions: compiled,
+        luts: compileLUTs(luts),
+        lutInterpolation: luts.interpolation ?? 'trilinear',
+        eyebrowBlend,
+        featherStrength: feather.strength ?? BLUR_STRENGTH
+    };
+}
+
+export const DEFAULT_LOOK = compileLook();
+
+function mapChannel(k, r, g, b, brightness, min, max) {
+    return Math.min(max, Math.max(min, k[0] * r + k[1] * g + k[2] * b + k[3] * brightness));
+}
+
+// type: 'skin' | 'eye' | 'lip' | 'hair' | 'background'
+export function applyUVLUT(r, g, b, type, look = DEFAULT_LOOK) {
+    const lut = look.luts[type];
+    if (lut) {
+        return applyCubeLUT(lut, r, g, b, look.lutInterpolation);
+    }
+    const region = look.regions[type];
+    if (!region) {
+        return { r, g, b };
+    }
+    const brightness = (r + g + b) / 3;
+    const m = brightness > region.threshold ? region.bright : region.dark;
+    return {
+        r: mapChannel(m.r, r, g, b, brightness, m.min[0], m.max[0]),
+        g: mapChannel(m.g, r, g, b, brightness, m.min[1], m.max[1]),
+        b: mapChannel(m.b, r, g, b, brightness, m.min[2], m.max[2])
+    };
+}
+
+// Region-aware inversion + LUT. Priority: eye > lip > eyebrow > skin > background
+export function shadeRegions(imageData, masks, look = DEFAULT_LOOK) {
+    const data = imageData.data;
+    const { skin, eye, lip, eyebrow } = masks;
+    const eyebrowBlend = look.eyebrowBlend;
+
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+
+        const skinValue = skin[p] || 0;
+        const eyeValue = eye[p] || 0;
+        const lipValue = lip[p] || 0;
+        const eyebrowValue = eyebrow[p] || 0;
+
+        const inverted = invertPixel(r, g, b);
+
+        if (eyeValue > REGION_THRESHOLD) {
+            const uvColor = applyUVLUT(inverted.r, inverted.g, inverted.b, 'eye', look);
+            data[i] = uvColor.r;
+            data[i + 1] = uvColor.g;
+            data[i + 2] = uvColor.b;
+        } else if (lipValue > REGION_THRESHOLD) {
+            const uvColor = applyUVLUT(inverted.r, inverted.g, inverted.b, 'lip', look);
+            data[i] = uvColor.r;
+            data[i + 1] = uvColor.g;
+            data[i + 2] = uvColor.b;
+        } else if (eyebrowValue > REGION_THRESHOLD) {
+            const uvColor = applyUVLUT(inverted.r, inverted.g, inverted.b, 'hair', look);
+            data[i] = lerp(r, uvColor.r, eyebrowBlend);
+            data[i + 1] = lerp(g, uvColor.g, eyebrowBlend);
+            data[i + 2] = lerp(b, uvColor.b, eyebrowBlend);
+        } else if (skinValue > REGION_THRESHOLD) {
+            const uvColor = applyUVLUT(inverted.r, inverted.g, inverted.b, 'skin', look);
+            const blend = skinValue;
+            data[i] = lerp(r, uvColor.r, blend);
+            data[i + 1] = lerp(g, uvColor.g, blend);
+            data[i + 2] = lerp(b, uvColor.b, blend);
+        } else {
+            const uvColor = applyUVLUT(inverted.r, inverted.g, inverted.b, 'background', look);
+            data[i] = uvColor.r;
+            data[i + 1] = uvColor.g;
+            data[i + 2] = uvColor.b;
+        }
+    }
+}
+
+export function contrastFactor(contrast) {
+    return (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
+}
+
+export function applyContrast(imageData, contrast) {
+    const data = imageData.data;
+    const factor = contrastFactor(contrast);
+
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = clamp(factor * (data[i] - 128) + 128);
+        data[i + 1] = clamp(factor * (data[i + 1] - 128) + 128);
+        data[i + 2] = clamp(factor * (data[i + 2] - 128) + 128);
+    }
+}
+
+export function applySoftBlur(imageData, mask, radius, strength = BLUR_STRENGTH) {
+    const data = imageData.data;
+    const width = imageData.width;
+    const height = imageData.height;
+    const tempData = new Uint8ClampedArray(data);
+
+    const step = BLUR_STEP;
+
+    for (let y = radius; y < height - radius; y += step) {
+        for (let x = radius; x < width - radius; x += step) {
+            const idx = y * width + x;
+            const maskVal = mask[idx];
+
+            if (maskVal > BLUR_MASK_MIN && maskVal < BLUR_MASK_MAX) {
+                let rSum = 0, gSum = 0, bSum = 0, count = 0;
+
+                for (let dy = -radius; dy <= radius; dy++) {
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const dist = Math.sqrt(dx * dx + dy * dy);
+                        if (dist <= radius) {
+                            const nIdx = (y + dy) * width + (x + dx);
+                            const weight = 1 - (dist / radius) * 0.5;
+                            rSum += tempData[nIdx * 4] * weight;
+                            gSum += tempData[nIdx * 4 + 1] * weight;
+                            bSum += tempData[nIdx * 4 + 2] * weight;
+                            count += weight;
+                        }
+                    }
+                }
+
+                if (count > 0) {
+                    const blend = 1 - Math.abs(maskVal - 0.5) * 2;
+                    data[idx * 4] = lerp(data[idx * 4], rSum / count, blend * strength);
+                    data[idx * 4 + 1] = lerp(data[idx * 4 + 1], gSum / count, blend * strength);
+                    data[idx * 4 + 2] = lerp(data[idx * 4 + 2], bSum / count, blend * strength);
+                }
+            }
+        }
+    }
+}
+
+export function invertColors(imageData) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 255 - data[i];
+        data[i + 1] = 255 - data[i + 1];
+        data[i + 2] = 255 - data[i + 2];
+    }
+}
+
+// Full face-tracked pass: regions -> contrast -> feathering
+export function applyUVPipeline(imageData, masks, options = {}) {
+    const { contrast = 1.8, blurRadius = 2, look = DEFAULT_LOOK } = options;
+    shadeRegions(imageData, masks, look);
+    applyContrast(imageData, contrast);
+    applySoftBlur(imageData, masks.skin, blurRadius, look.featherStrength);
+}
@@ -0,0 +1,551 @@
+// Offline video export
+// Runs a pre-recorded video file through FaceMesh and the UV pipeline frame by frame
+// and re-encodes the result to WebM. Nothing is paced by the wall clock: each source
+// frame is decoded, detected, rendered and encoded before the next one is read, so the
+// output has every source frame with the source timing however slow processing is.
+//
+// Frames come from WebCodecs' VideoDecoder for MP4 files (mp4-demuxer.js), or from
+// seeking a hidden <video> one frame at a time for everything else (other containers,
+// rotated phone video, codecs the decoder can't take). The original audio is decoded
+// and re-encoded to Opus alongside the video (webm-muxer.js).
+//
+// Background compositing needs a segmentation mask per frame and isn't applied here;
+// exported video gets the UV look on the full frame like the live view without one.
+
+import { FrameRenderer } from './frame-renderer.js';
+import { createCanvas } from './canvas.js';
+import { FaceTracker } from './face-tracker.js';
+import { LandmarkStabilizer } from './landmark-stabilizer.js';
+import { StillFaceDetector, fileFrom, pickFile } from './still-image.js';
+import { parseMp4, isMp4 } from './mp4-demuxer.js';
+import { WebMMuxer } from './webm-muxer.js';
+import { silentLog } from './logger.js';
+
+// Preferred first
+export const EXPORT_VIDEO_CODECS = ['vp09.00.41.08', 'vp8'];
+const OPUS_SAMPLE_RATE = 48000;
+const AUDIO_BLOCK_FRAMES = 4800; // 100 ms
+const DEFAULT_FRAME_RATE = 30;
+const KEYFRAME_INTERVAL_S = 2;
+// Frames in flight before we wait for the codec to catch up
+const MAX_QUEUE = 4;
+
+export const videoFileFrom = (dataTransfer) => fileFrom(dataTransfer, 'video/');
+export const pickVideoFile = () => pickFile('video/*');
+
+export function isVideoExportSupported() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function once(target, type) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            target.removeEventListener(type, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(target.error || new Error(`Failed waiting for "${type}"`));
+        };
+        target.addEventListener(type, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+const even = (n) => Math.max(2, n - (n % 2));
+
+// MP4 through VideoDecoder. Resolves to a frame source, or null when this file has
+// to go the <video> route.
+async function openDecoderSource(buffer, log) {
+    if (typeof VideoDecoder === 'undefined' || !isMp4(buffer)) return null;
+
+    let track;
+    try {
+        track = parseMp4(buffer);
+    } catch (error) {
+        log.warn('EXPORT', 'MP4 demux failed, seeking instead', { message: error.message });
+        return null;
+    }
+    if (track.rotation !== 0) {
+        log('EXPORT', 'Rotated MP4, seeking instead', { rotation: track.rotation });
+        return null;
+    }
+    const { supported } = await VideoDecoder.isConfigSupported(track.config);
+    if (!supported) {
+        log('EXPORT', 'Codec not supported by VideoDecoder, seeking instead', { codec: track.config.codec });
+        return null;
+    }
+
+    const { config, timescale, samples } = track;
+    const bytes = new Uint8Array(buffer);
+    const toMicros = (t) => Math.round(t * 1e6 / timescale);
+    // Presentation starts at the earliest composition time
+    const start = samples.reduce((min, s) => Math.min(min, s.cts), Infinity);
+    const totalDuration = samples.reduce((sum, s) => sum + s.duration, 0);
+
+    return {
+        decoder: 'webcodecs',
+        codec: config.codec,
+        width: config.codedWidth,
+        height: config.codedHeight,
+        frameCount: samples.length,
+        frameRate: samples.length / (totalDuration / timescale),
+
+        // Decoded frames in presentation order: { image: VideoFrame, timestamp, duration }
+        async *frames() {
+            const queue = [];
+            let failure = null;
+            let done = false;
+            let notify = null;
+            const wake = () => notify?.();
+
+            const decoder = new VideoDecoder({
+                output: (frame) => {
+                    queue.push(frame);
+                    wake();
+                },
+                error: (error) => {
+                    failure = error;
+                    wake();
+                }
+            });
+            decoder.addEventListener('dequeue', wake);
+            decoder.configure(config);
+
+            let next = 0;
+            try {
+                while (true) {
+                    while (next < samples.length && decoder.decodeQueueSize < MAX_QUEUE &&
+                        queue.length < MAX_QUEUE && !failure) {
+                        const sample = samples[next++];
+                        decoder.decode(new EncodedVideoChunk({
+                            type: sample.key ? 'key' : 'delta',
+                            timestamp: toMicros(sample.cts - start),
+                            duration: toMicros(sample.duration),
+                            data: bytes.subarray(sample.offset, sample.offset + sample.size)
+                        }));
+                        if (next === samples.length) {
+                            decoder.flush().then(() => {
+                                done = true;
+                                wake();
+                            }, (error) => {
+                                failure = failure || error;
+                                wake();
+                            });
+                        }
+                    }
+
+                    if (queue.length > 0) {
+                        const image = queue.shift();
+                        yield { image, timestamp: image.timestamp, duration: image.duration };
+                        continue;
+                    }
+                    if (failure) throw failure;
+                    if (done) break;
+                    // Woken by output/dequeue; the timeout covers browsers without dequeue events
+                    await new Promise(resolve => {
+                        notify = resolve;
+                        setTimeout(resolve, 20);
+                    });
+                    notify = null;
+                }
+            } finally {
+                queue.forEach(frame => frame.close());
+                if (decoder.state !== 'closed') decoder.close();
+            }
+        },
+
+        close() {}
+    };
+}
+
+// Frame interval from requestVideoFrameCallback while playing muted for a moment;
+// null when the browser can't tell us
+async function probeFrameRate(video) {
+    if (typeof video.requestVideoFrameCallback !== 'function') return null;
+
+    const mediaTimes = [];
+    const collected = new Promise(resolve => {
+        const onFrame = (now, metadata) => {
+            mediaTimes.push(metadata.mediaTime);
+            if (mediaTimes.length >= 12) {
+                resolve();
+            } else {
+                video.requestVideoFrameCallback(onFrame);
+            }
+        };
+        video.requestVideoFrameCallback(onFrame);
+    });
+
+    try {
+        await video.play();
+        await Promise.race([collected, wait(1500)]);
+    } catch {
+        return null;
+    } finally {
+        video.pause();
+    }
+
+    // mediaTime is the frame's own timestamp, so the shortest gap is one frame; frames
+    // the display skipped only make some gaps longer
+    const intervals = mediaTimes.slice(1)
+        .map((t, i) => t - mediaTimes[i])
+        .filter(dt => dt > 0);
+    if (intervals.length < 3) return null;
+    return Math.round(100 / Math.min(...intervals)) / 100;
+}
+
+// MediaRecorder WebM (this app's own recordings too) has no duration in its header, so
+// the element reports Infinity until it has seen the end: seek past it, then back
+async function resolveDuration(video) {
+    if (Number.isFinite(video.duration)) return video.duration;
+    const changed = once(video, 'durationchange');
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    await Promise.race([changed, wait(3000)]);
+    const seeked = once(video, 'seeked');
+    video.currentTime = 0;
+    await seeked;
+    if (!Number.isFinite(video.duration)) {
+        throw new Error("Can't tell how long this video is (its file doesn't record a duration)");
+    }
+    return video.duration;
+}
+
+// Any file the browser can play, one seek per frame
+async function openSeekSource(file, frameRate, log) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    const url = URL.createObjectURL(file);
+    video.src = url;
+
+    try {
+        await once(video, 'loadeddata');
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw new Error(`Can't play this video file (${error.message || 'unsupported format'})`);
+    }
+
+    let duration;
+    try {
+        duration = await resolveDuration(video);
+    } catch (error) {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+        throw error;
+    }
+
+    const rate = frameRate || await probeFrameRate(video) || DEFAULT_FRAME_RATE;
+    const frameDuration = 1e6 / rate;
+    const frameCount = Math.max(1, Math.round(duration * rate));
+    log('EXPORT', 'Seeking source ready', {
+        duration,
+        frameRate: rate,
+        probed: !frameRate
+    });
+
+    return {
+        decoder: 'seek',
+        codec: null,
+        width: video.videoWidth,
+        height: video.videoHeight,
+        frameCount,
+        frameRate: rate,
+
+        async *frames() {
+            for (let i = 0; i < frameCount; i++) {
+                // Middle of the frame's display interval, clear of rounding at its edges
+                const seeked = once(video, 'seeked');
+                video.currentTime = Math.min((i + 0.5) / rate, duration);
+                await seeked;
+                yield {
+                    image: video,
+                    timestamp: Math.round(i * frameDuration),
+                    duration: Math.round(frameDuration)
+                };
+            }
+        },
+
+        close() {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    };
+}
+
+// Original audio track resampled for Opus, or null (no audio, or undecodable)
+async function decodeAudio(buffer, log) {
+    if (typeof AudioEncoder === 'undefined' || typeof OfflineAudioContext === 'undefined') {
+        log('EXPORT', 'AudioEncoder not available, exporting without audio');
+        return null;
+    }
+    try {
+        // decodeAudioData detaches its input; the video side still needs the bytes
+        const context = new OfflineAudioContext(2, 1, OPUS_SAMPLE_RATE);
+        const audio = await context.decodeAudioData(buffer.slice(0));
+        const config = {
+            codec: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: Math.min(2, audio.numberOfChannels),
+            bitrate: 128000
+        };
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        if (!supported) {
+            log('EXPORT', 'Opus encoding not supported, exporting without audio');
+            return null;
+        }
+        return { audio, config };
+    } catch (error) {
+        log('EXPORT', 'No decodable audio track, exporting without audio', { message: error.message });
+        return null;
+    }
+}
+
+async function encodeAudio({ audio, config }, muxer, signal) {
+    let failure = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+        error: (error) => {
+            failure = error;
+        }
+    });
+    encoder.configure(config);
+
+    try {
+        const { numberOfChannels } = config;
+        for (let offset = 0; offset < audio.length; offset += AUDIO_BLOCK_FRAMES) {
+            signal?.throwIfAborted();
+            if (failure) throw failure;
+
+            const frames = Math.min(AUDIO_BLOCK_FRAMES, audio.length - offset);
+            const data = new Float32Array(frames * numberOfChannels);
+            for (let c = 0; c < numberOfChannels; c++) {
+                data.set(audio.getChannelData(c).subarray(offset, offset + frames), c * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(offset * 1e6 / OPUS_SAMPLE_RATE),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+            while (encoder.encodeQueueSize > MAX_QUEUE) await wait(5);
+        }
+        await encoder.flush();
+        if (failure) throw failure;
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+}
+
+async function createVideoEncoder({ width, height, frameRate, bitrate }, onChunk, onError) {
+    for (const codec of EXPORT_VIDEO_CODECS) {
+        const config = { codec, width, height, bitrate, framerate: frameRate, latencyMode: 'quality' };
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (!supported) continue;
+
+        const encoder = new VideoEncoder({ output: onChunk, error: onError });
+        encoder.configure(config);
+        return { encoder, codec };
+    }
+    throw new Error(`No supported export codec (tried ${EXPORT_VIDEO_CODECS.join(', ')})`);
+}
+
+// file: video File/Blob. options: renderer options from the live filter.
+// detectorOptions: FaceMesh options (refineLandmarks, confidences; maxNumFaces wins over
+// the separate argument). landmarkSmoothing: LandmarkStabilizer options, as live.
+// onProgress({ phase: 'audio' | 'video', frame, frameCount, progress }) with progress 0..1.
+// Rejects with an AbortError when signal aborts.
+// Resolves to { blob, extension, width, height, frameCount, frameRate, decoder, codec, audio }
+export async function exportVideo(file, {
+    options = {},
+    logo = null,
+    maxNumFaces = 4,
+    detectorOptions = {},
+    landmarkSmoothing = {},
+    frameRate = null,
+    bitrate = 8000000,
+    onProgress = () => {},
+    signal = null,
+    log = silentLog
+} = {}) {
+    if (!isVideoExportSupported()) {
+        throw new Error('Video export needs WebCodecs (VideoEncoder), not available in this browser');
+    }
+    signal?.throwIfAborted();
+
+    const buffer = await file.arrayBuffer();
+    const source = await openDecoderSource(buffer, log) || await openSeekSource(file, frameRate, log);
+    const width = even(source.width);
+    const height = even(source.height);
+    log('EXPORT', 'Export started', {
+        name: file.name,
+        size: `${width}x${height}`,
+        frameCount: source.frameCount,
+        frameRate: source.frameRate,
+        decoder: source.decoder,
+        sourceCodec: source.codec
+    });
+
+    const audioTrack = await decodeAudio(buffer, log);
+
+    let encodeFailure = null;
+    let muxer = null;
+    let videoEncoder;
+    try {
+        videoEncoder = await createVideoEncoder(
+            { width, height, frameRate: source.frameRate, bitrate },
+            (chunk) => muxer.addVideoChunk(chunk),
+            (error) => {
+                encodeFailure = error;
+            }
+        );
+    } catch (error) {
+        source.close();
+        throw error;
+    }
+    const { encoder, codec } = videoEncoder;
+    muxer = new WebMMuxer({
+        video: { codec, width, height },
+        audio: audioTrack && {
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: audioTrack.config.numberOfChannels
+        }
+    });
+
+    // Native resolution, full quality, unmirrored: this is the file as recorded
+    const canvas = createCanvas(width, height);
+    const renderer = new FrameRenderer(canvas, {
+        ...options,
+        mirror: false,
+        useSegmentation: false,
+        processingScale: 1,
+        maskStep: 1,
+        analyzeCoverage: false,
+        compactLogo: false,
+        log
+    });
+    renderer.setLogo(logo);
+    // Tracking mode: consecutive frames of one clip
+    const detector = new StillFaceDetector({ maxNumFaces, ...detectorOptions, staticImageMode: false, log });
+    const tracker = new FaceTracker();
+    // Same smoothing and hold/fade as live, on media time instead of wall-clock time
+    const stabilizer = new LandmarkStabilizer(landmarkSmoothing);
+
+    const keyframeInterval = Math.max(1, Math.round(source.frameRate * KEYFRAME_INTERVAL_S));
+    let frame = 0;
+    let facesFound = 0;
+
+    try {
+        if (audioTrack) {
+            onProgress({ phase: 'audio', frame: 0, frameCount: source.frameCount, progress: 0 });
+            await encodeAudio(audioTrack, muxer, signal);
+        }
+
+        for await (const { image, timestamp, duration } of source.frames()) {
+            try {
+                signal?.throwIfAborted();
+                if (encodeFailure) throw encodeFailure;
+
+                const ms = timestamp / 1000;
+                stabilizer.update(tracker.update(await detector.detect(image)), ms);
+                const faces = stabilizer.getFaces(ms);
+
+                if (faces.length > 0) {
+                    facesFound++;
+                    renderer.render('face', image, { faces });
+                    renderer.drawLogo();
+                } else {
+                    renderer.render('whole', image);
+                }
+            } finally {
+                image.close?.();
+            }
+
+            const output = new VideoFrame(canvas, { timestamp, duration });
+            encoder.encode(output, { keyFrame: frame % keyframeInterval === 0 });
+            output.close();
+            frame++;
+            while (encoder.encodeQueueSize > MAX_QUEUE) await wait(5);
+
+            onProgress({
+                phase: 'video',
+                frame,
+                frameCount: source.frameCount,
+                progress: Math.min(1, frame / source.frameCount)
+            });
+        }
+
+        await encoder.flush();
+        if (encodeFailure) throw encodeFailure;
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+        detector.close();
+        renderer.destroy();
+        source.close();
+    }
+
+    if (frame !== source.frameCount) {
+        log('EXPORT', 'Frame count differs from source', { expected: source.frameCount, encoded: frame });
+    }
+
+    const blob = muxer.finalize();
+    log('EXPORT', 'Export finished', {
+        frames: frame,
+        framesWithFaces: facesFound,
+        codec,
+        audio: !!audioTrack,
+        bytes: blob.size
+    });
+    return {
+        blob,
+        extension: 'webm',
+        width,
+        height,
+        frameCount: frame,
+        frameRate: source.frameRate,
+        decoder: source.decoder,
+        codec,
+        audio: !!audioTrack
+    };
+}
+
+// Progress bar across the bottom of the overlay, with percentage and a cancel hint
+export function drawExportProgress(ctx, { phase, frame, frameCount, progress }) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    const scale = Math.max(1, Math.min(width, height) / 400);
+    const barHeight = 6 * scale;
+    const margin = 16 * scale;
+    const barWidth = width - margin * 2;
+    const y = height - margin - barHeight;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(margin, y, barWidth, barHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(margin, y, barWidth * progress, barHeight);
+
+    const label = phase === 'audio'
+        ? 'Exporting video: audio…'
+        : `Exporting video: ${Math.round(progress * 100)}% (${frame}/${frameCount}) · Esc to cancel`;
+    ctx.font = `bold ${14 * scale}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillText(label, margin + scale, y - 8 * scale + scale);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, margin, y - 8 * scale);
+}
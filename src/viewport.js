@@ -0,0 +1,199 @@
+// Viewport
+// How a source frame (camera, video, still) sits on the output canvas: which part of it
+// is shown (cover crops, contain letterboxes), where it lands and whether it's mirrored.
+// Everything drawn from the source — the frame itself, the segmentation mask, landmark
+// polygons, overlays — goes through the same Viewport so they stay aligned whatever the
+// aspect ratios. Also sizes the display canvas in device pixels and reports window
+// resizes, rotations and devicePixelRatio changes.
+//
+// Coordinates are normalized (0..1) throughout: "source" space is the unmirrored frame
+// MediaPipe sees, "view" space is the canvas.
+
+export const FIT_MODES = ['cover', 'contain'];
+
+// Pixel size of any drawable (video element, VideoFrame, image, canvas, ImageBitmap)
+export function sourceSize(source) {
+    return {
+        width: source.videoWidth || source.displayWidth || source.naturalWidth || source.width,
+        height: source.videoHeight || source.displayHeight || source.naturalHeight || source.height
+    };
+}
+
+export class Viewport {
+    // crop: shown part of the source, dest: where it lands in the view (both normalized)
+    constructor({ crop, dest, mirror = false, sourceAspect = 1 }) {
+        this.crop = crop;
+        this.dest = dest;
+        this.mirror = mirror;
+        this.sourceAspect = sourceAspect;
+    }
+
+    // Unmirrored source shown stretched over the whole view
+    static identity({ mirror = false, sourceAspect = 1 } = {}) {
+        const full = { x: 0, y: 0, w: 1, h: 1 };
+        return new Viewport({ crop: full, dest: full, mirror, sourceAspect });
+    }
+
+    // Source of sourceWidth x sourceHeight shown in a view of width x height
+    static fit(sourceWidth, sourceHeight, width, height, { fit = 'cover', mirror = false } = {}) {
+        if (!FIT_MODES.includes(fit)) {
+            throw new Error(`Unknown fit mode "${fit}"`);
+        }
+        const sourceAspect = sourceWidth / sourceHeight;
+        if (!sourceWidth || !sourceHeight || !width || !height) {
+            return Viewport.identity({ mirror, sourceAspect: sourceAspect || 1 });
+        }
+
+        // > 1: the source is wider than the view
+        const ratio = sourceAspect / (width / height);
+        const crop = { x: 0, y: 0, w: 1, h: 1 };
+        const dest = { x: 0, y: 0, w: 1, h: 1 };
+        if (fit === 'cover') {
+            if (ratio > 1) {
+                crop.w = 1 / ratio;
+                crop.x = (1 - crop.w) / 2;
+            } else {
+                crop.h = ratio;
+                crop.y = (1 - crop.h) / 2;
+            }
+        } else if (ratio > 1) {
+            dest.h = 1 / ratio;
+            dest.y = (1 - dest.h) / 2;
+        } else {
+            dest.w = ratio;
+            dest.x = (1 - dest.w) / 2;
+        }
+        return new Viewport({ crop, dest, mirror, sourceAspect });
+    }
+
+    get letterboxed() {
+        return this.dest.w < 1 || this.dest.h < 1;
+    }
+
+    // Normalized source point -> normalized view point
+    toView(point) {
+        const { crop, dest } = this;
+        const x = dest.x + (point.x - crop.x) / crop.w * dest.w;
+        return {
+            x: this.mirror ? 1 - x : x,
+            y: dest.y + (point.y - crop.y) / crop.h * dest.h
+        };
+    }
+
+    // Normalized view point -> normalized source point (e.g. for a tap on the canvas)
+    toSource(point) {
+        const { crop, dest } = this;
+        const x = this.mirror ? 1 - point.x : point.x;
+        return {
+            x: crop.x + (x - dest.x) / dest.w * crop.w,
+            y: crop.y + (point.y - dest.y) / dest.h * crop.h
+        };
+    }
+
+    // FaceMesh landmarks in view space; z is kept as it is (depth, unused for drawing)
+    mapLandmarks(landmarks) {
+        return landmarks.map(landmark => ({ ...landmark, ...this.toView(landmark) }));
+    }
+
+    // faces: [{ id, landmarks, ... }] -> same faces with view-space landmarks
+    mapFaces(faces) {
+        return faces.map(face => ({ ...face, landmarks: this.mapLandmarks(face.landmarks) }));
+    }
+
+    // Draws `image` (the source, or anything in source orientation at any resolution,
+    // like the segmentation mask) into a width x height context. Keeps whatever
+    // ctx.filter / globalAlpha the caller set.
+    draw(ctx, image, width, height) {
+        const { width: imageWidth, height: imageHeight } = sourceSize(image);
+        const { crop, dest } = this;
+        ctx.save();
+        if (this.mirror) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(
+            image,
+            crop.x * imageWidth, crop.y * imageHeight, crop.w * imageWidth, crop.h * imageHeight,
+            dest.x * width, dest.y * height, dest.w * width, dest.h * height
+        );
+        ctx.restore();
+    }
+
+    // Paints the contain bars (nothing to do for cover)
+    fillLetterbox(ctx, width, height, color = '#000') {
+        if (!this.letterboxed) return;
+        const { dest } = this;
+        const left = Math.round(dest.x * width);
+        const right = Math.round((dest.x + dest.w) * width);
+        const top = Math.round(dest.y * height);
+        const bottom = Math.round((dest.y + dest.h) * height);
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, top);
+        ctx.fillRect(0, bottom, width, height - bottom);
+        ctx.fillRect(0, top, left, bottom - top);
+        ctx.fillRect(right, top, width - right, bottom - top);
+        ctx.restore();
+    }
+
+    // Unmirrored view uv -> source uv as uv * scale + offset (for shaders)
+    uvTransform() {
+        const { crop, dest } = this;
+        const scaleX = crop.w / dest.w;
+        const scaleY = crop.h / dest.h;
+        return {
+            scale: [scaleX, scaleY],
+            offset: [crop.x - dest.x * scaleX, crop.y - dest.y * scaleY]
+        };
+    }
+}
+
+// Display canvas size for a CSS box of cssWidth x cssHeight: device pixels, with the
+// ratio capped so 3x phones don't triple the per-pixel work
+export function canvasSize(cssWidth, cssHeight, devicePixelRatio = 1, maxPixelRatio = 2) {
+    const pixelRatio = Math.max(1, Math.min(devicePixelRatio || 1, maxPixelRatio));
+    return {
+        width: Math.max(1, Math.round(cssWidth * pixelRatio)),
+        height: Math.max(1, Math.round(cssHeight * pixelRatio)),
+        pixelRatio
+    };
+}
+
+// Calls onChange() once per burst of window resizes / orientation changes /
+// devicePixelRatio changes (moving to another monitor, browser zoom). Returns a
+// function that stops watching.
+export function watchViewport(onChange, { delayMs = 100 } = {}) {
+    let timer = null;
+    let dprQuery = null;
+
+    const schedule = () => {
+        clearTimeout(timer);
+        // Rotation fires resize before the new size has settled on some phones
+        timer = setTimeout(() => {
+            timer = null;
+            onChange();
+        }, delayMs);
+    };
+
+    // A resolution media query only matches one ratio; re-arm it after every change
+    const watchPixelRatio = () => {
+        dprQuery?.removeEventListener('change', onPixelRatioChange);
+        dprQuery = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`) || null;
+        dprQuery?.addEventListener('change', onPixelRatioChange);
+    };
+    const onPixelRatioChange = () => {
+        watchPixelRatio();
+        schedule();
+    };
+
+    window.addEventListener('resize', schedule);
+    window.addEventListener('orientationchange', schedule);
+    watchPixelRatio();
+
+    return () => {
+        clearTimeout(timer);
+        window.removeEventListener('resize', schedule);
+        window.removeEventListener('orientationchange', schedule);
+        dprQuery?.removeEventListener('change', onPixelRatioChange);
+    };
+}
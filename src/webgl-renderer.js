@@ -0,0 +1,636 @@
+// UV pixel pipeline - WebGL2 implementation
+// Mirrors src/uv-pipeline.js step for step (region shading, contrast, feathering) in
+// fragment shaders. Region masks are uploaded as R32F textures in canvas space, .cube
+// LUTs as RGB32F 3D textures read with texelFetch and interpolated like cube-lut.js.
+// Intermediate values are quantised to 8 bits wherever the Canvas 2D path writes into
+// ImageData, so both paths agree within a couple of levels per channel.
+
+import {
+    REGION_THRESHOLD,
+    BLUR_MASK_MIN,
+    BLUR_MASK_MAX,
+    BLUR_STEP,
+    LOOK_REGIONS,
+    LUT_REGIONS,
+    DEFAULT_LOOK,
+    contrastFactor
+} from './uv-pipeline.js';
+
+const glslFloat = (value) => Number(value).toFixed(6);
+
+// 1D LUTs are stored in rows of this many texels (the smallest MAX_3D_TEXTURE_SIZE)
+const LUT_ROW = 256;
+// LUT textures go on units LUT_UNIT .. LUT_UNIT + 4 (one per LUT_REGIONS entry)
+const LUT_UNIT = 6;
+
+const VERTEX_SHADER = `#version 300 es
+void main() {
+    // Single full-screen triangle, no vertex buffers needed
+    vec2 pos = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    gl_Position = vec4(pos * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const GRADE_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler3D;
+
+uniform sampler2D u_frame;
+uniform highp sampler2D u_skin;
+uniform highp sampler2D u_eye;
+uniform highp sampler2D u_lip;
+uniform highp sampler2D u_eyebrow;
+uniform ivec2 u_size;
+uniform bool u_mirror;
+uniform vec2 u_uvScale;
+uniform vec2 u_uvOffset;
+uniform float u_contrastFactor;
+uniform float u_threshold[4];
+uniform vec4 u_matrix[24];
+uniform vec3 u_range[16];
+uniform float u_eyebrowBlend;
+uniform sampler3D u_lut0;
+uniform sampler3D u_lut1;
+uniform sampler3D u_lut2;
+uniform sampler3D u_lut3;
+uniform sampler3D u_lut4;
+uniform int u_lutDimensions[5];
+uniform int u_lutSize[5];
+uniform vec3 u_lutDomainMin[5];
+uniform vec3 u_lutDomainMax[5];
+uniform bool u_tetrahedral;
+
+out vec4 outColor;
+
+const float REGION_THRESHOLD = ${glslFloat(REGION_THRESHOLD)};
+const int SKIN = 0;
+const int EYE = 1;
+const int LIP = 2;
+const int HAIR = 3;
+const int BACKGROUND = 4;
+const int LUT_ROW = ${LUT_ROW};
+
+// Region index (skin, eye, lip, hair; see LOOK_REGIONS) -> the look's colour mapping.
+// Each region has a bright and a dark band; band b has rows u_matrix[b * 3 .. b * 3 + 2]
+// (weights for r, g, b, brightness) and clamps u_range[b * 2] (min), u_range[b * 2 + 1] (max)
+vec3 lut(int region, vec3 c) {
+    float brightness = (c.r + c.g + c.b) / 3.0;
+    int band = region * 2 + (brightness > u_threshold[region] ? 0 : 1);
+    vec4 x = vec4(c, brightness);
+    vec3 mapped = vec3(
+        dot(u_matrix[band * 3], x),
+        dot(u_matrix[band * 3 + 1], x),
+        dot(u_matrix[band * 3 + 2], x)
+    );
+    return clamp(mapped, u_range[band * 2], u_range[band * 2 + 1]);
+}
+
+vec3 entry1D(sampler3D table, int i) {
+    return texelFetch(table, ivec3(i % LUT_ROW, i / LUT_ROW, 0), 0).rgb;
+}
+
+vec3 entry3D(sampler3D table, ivec3 i) {
+    return texelFetch(table, i, 0).rgb;
+}
+
+// 0..255 colour through the .cube LUT in \`table\` (see cube-lut.js sampleLUT)
+vec3 cube(sampler3D table, int slot, vec3 c) {
+    int size = u_lutSize[slot];
+    vec3 t = clamp((c / 255.0 - u_lutDomainMin[slot]) / (u_lutDomainMax[slot] - u_lutDomainMin[slot]), 0.0, 1.0);
+    vec3 pos = t * float(size - 1);
+    ivec3 i = min(ivec3(floor(pos)), ivec3(size - 2));
+    vec3 f = pos - vec3(i);
+
+    vec3 result;
+    if (u_lutDimensions[slot] == 1) {
+        vec3 a = vec3(entry1D(table, i.r).r, entry1D(table, i.g).g, entry1D(table, i.b).b);
+        vec3 b = vec3(entry1D(table, i.r + 1).r, entry1D(table, i.g + 1).g, entry1D(table, i.b + 1).b);
+        result = a + (b - a) * f;
+    } else {
+        vec3 c000 = entry3D(table, i);
+        vec3 c111 = entry3D(table, i + ivec3(1, 1, 1));
+        if (u_tetrahedral) {
+            if (f.r > f.g) {
+                if (f.g > f.b) {
+                    result = (1.0 - f.r) * c000 + (f.r - f.g) * entry3D(table, i + ivec3(1, 0, 0)) +
+                        (f.g - f.b) * entry3D(table, i + ivec3(1, 1, 0)) + f.b * c111;
+                } else if (f.r > f.b) {
+                    result = (1.0 - f.r) * c000 + (f.r - f.b) * entry3D(table, i + ivec3(1, 0, 0)) +
+                        (f.b - f.g) * entry3D(table, i + ivec3(1, 0, 1)) + f.g * c111;
+                } else {
+                    result = (1.0 - f.b) * c000 + (f.b - f.r) * entry3D(table, i + ivec3(0, 0, 1)) +
+                        (f.r - f.g) * entry3D(table, i + ivec3(1, 0, 1)) + f.g * c111;
+                }
+            } else if (f.b > f.g) {
+                result = (1.0 - f.b) * c000 + (f.b - f.g) * entry3D(table, i + ivec3(0, 0, 1)) +
+                    (f.g - f.r) * entry3D(table, i + ivec3(0, 1, 1)) + f.r * c111;
+            } else if (f.b > f.r) {
+                result = (1.0 - f.g) * c000 + (f.g - f.b) * entry3D(table, i + ivec3(0, 1, 0)) +
+                    (f.b - f.r) * entry3D(table, i + ivec3(0, 1, 1)) + f.r * c111;
+            } else {
+                result = (1.0 - f.g) * c000 + (f.g - f.r) * entry3D(table, i + ivec3(0, 1, 0)) +
+                    (f.r - f.b) * entry3D(table, i + ivec3(1, 1, 0)) + f.b * c111;
+            }
+        } else {
+            vec3 c00 = mix(c000, entry3D(table, i + ivec3(1, 0, 0)), f.r);
+            vec3 c10 = mix(entry3D(table, i + ivec3(0, 1, 0)), entry3D(table, i + ivec3(1, 1, 0)), f.r);
+            vec3 c01 = mix(entry3D(table, i + ivec3(0, 0, 1)), entry3D(table, i + ivec3(1, 0, 1)), f.r);
+            vec3 c11 = mix(entry3D(table, i + ivec3(0, 1, 1)), c111, f.r);
+            result = mix(mix(c00, c10, f.g), mix(c01, c11, f.g), f.b);
+        }
+    }
+    return clamp(result * 255.0, 0.0, 255.0);
+}
+
+// Samplers can't be indexed dynamically, so each LUT slot gets its own branch
+vec3 graded(int slot, vec3 c) {
+    if (slot == SKIN) return cube(u_lut0, slot, c);
+    if (slot == EYE) return cube(u_lut1, slot, c);
+    if (slot == LIP) return cube(u_lut2, slot, c);
+    if (slot == HAIR) return cube(u_lut3, slot, c);
+    return cube(u_lut4, slot, c);
+}
+
+// Region (or BACKGROUND) -> its LUT when it has one, else the colour mapping; the
+// background without a LUT is shaded like hair
+vec3 shade(int region, vec3 c) {
+    if (u_lutDimensions[region] > 0) {
+        return graded(region, c);
+    }
+    return lut(min(region, HAIR), c);
+}
+
+void main() {
+    // Top-down pixel coordinates, matching ImageData layout
+    ivec2 px = ivec2(int(gl_FragCoord.x), u_size.y - 1 - int(gl_FragCoord.y));
+    vec2 uv = (vec2(px) + 0.5) / vec2(u_size);
+    if (u_mirror) {
+        uv.x = 1.0 - uv.x;
+    }
+    // View -> source (cover crop / contain letterbox, see viewport.js)
+    uv = u_uvOffset + uv * u_uvScale;
+
+    vec3 src = floor(texture(u_frame, uv).rgb * 255.0 + 0.5);
+    vec3 inverted = 255.0 - src;
+
+    float skinValue = texelFetch(u_skin, px, 0).r;
+    float eyeValue = texelFetch(u_eye, px, 0).r;
+    float lipValue = texelFetch(u_lip, px, 0).r;
+    float eyebrowValue = texelFetch(u_eyebrow, px, 0).r;
+
+    vec3 shaded;
+    if (eyeValue > REGION_THRESHOLD) {
+        shaded = shade(EYE, inverted);
+    } else if (lipValue > REGION_THRESHOLD) {
+        shaded = shade(LIP, inverted);
+    } else if (eyebrowValue > REGION_THRESHOLD) {
+        shaded = mix(src, shade(HAIR, inverted), u_eyebrowBlend);
+    } else if (skinValue > REGION_THRESHOLD) {
+        shaded = mix(src, shade(SKIN, inverted), skinValue);
+    } else {
+        shaded = shade(BACKGROUND, inverted);
+    }
+    shaded = clamp(floor(shaded + 0.5), 0.0, 255.0);
+
+    vec3 contrasted = clamp(u_contrastFactor * (shaded - 128.0) + 128.0, 0.0, 255.0);
+    outColor = vec4(floor(contrasted + 0.5) / 255.0, 1.0);
+}`;
+
+const FEATHER_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_graded;
+uniform highp sampler2D u_skin;
+uniform ivec2 u_size;
+uniform int u_radius;
+uniform float u_strength;
+
+out vec4 outColor;
+
+const float BLUR_MASK_MIN = ${glslFloat(BLUR_MASK_MIN)};
+const float BLUR_MASK_MAX = ${glslFloat(BLUR_MASK_MAX)};
+const int BLUR_STEP = ${BLUR_STEP};
+
+// The graded pass was rendered bottom-up into the framebuffer
+vec3 graded(ivec2 p) {
+    return texelFetch(u_graded, ivec2(p.x, u_size.y - 1 - p.y), 0).rgb * 255.0;
+}
+
+void main() {
+    ivec2 px = ivec2(int(gl_FragCoord.x), u_size.y - 1 - int(gl_FragCoord.y));
+    vec3 color = graded(px);
+    int r = u_radius;
+
+    // Same sparse grid as the CPU blur so both paths touch the same pixels
+    bool onGrid = r > 0 &&
+        px.x >= r && px.y >= r &&
+        px.x < u_size.x - r && px.y < u_size.y - r &&
+        (px.x - r) % BLUR_STEP == 0 && (px.y - r) % BLUR_STEP == 0;
+
+    if (onGrid) {
+        float maskVal = texelFetch(u_skin, px, 0).r;
+        if (maskVal > BLUR_MASK_MIN && maskVal < BLUR_MASK_MAX) {
+            vec3 sum = vec3(0.0);
+            float count = 0.0;
+            for (int dy = -r; dy <= r; dy++) {
+                for (int dx = -r; dx <= r; dx++) {
+                    float dist = sqrt(float(dx * dx + dy * dy));
+                    if (dist <= float(r)) {
+                        float weight = 1.0 - (dist / float(r)) * 0.5;
+                        sum += graded(px + ivec2(dx, dy)) * weight;
+                        count += weight;
+                    }
+                }
+            }
+            float blend = 1.0 - abs(maskVal - 0.5) * 2.0;
+            color = mix(color, sum / count, blend * u_strength);
+        }
+    }
+
+    outColor = vec4(floor(color + 0.5) / 255.0, 1.0);
+}`;
+
+const MASK_NAMES = ['skin', 'eye', 'lip', 'eyebrow'];
+
+// Compiled look (uv-pipeline.js compileLook) -> the lut() / cube() uniform arrays
+export function lookUniforms(look) {
+    const threshold = new Float32Array(4);
+    const matrix = new Float32Array(24 * 4);
+    const range = new Float32Array(16 * 3);
+    const lutDimensions = new Int32Array(LUT_REGIONS.length);
+    const lutSize = new Int32Array(LUT_REGIONS.length);
+    const lutDomainMin = new Float32Array(LUT_REGIONS.length * 3);
+    const lutDomainMax = new Float32Array(LUT_REGIONS.length * 3).fill(1);
+    LOOK_REGIONS.forEach((name, index) => {
+        const region = look.regions[name];
+        threshold[index] = region.threshold;
+        [region.bright, region.dark].forEach((mapping, offset) => {
+            const band = index * 2 + offset;
+            matrix.set([...mapping.r, ...mapping.g, ...mapping.b], band * 12);
+            range.set([...mapping.min, ...mapping.max], band * 6);
+        });
+    });
+    LUT_REGIONS.forEach((name, index) => {
+        const lut = look.luts[name];
+        if (!lut) return;
+        lutDimensions[index] = lut.dimensions;
+        lutSize[index] = lut.size;
+        lutDomainMin.set(lut.domainMin, index * 3);
+        lutDomainMax.set(lut.domainMax, index * 3);
+    });
+    return {
+        threshold,
+        matrix,
+        range,
+        lutDimensions,
+        lutSize,
+        lutDomainMin,
+        lutDomainMax,
+        tetrahedral: look.lutInterpolation === 'tetrahedral'
+    };
+}
+
+// Parsed .cube LUT -> texture size and RGB texels. 3D tables map straight onto a
+// size^3 texture (red along x); 1D tables wrap into rows of LUT_ROW texels.
+function lutTexels(lut) {
+    if (lut.dimensions === 3) {
+        return { width: lut.size, height: lut.size, depth: lut.size, data: lut.table };
+    }
+    const width = Math.min(lut.size, LUT_ROW);
+    const height = Math.ceil(lut.size / LUT_ROW);
+    const data = new Float32Array(width * height * 3);
+    data.set(lut.table);
+    return { width, height, depth: 1, data };
+}
+
+export class UVWebGLRenderer {
+    static isSupported() {
+        if (typeof WebGL2RenderingContext === 'undefined') {
+            return false;
+        }
+        try {
+            const probe = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(1, 1)
+                : document.createElement('canvas');
+            return !!probe.getContext('webgl2');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    constructor(canvas = null) {
+        this.canvas = canvas || (typeof document !== 'undefined'
+            ? document.createElement('canvas')
+            : new OffscreenCanvas(1, 1));
+
+        const gl = this.canvas.getContext('webgl2', {
+            alpha: false,
+            antialias: false,
+            depth: false,
+            stencil: false,
+            premultipliedAlpha: false,
+            preserveDrawingBuffer: false
+        });
+        if (!gl) {
+            throw new Error('WebGL2 context not available');
+        }
+        this.gl = gl;
+        this.width = 0;
+        this.height = 0;
+        this.contextLost = false;
+
+        this.onContextLost = (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+        };
+        this.canvas.addEventListener?.('webglcontextlost', this.onContextLost);
+
+        this.gradeProgram = this.createProgram(VERTEX_SHADER, GRADE_SHADER);
+        this.featherProgram = this.createProgram(VERTEX_SHADER, FEATHER_SHADER);
+        this.gradeUniforms = this.getUniforms(this.gradeProgram, [
+            'u_frame', 'u_skin', 'u_eye', 'u_lip', 'u_eyebrow', 'u_size', 'u_mirror', 'u_uvScale', 'u_uvOffset', 'u_contrastFactor',
+            'u_threshold', 'u_matrix', 'u_range', 'u_eyebrowBlend',
+            'u_lut0', 'u_lut1', 'u_lut2', 'u_lut3', 'u_lut4',
+            'u_lutDimensions', 'u_lutSize', 'u_lutDomainMin', 'u_lutDomainMax', 'u_tetrahedral'
+        ]);
+        this.featherUniforms = this.getUniforms(this.featherProgram, [
+            'u_graded', 'u_skin', 'u_size', 'u_radius', 'u_strength'
+        ]);
+        this.look = null;
+        this.lookData = null;
+        // One texture per LUT_REGIONS entry; regions without a LUT get the empty one so
+        // every sampler3D unit still has a 3D texture bound
+        this.emptyLutTexture = this.createLutTexture({ width: 1, height: 1, depth: 1, data: new Float32Array(3) });
+        this.lutTextures = LUT_REGIONS.map(() => this.emptyLutTexture);
+
+        // Attribute-less draws still need a bound vertex array
+        this.vao = gl.createVertexArray();
+
+        this.frameTexture = this.createTexture(gl.LINEAR);
+        this.maskTextures = {};
+        MASK_NAMES.forEach(name => {
+            this.maskTextures[name] = this.createTexture(gl.NEAREST);
+        });
+        this.gradedTexture = this.createTexture(gl.NEAREST);
+        this.framebuffer = gl.createFramebuffer();
+    }
+
+    createShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const info = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error('Shader compile failed: ' + info);
+        }
+        return shader;
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSource);
+        const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSource);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const info = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error('Program link failed: ' + info);
+        }
+        return program;
+    }
+
+    getUniforms(program, names) {
+        const uniforms = {};
+        names.forEach(name => {
+            uniforms[name] = this.gl.getUniformLocation(program, name);
+        });
+        return uniforms;
+    }
+
+    createTexture(filter) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    createLutTexture({ width, height, depth, data }) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, texture);
+        // Float textures aren't filterable; the shader interpolates with texelFetch
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB32F, width, height, depth, 0, gl.RGB, gl.FLOAT, data);
+        return texture;
+    }
+
+    // New look: upload its LUTs (a LUT shared by several regions is uploaded once)
+    updateLutTextures(look) {
+        const gl = this.gl;
+        this.deleteLutTextures();
+        const uploaded = new Map();
+        this.lutTextures = LUT_REGIONS.map(name => {
+            const lut = look.luts[name];
+            if (!lut) return this.emptyLutTexture;
+            if (!uploaded.has(lut)) {
+                uploaded.set(lut, this.createLutTexture(lutTexels(lut)));
+            }
+            return uploaded.get(lut);
+        });
+        gl.bindTexture(gl.TEXTURE_3D, null);
+    }
+
+    deleteLutTextures() {
+        new Set(this.lutTextures).forEach(texture => {
+            if (texture !== this.emptyLutTexture) this.gl.deleteTexture(texture);
+        });
+        this.lutTextures = LUT_REGIONS.map(() => this.emptyLutTexture);
+    }
+
+    resize(width, height) {
+        if (width === this.width && height === this.height) {
+            return;
+        }
+        const gl = this.gl;
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        MASK_NAMES.forEach(name => {
+            gl.bindTexture(gl.TEXTURE_2D, this.maskTextures[name]);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, null);
+        });
+
+        gl.bindTexture(gl.TEXTURE_2D, this.gradedTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gradedTexture, 0);
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error('Framebuffer incomplete: 0x' + status.toString(16));
+        }
+    }
+
+    isContextLost() {
+        return this.contextLost || this.gl.isContextLost();
+    }
+
+    // source: any TexImageSource (video, canvas, ImageBitmap, ImageData)
+    // masks: { skin, eye, lip, eyebrow } Float32Arrays of width * height
+    // scale/offset: Viewport.uvTransform() (default: source stretched over the output)
+    // look: compiled look (uv-pipeline.js compileLook)
+    render(source, masks, options = {}) {
+        const {
+            width,
+            height,
+            contrast = 1.8,
+            blurRadius = 2,
+            mirror = true,
+            scale = [1, 1],
+            offset = [0, 0],
+            look = DEFAULT_LOOK
+        } = options;
+        if (this.isContextLost()) {
+            throw new Error('WebGL context lost');
+        }
+
+        const gl = this.gl;
+        this.resize(width, height);
+
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.frameTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+        MASK_NAMES.forEach((name, index) => {
+            const mask = masks[name];
+            if (!mask || mask.length !== width * height) {
+                throw new Error(`Mask "${name}" does not match ${width}x${height}`);
+            }
+            gl.activeTexture(gl.TEXTURE1 + index);
+            gl.bindTexture(gl.TEXTURE_2D, this.maskTextures[name]);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RED, gl.FLOAT, mask);
+        });
+
+        gl.bindVertexArray(this.vao);
+        gl.viewport(0, 0, width, height);
+
+        // Pass 1: region shading + contrast into the intermediate texture
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.useProgram(this.gradeProgram);
+        gl.uniform1i(this.gradeUniforms.u_frame, 0);
+        gl.uniform1i(this.gradeUniforms.u_skin, 1);
+        gl.uniform1i(this.gradeUniforms.u_eye, 2);
+        gl.uniform1i(this.gradeUniforms.u_lip, 3);
+        gl.uniform1i(this.gradeUniforms.u_eyebrow, 4);
+        gl.uniform2i(this.gradeUniforms.u_size, width, height);
+        gl.uniform1i(this.gradeUniforms.u_mirror, mirror ? 1 : 0);
+        gl.uniform2f(this.gradeUniforms.u_uvScale, scale[0], scale[1]);
+        gl.uniform2f(this.gradeUniforms.u_uvOffset, offset[0], offset[1]);
+        gl.uniform1f(this.gradeUniforms.u_contrastFactor, contrastFactor(contrast));
+        if (look !== this.look) {
+            this.look = look;
+            this.lookData = lookUniforms(look);
+            this.updateLutTextures(look);
+        }
+        gl.uniform1fv(this.gradeUniforms.u_threshold, this.lookData.threshold);
+        gl.uniform4fv(this.gradeUniforms.u_matrix, this.lookData.matrix);
+        gl.uniform3fv(this.gradeUniforms.u_range, this.lookData.range);
+        gl.uniform1f(this.gradeUniforms.u_eyebrowBlend, look.eyebrowBlend);
+        this.lutTextures.forEach((texture, index) => {
+            gl.activeTexture(gl.TEXTURE0 + LUT_UNIT + index);
+            gl.bindTexture(gl.TEXTURE_3D, texture);
+            gl.uniform1i(this.gradeUniforms[`u_lut${index}`], LUT_UNIT + index);
+        });
+        gl.uniform1iv(this.gradeUniforms.u_lutDimensions, this.lookData.lutDimensions);
+        gl.uniform1iv(this.gradeUniforms.u_lutSize, this.lookData.lutSize);
+        gl.uniform3fv(this.gradeUniforms.u_lutDomainMin, this.lookData.lutDomainMin);
+        gl.uniform3fv(this.gradeUniforms.u_lutDomainMax, this.lookData.lutDomainMax);
+        gl.uniform1i(this.gradeUniforms.u_tetrahedral, this.lookData.tetrahedral ? 1 : 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        // Pass 2: feather the skin mask edges onto the canvas
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.useProgram(this.featherProgram);
+        gl.activeTexture(gl.TEXTURE5);
+        gl.bindTexture(gl.TEXTURE_2D, this.gradedTexture);
+        gl.uniform1i(this.featherUniforms.u_graded, 5);
+        gl.uniform1i(this.featherUniforms.u_skin, 1);
+        gl.uniform2i(this.featherUniforms.u_size, width, height);
+        gl.uniform1i(this.featherUniforms.u_radius, Math.max(0, Math.round(blurRadius)));
+        gl.uniform1f(this.featherUniforms.u_strength, look.featherStrength);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        gl.bindVertexArray(null);
+        return this.canvas;
+    }
+
+    // Reads the last rendered frame back as top-down RGBA, for comparing against the
+    // Canvas 2D path. Must be called in the same task as render().
+    readPixels() {
+        const gl = this.gl;
+        const { width, height } = this;
+        const bottomUp = new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, bottomUp);
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        const rowSize = width * 4;
+        for (let y = 0; y < height; y++) {
+            const src = (height - 1 - y) * rowSize;
+            data.set(bottomUp.subarray(src, src + rowSize), y * rowSize);
+        }
+        return { data, width, height };
+    }
+
+    destroy() {
+        const gl = this.gl;
+        this.canvas.removeEventListener?.('webglcontextlost', this.onContextLost);
+        if (gl.isContextLost()) {
+            return;
+        }
+        gl.deleteTexture(this.frameTexture);
+        MASK_NAMES.forEach(name => gl.deleteTexture(this.maskTextures[name]));
+        gl.deleteTexture(this.gradedTexture);
+        this.deleteLutTextures();
+        gl.deleteTexture(this.emptyLutTexture);
+        gl.deleteFramebuffer(this.framebuffer);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.gradeProgram);
+        gl.deleteProgram(this.featherProgram);
+    }
+}
+
+// Max absolute per-channel difference between two RGBA buffers, used to check the
+// WebGL output against the Canvas 2D reference
+export function maxChannelDifference(a, b) {
+    if (a.length !== b.length) {
+        return Infinity;
+    }
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        if ((i & 3) === 3) continue;
+        const diff = Math.abs(a[i] - b[i]);
+        if (diff > max) max = diff;
+    }
+    return max;
+}
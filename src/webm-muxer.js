@@ -0,0 +1,307 @@
+// Minimal WebM (Matroska/EBML) muxer
+// Collects encoded chunks from WebCodecs (one video track, optional audio track) and
+// writes a complete file in one go at finalize(), so every element size is known and
+// Cues can point at the clusters. Good for offline exports; not meant for streaming.
+
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+// Block timecodes are int16 relative to the cluster; stay well inside that
+const MAX_CLUSTER_MS = 5000;
+const OPUS_PRE_SKIP = 3840; // 80 ms at 48 kHz, what libopus encoders typically use
+
+function idBytes(id) {
+    const bytes = [];
+    let value = id;
+    while (value > 0) {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+function sizeBytes(size) {
+    // Shortest EBML variable-length integer; all-ones is reserved for "unknown"
+    for (let length = 1; length <= 8; length++) {
+        if (size < 2 ** (7 * length) - 1) {
+            const bytes = new Array(length);
+            let value = size;
+            for (let i = length - 1; i >= 0; i--) {
+                bytes[i] = value & 0xff;
+                value = Math.floor(value / 256);
+            }
+            bytes[0] |= 1 << (8 - length);
+            return bytes;
+        }
+    }
+    throw new Error(`EBML size too large: ${size}`);
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    let remaining = value;
+    do {
+        bytes.unshift(remaining & 0xff);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+    return bytes;
+}
+
+function floatBytes(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return new Uint8Array(view.buffer);
+}
+
+function toBytes(part) {
+    if (part instanceof Uint8Array) return part;
+    if (Array.isArray(part)) return Uint8Array.from(part);
+    if (typeof part === 'string') return new TextEncoder().encode(part);
+    return new Uint8Array(part);
+}
+
+function concat(parts) {
+    const arrays = parts.map(toBytes);
+    const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    arrays.forEach(a => {
+        out.set(a, offset);
+        offset += a.length;
+    });
+    return out;
+}
+
+// element(id, children | bytes): children are already-encoded elements
+function element(id, content) {
+    const data = Array.isArray(content) && content.every(c => c instanceof Uint8Array)
+        ? concat(content)
+        : toBytes(content);
+    return concat([idBytes(id), sizeBytes(data.length), data]);
+}
+
+const uintElement = (id, value) => element(id, uintBytes(value));
+const floatElement = (id, value) => element(id, floatBytes(value));
+const stringElement = (id, value) => element(id, value);
+
+// OpusHead (RFC 7845) for encoders that don't hand one out
+function opusHead(channels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    head[8] = 1;
+    head[9] = channels;
+    view.setUint16(10, OPUS_PRE_SKIP, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);
+    head[18] = 0;
+    return head;
+}
+
+export const WEBM_VIDEO_CODECS = {
+    vp8: 'V_VP8',
+    vp09: 'V_VP9',
+    av01: 'V_AV1'
+};
+
+export function webmCodecId(codec) {
+    const prefix = codec.split('.')[0];
+    const id = WEBM_VIDEO_CODECS[prefix];
+    if (!id) {
+        throw new Error(`Codec "${codec}" can't be written to WebM`);
+    }
+    return id;
+}
+
+export class WebMMuxer {
+    // video: { codec, width, height }, audio: { sampleRate, numberOfChannels } | null
+    constructor({ video, audio = null, writingApp = 'uv-face-filter' }) {
+        this.video = { ...video, codecId: webmCodecId(video.codec) };
+        this.audio = audio;
+        this.writingApp = writingApp;
+        this.audioPrivate = null;
+        this.blocks = [];
+    }
+
+    static chunkBytes(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        return data;
+    }
+
+    // EncodedVideoChunk from VideoEncoder's output callback
+    addVideoChunk(chunk) {
+        this.blocks.push({
+            track: VIDEO_TRACK,
+            timestamp: chunk.timestamp,
+            key: chunk.type === 'key',
+            data: WebMMuxer.chunkBytes(chunk)
+        });
+    }
+
+    // EncodedAudioChunk (+ metadata) from AudioEncoder's output callback
+    addAudioChunk(chunk, metadata) {
+        if (!this.audio) return;
+        if (!this.audioPrivate && metadata?.decoderConfig?.description) {
+            this.audioPrivate = toBytes(metadata.decoderConfig.description);
+        }
+        this.blocks.push({
+            track: AUDIO_TRACK,
+            timestamp: chunk.timestamp,
+            key: true,
+            data: WebMMuxer.chunkBytes(chunk)
+        });
+    }
+
+    trackEntries() {
+        const entries = [element(ID.TrackEntry, [
+            uintElement(ID.TrackNumber, VIDEO_TRACK),
+            uintElement(ID.TrackUID, VIDEO_TRACK),
+            uintElement(ID.TrackType, 1),
+            stringElement(ID.CodecID, this.video.codecId),
+            element(ID.Video, [
+                uintElement(ID.PixelWidth, this.video.width),
+                uintElement(ID.PixelHeight, this.video.height)
+            ])
+        ])];
+
+        if (this.audio) {
+            const { sampleRate, numberOfChannels } = this.audio;
+            entries.push(element(ID.TrackEntry, [
+                uintElement(ID.TrackNumber, AUDIO_TRACK),
+                uintElement(ID.TrackUID, AUDIO_TRACK),
+                uintElement(ID.TrackType, 2),
+                stringElement(ID.CodecID, 'A_OPUS'),
+                element(ID.CodecPrivate, this.audioPrivate || opusHead(numberOfChannels, sampleRate)),
+                uintElement(ID.CodecDelay, Math.round(OPUS_PRE_SKIP / 48000 * 1e9)),
+                uintElement(ID.SeekPreRoll, 80000000),
+                element(ID.Audio, [
+                    floatElement(ID.SamplingFrequency, sampleRate),
+                    uintElement(ID.Channels, numberOfChannels)
+                ])
+            ]));
+        }
+        return entries;
+    }
+
+    // Groups blocks (in timestamp order) into clusters; a video keyframe starts a new
+    // cluster once the current one is long enough, so Cues can point at keyframes
+    clusters() {
+        const blocks = [...this.blocks].sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+        const clusters = [];
+        let current = null;
+
+        blocks.forEach(block => {
+            const ms = Math.round(block.timestamp / 1000);
+            const videoKey = block.track === VIDEO_TRACK && block.key;
+            if (!current || ms - current.timecode >= MAX_CLUSTER_MS ||
+                (videoKey && ms - current.timecode >= 1000)) {
+                current = { timecode: ms, blocks: [], keyframe: videoKey };
+                clusters.push(current);
+            }
+            current.blocks.push({ ...block, relative: ms - current.timecode });
+        });
+        return clusters;
+    }
+
+    // Resolves to a Blob of the finished file
+    finalize() {
+        const clusters = this.clusters();
+        const lastTimestamp = this.blocks.reduce((max, b) => Math.max(max, b.timestamp), 0);
+
+        const info = element(ID.Info, [
+            uintElement(ID.TimecodeScale, 1000000),
+            floatElement(ID.Duration, lastTimestamp / 1000),
+            stringElement(ID.MuxingApp, this.writingApp),
+            stringElement(ID.WritingApp, this.writingApp)
+        ]);
+        const tracks = element(ID.Tracks, this.trackEntries());
+
+        const clusterElements = [];
+        const cuePoints = [];
+        let position = info.length + tracks.length;
+        clusters.forEach(cluster => {
+            const children = [uintElement(ID.Timecode, cluster.timecode)];
+            cluster.blocks.forEach(block => {
+                const header = new Uint8Array(4);
+                header[0] = 0x80 | block.track;
+                new DataView(header.buffer).setInt16(1, block.relative);
+                header[3] = block.key ? 0x80 : 0x00;
+                children.push(element(ID.SimpleBlock, concat([header, block.data])));
+            });
+            const encoded = element(ID.Cluster, children);
+            if (cluster.keyframe) {
+                cuePoints.push(element(ID.CuePoint, [
+                    uintElement(ID.CueTime, cluster.timecode),
+                    element(ID.CueTrackPositions, [
+                        uintElement(ID.CueTrack, VIDEO_TRACK),
+                        uintElement(ID.CueClusterPosition, position)
+                    ])
+                ]));
+            }
+            position += encoded.length;
+            clusterElements.push(encoded);
+        });
+
+        const header = element(ID.EBML, [
+            uintElement(ID.EBMLVersion, 1),
+            uintElement(ID.EBMLReadVersion, 1),
+            uintElement(ID.EBMLMaxIDLength, 4),
+            uintElement(ID.EBMLMaxSizeLength, 8),
+            stringElement(ID.DocType, 'webm'),
+            uintElement(ID.DocTypeVersion, 4),
+            uintElement(ID.DocTypeReadVersion, 2)
+        ]);
+        const segmentChildren = [info, tracks, ...clusterElements];
+        if (cuePoints.length > 0) {
+            segmentChildren.push(element(ID.Cues, cuePoints));
+        }
+        const segmentSize = segmentChildren.reduce((sum, part) => sum + part.length, 0);
+
+        // Clusters stay separate Blob parts instead of one giant copy
+        return new Blob([
+            header,
+            concat([idBytes(ID.Segment), sizeBytes(segmentSize)]),
+            ...segmentChildren
+        ], { type: 'video/webm' });
+    }
+}
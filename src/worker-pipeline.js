@@ -0,0 +1,211 @@
+// Main-thread side of the render worker
+// Same surface as FrameRenderer (render / resize / setLogo / setBackgroundImage /
+// setOptions / calibrateCoverage / lastCoverage / destroy), but
+// frames are captured as VideoFrame/ImageBitmap and rendered by src/render-worker.js into
+// the OffscreenCanvas transferred from the display canvas.
+
+import { MSG, createMessage, isMessage, transferablesFor, FrameDropPolicy } from './worker-protocol.js';
+import { silentLog } from './logger.js';
+
+function closeFrame(frame) {
+    try {
+        frame?.close?.();
+    } catch (error) {
+        // Already closed
+    }
+}
+
+export class WorkerRenderPipeline {
+    static isSupported(canvas) {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof canvas?.transferControlToOffscreen === 'function' &&
+            (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+    }
+
+    // Throws if the canvas cannot be transferred (e.g. it already has a context)
+    constructor(canvas, { options = {}, log = silentLog, onReady = () => {}, onError = () => {}, onRendered = () => {}, workerUrl = null } = {}) {
+        this.canvas = canvas;
+        this.log = log;
+        this.onReady = onReady;
+        this.onError = onError;
+        this.onRendered = onRendered;
+        this.policy = new FrameDropPolicy({ maxInFlight: 1 });
+        this.nextFrameId = 1;
+        this.ready = false;
+        this.workerRenderer = null;
+        this.lastRenderMs = 0;
+        this.lastCoverage = null;
+        this.destroyed = false;
+        this.width = canvas.width;
+        this.height = canvas.height;
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker = new Worker(workerUrl || new URL('./render-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            this.fail(new Error(event.message || 'Render worker failed to load'));
+        };
+
+        this.post(createMessage(MSG.INIT, { canvas: offscreen, options }));
+    }
+
+    get rendererType() {
+        return `worker:${this.workerRenderer || 'pending'}`;
+    }
+
+    post(message) {
+        this.worker.postMessage(message, transferablesFor(message));
+    }
+
+    fail(error) {
+        if (this.destroyed) return;
+        this.onError(error);
+    }
+
+    handleMessage(message) {
+        if (isMessage(message, MSG.READY)) {
+            this.ready = true;
+            this.workerRenderer = message.renderer;
+            this.onReady(message.renderer);
+        } else if (isMessage(message, MSG.RENDERED)) {
+            this.lastRenderMs = message.renderMs;
+            if (message.coverage !== undefined) {
+                this.lastCoverage = message.coverage;
+            }
+            this.sendNext();
+            this.onRendered(message.mode, message.renderMs);
+        } else if (isMessage(message, MSG.ERROR)) {
+            if (message.frameId === null) {
+                // Worker could not set itself up at all
+                this.fail(new Error(message.message));
+                return;
+            }
+            this.log.error('RENDER', 'Error in render worker', {
+                frameId: message.frameId,
+                message: message.message
+            });
+            this.sendNext();
+        } else if (isMessage(message, MSG.LOG)) {
+            const log = this.log[message.level] ?? this.log; // Unknown levels log at info
+            log(message.category, `[worker] ${message.message}`, message.data);
+        }
+    }
+
+    sendNext() {
+        const { send } = this.policy.complete();
+        if (send) this.post(send);
+    }
+
+    async captureFrame(source) {
+        if (typeof VideoFrame !== 'undefined') {
+            try {
+                return new VideoFrame(source, { timestamp: Math.round(performance.now() * 1000) });
+            } catch (error) {
+                // Some sources (e.g. a canvas on older Safari) only work as ImageBitmap
+            }
+        }
+        return createImageBitmap(source);
+    }
+
+    // The segmentation mask is usually a canvas owned by MediaPipe; snapshot it
+    captureSegmentation(mask) {
+        if (!mask) return Promise.resolve(null);
+        return createImageBitmap(mask).catch((error) => {
+            this.log.error('SEGMENTATION', 'Error capturing segmentation mask for render worker', {
+                name: error.name,
+                message: error.message
+            });
+            return null;
+        });
+    }
+
+    // Fire-and-forget: the frame is captured now and rendered when the worker is free
+    render(mode, source, frame = {}) {
+        if (this.destroyed) return;
+
+        Promise.all([
+            this.captureFrame(source),
+            this.captureSegmentation(frame.segmentation)
+        ]).then(([image, segmentation]) => {
+            if (this.destroyed) {
+                closeFrame(image);
+                closeFrame(segmentation);
+                return;
+            }
+            const message = createMessage(MSG.FRAME, {
+                frameId: this.nextFrameId++,
+                mode,
+                frame: image,
+                // Only what the renderer needs; per-face state may not be cloneable
+                faces: (frame.faces || []).map(({ id, landmarks, confidence }) => ({ id, landmarks, confidence })),
+                segmentation,
+                timestamp: performance.now()
+            });
+            const { send, dropped } = this.policy.offer(message);
+            if (dropped) {
+                closeFrame(dropped.frame);
+                closeFrame(dropped.segmentation);
+            }
+            if (send) this.post(send);
+        }).catch((error) => {
+            this.log.error('RENDER', 'Error capturing frame for render worker', {
+                name: error.name,
+                message: error.message
+            });
+        });
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.post(createMessage(MSG.RESIZE, { width, height }));
+    }
+
+    setOptions(options) {
+        this.post(createMessage(MSG.OPTIONS, options));
+    }
+
+    calibrateCoverage() {
+        this.post(createMessage(MSG.CALIBRATE));
+    }
+
+    setLogo(image) {
+        this.sendImage(MSG.LOGO, image, 'LOGO');
+    }
+
+    setBackgroundImage(image) {
+        this.sendImage(MSG.BACKGROUND, image, 'SEGMENTATION');
+    }
+
+    sendImage(type, image, category) {
+        if (!image) {
+            this.post(createMessage(type, { image: null }));
+            return;
+        }
+        createImageBitmap(image).then((bitmap) => {
+            if (this.destroyed) {
+                bitmap.close();
+                return;
+            }
+            this.post(createMessage(type, { image: bitmap }));
+        }).catch((error) => {
+            this.log.error(category, `Error sending ${type} image to render worker`, {
+                name: error.name,
+                message: error.message
+            });
+        });
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        const pending = this.policy.reset();
+        if (pending) {
+            closeFrame(pending.frame);
+            closeFrame(pending.segmentation);
+        }
+        // The worker releases its GL resources and closes itself
+        this.post(createMessage(MSG.DISPOSE));
+    }
+}
@@ -0,0 +1,135 @@
+// Render worker message protocol
+//
+// Main thread -> worker
+//   init     { canvas: OffscreenCanvas, options }            (canvas transferred)
+//   frame    { frameId, mode, frame, faces, segmentation, timestamp }
+//            (frame and segmentation transferred)
+//            faces: [{ id, landmarks, confidence? }] for mode 'face'
+//            segmentation: ImageBitmap of the person mask, or null
+//   logo     { image: ImageBitmap | null }                   (image transferred)
+//   background { image: ImageBitmap | null }                 (image transferred)
+//   calibrate {}                         (coverage baseline from the next face frame)
+//   resize   { width, height }
+//   options  { preset?, contrast?, blurRadius?, compactLogo?, processingScale?, maskStep?,
+//              useSegmentation?, background?, featherRadius?, analyzeCoverage?,
+//              coverageOverlay?, mirror?, fit?, pixelRatio? }
+//   dispose  {}
+//
+// Worker -> main thread
+//   ready    { renderer: 'webgl2' | 'canvas2d' }
+//   rendered { frameId, mode, renderMs, coverage? }  (renderMs feeds the quality governor;
+//            coverage only when a new analysis result exists, see coverage-analyzer.js)
+//   error    { frameId, message }
+//   log      { level, category, message, data }
+//            level: 'debug' | 'info' | 'warn' | 'error', logged at that level on the main
+//            thread (worker-pipeline.js)
+//
+// `frame` is a VideoFrame or ImageBitmap. Whoever ends up holding it last must close it
+// (and `segmentation` with it): the worker after rendering, the main thread when the
+// drop policy discards it.
+
+export const MSG = {
+    INIT: 'init',
+    FRAME: 'frame',
+    LOGO: 'logo',
+    BACKGROUND: 'background',
+    CALIBRATE: 'calibrate',
+    RESIZE: 'resize',
+    OPTIONS: 'options',
+    DISPOSE: 'dispose',
+    READY: 'ready',
+    RENDERED: 'rendered',
+    ERROR: 'error',
+    LOG: 'log'
+};
+
+const KNOWN_TYPES = new Set(Object.values(MSG));
+
+export function createMessage(type, payload = {}) {
+    if (!KNOWN_TYPES.has(type)) {
+        throw new Error(`Unknown render worker message "${type}"`);
+    }
+    return { type, ...payload };
+}
+
+export function isMessage(message, type) {
+    return !!message && typeof message === 'object' && message.type === type;
+}
+
+// Objects inside a message that must be transferred rather than cloned
+export function transferablesFor(message) {
+    switch (message.type) {
+        case MSG.INIT:
+            return [message.canvas];
+        case MSG.FRAME:
+            return message.segmentation ? [message.frame, message.segmentation] : [message.frame];
+        case MSG.LOGO:
+        case MSG.BACKGROUND:
+            return message.image ? [message.image] : [];
+        default:
+            return [];
+    }
+}
+
+// Frame-drop policy: "latest wins".
+// At most `maxInFlight` frames are with the worker. While it is busy, one newer frame
+// waits in a single pending slot; a frame arriving while the slot is taken replaces the
+// waiting one, which is dropped. So the worker never falls behind the camera and always
+// renders the freshest frame available when it becomes free.
+//
+// offer(frame)  -> { send: frame | null, dropped: frame | null }
+// complete()    -> { send: frame | null } once the worker reports a frame as done
+export class FrameDropPolicy {
+    constructor({ maxInFlight = 1 } = {}) {
+        this.maxInFlight = maxInFlight;
+        this.inFlight = 0;
+        this.pending = null;
+        this.stats = { offered: 0, sent: 0, dropped: 0, completed: 0 };
+    }
+
+    offer(frame) {
+        this.stats.offered++;
+
+        if (this.inFlight < this.maxInFlight) {
+            this.inFlight++;
+            this.stats.sent++;
+            return { send: frame, dropped: null };
+        }
+
+        const dropped = this.pending;
+        if (dropped) {
+            this.stats.dropped++;
+        }
+        this.pending = frame;
+        return { send: null, dropped };
+    }
+
+    complete() {
+        this.stats.completed++;
+        this.inFlight = Math.max(0, this.inFlight - 1);
+
+        if (this.pending && this.inFlight < this.maxInFlight) {
+            const frame = this.pending;
+            this.pending = null;
+            this.inFlight++;
+            this.stats.sent++;
+            return { send: frame };
+        }
+        return { send: null };
+    }
+
+    // Drop whatever is waiting (e.g. on dispose); returns the discarded frame
+    flush() {
+        const dropped = this.pending;
+        if (dropped) {
+            this.stats.dropped++;
+        }
+        this.pending = null;
+        return dropped;
+    }
+
+    reset() {
+        this.inFlight = 0;
+        return this.flush();
+    }
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CameraManager } from '../src/camera-manager.js';
+
+const KEY = 'uv-filter.camera';
+
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        stored: (key = KEY) => JSON.parse(items.get(key) ?? 'null')
+    };
+}
+
+const torchTrack = () => ({
+    getCapabilities: () => ({ torch: true }),
+    applyConstraints: async () => {}
+});
+
+test('choose() and the camera that opened are stored', () => {
+    const storage = createStorage();
+    const manager = new CameraManager({ storage });
+    manager.choose({ facingMode: 'environment' });
+    manager.remember({ deviceId: 'rear-1', facingMode: 'environment' });
+    assert.deepEqual(storage.stored(), { deviceId: 'rear-1', facingMode: 'environment', torch: false });
+    assert.equal(new CameraManager({ storage }).preference.deviceId, 'rear-1');
+});
+
+test('an overridden camera is used for this visit but not stored', async () => {
+    const stored = { deviceId: 'front-1', facingMode: 'user', torch: false };
+    const storage = createStorage({ [KEY]: stored });
+    const manager = new CameraManager({ storage });
+    manager.override({ facingMode: 'environment' });
+    assert.deepEqual(manager.videoConstraints(), { facingMode: { ideal: 'environment' } });
+
+    manager.remember({ deviceId: 'rear-1', facingMode: 'environment' });
+    assert.deepEqual(storage.stored(), stored);
+
+    // The torch is still remembered, on top of the stored camera
+    await manager.setTorch(torchTrack(), true);
+    assert.deepEqual(storage.stored(), { ...stored, torch: true });
+});
+
+test('choose() after an override stores again', () => {
+    const storage = createStorage();
+    const manager = new CameraManager({ storage });
+    manager.override({ facingMode: 'environment' });
+    manager.choose({ deviceId: 'front-2', facingMode: 'user' });
+    manager.remember({ deviceId: 'front-2', facingMode: 'user' });
+    assert.equal(storage.stored().deviceId, 'front-2');
+});
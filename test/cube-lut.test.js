@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCube, sampleLUT, applyCubeLUT, isCubeLUT, CubeLUTError } from '../src/cube-lut.js';
+
+// .cube text for a 3D LUT of size `size` whose lattice point (r, g, b) in 0..1 maps to fn(r, g, b)
+function cube3D(size, fn, header = '') {
+    const rows = [];
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const t = (i) => i / (size - 1);
+                rows.push(fn(t(r), t(g), t(b)).join(' '));
+            }
+        }
+    }
+    return `${header}LUT_3D_SIZE ${size}\n${rows.join('\n')}\n`;
+}
+
+function assertClose(actual, expected, epsilon = 1e-6) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, index) => {
+        assert.ok(Math.abs(value - expected[index]) <= epsilon, `${actual} vs ${expected}`);
+    });
+}
+
+const corner = (r, g, b) => (onCorner) => (x, y, z) => [x === r && y === g && z === b ? onCorner : 0, 0, 0];
+
+test('parseCube reads a 3D LUT: title, size, default domain, table in red-fastest order', () => {
+    const lut = parseCube(cube3D(2, (r, g, b) => [r, g, b], '# comment\nTITLE "Identity"\n\n'));
+    assert.equal(lut.title, 'Identity');
+    assert.equal(lut.dimensions, 3);
+    assert.equal(lut.size, 2);
+    assert.deepEqual(lut.domainMin, [0, 0, 0]);
+    assert.deepEqual(lut.domainMax, [1, 1, 1]);
+    assert.equal(lut.table.length, 2 * 2 * 2 * 3);
+    // Second row is red = 1, green = blue = 0
+    assert.deepEqual([...lut.table.slice(3, 6)], [1, 0, 0]);
+    assert.ok(isCubeLUT(lut));
+});
+
+test('parseCube reads a 1D LUT with CRLF line endings and a domain', () => {
+    const lut = parseCube('LUT_1D_SIZE 2\r\nDOMAIN_MIN 0 0 0\r\nDOMAIN_MAX 2 4 8\r\n0 0 0\r\n1 1 1\r\n');
+    assert.equal(lut.dimensions, 1);
+    assert.equal(lut.size, 2);
+    assert.deepEqual(lut.domainMax, [2, 4, 8]);
+});
+
+test('parseCube reads the single-range LUT_3D_INPUT_RANGE form', () => {
+    const lut = parseCube(cube3D(2, (r, g, b) => [r, g, b], 'LUT_3D_INPUT_RANGE -0.5 1.5\n'));
+    assert.deepEqual(lut.domainMin, [-0.5, -0.5, -0.5]);
+    assert.deepEqual(lut.domainMax, [1.5, 1.5, 1.5]);
+});
+
+test('parseCube rejects malformed files with the offending line', () => {
+    const cases = [
+        ['', /no LUT_1D_SIZE or LUT_3D_SIZE/],
+        ['0 0 0\nLUT_3D_SIZE 2', /line 1: table data before/],
+        ['LUT_3D_SIZE 1', /line 1: LUT_3D_SIZE must be a whole number from 2 to 256/],
+        ['LUT_3D_SIZE 2.5', /must be a whole number/],
+        ['LUT_1D_SIZE 2\nLUT_3D_SIZE 2', /line 2: more than one LUT size/],
+        ['LUT_1D_SIZE 2\n0 0 0', /expected 2 table rows, found 1/],
+        ['LUT_1D_SIZE 2\n0 0 0\n1 1 1\n1 1 1', /line 4: more than the 2 rows/],
+        ['LUT_1D_SIZE 2\n0 0\n1 1 1', /line 2: a table row expects 3 numbers/],
+        ['LUT_1D_SIZE 2\n0 0 x\n1 1 1', /expects 3 numbers/],
+        ['LUT_1D_SIZE 2\nSHAPE round\n0 0 0\n1 1 1', /line 2: unknown keyword "SHAPE"/],
+        ['LUT_1D_SIZE 2\nDOMAIN_MIN 1 0 0\nDOMAIN_MAX 1 1 1\n0 0 0\n1 1 1', /DOMAIN_MIN must be below DOMAIN_MAX/]
+    ];
+    for (const [text, message] of cases) {
+        assert.throws(() => parseCube(text), (error) => error instanceof CubeLUTError && message.test(error.message), text);
+    }
+});
+
+test('1D LUTs interpolate each channel on its own curve and clamp to the domain', () => {
+    const lut = parseCube('LUT_1D_SIZE 3\n0 0 0\n0.25 0.5 0.75\n1 1 1\n');
+    assertClose(sampleLUT(lut, [0.25, 0.5, 0.75]), [0.125, 0.5, 0.875]);
+    assertClose(sampleLUT(lut, [-1, 2, 1]), [0, 1, 1]);
+
+    const wide = parseCube('LUT_1D_SIZE 2\nDOMAIN_MAX 2 2 2\n0 0 0\n1 1 1\n');
+    assertClose(sampleLUT(wide, [1, 0.5, 3]), [0.5, 0.25, 1]);
+});
+
+test('both 3D interpolations reproduce an affine lattice exactly', () => {
+    // Any affine map is linear on every cell, so both schemes must be exact
+    const affine = (r, g, b) => [0.5 * r + 0.25 * g + 0.1, 0.2 * r - 0.3 * b + 0.4, 0.6 * g + 0.3 * b];
+    const lut = parseCube(cube3D(5, affine));
+    for (const input of [[0, 0, 0], [1, 1, 1], [0.13, 0.77, 0.5], [0.9, 0.05, 0.33], [0.6, 0.6, 0.2]]) {
+        assertClose(sampleLUT(lut, input, 'trilinear'), affine(...input), 1e-5);
+        assertClose(sampleLUT(lut, input, 'tetrahedral'), affine(...input), 1e-5);
+    }
+});
+
+test('trilinear weights a lattice corner by the product of the fractions', () => {
+    const far = parseCube(cube3D(2, corner(1, 1, 1)(1)));
+    assertClose(sampleLUT(far, [0.5, 0.5, 0.5], 'trilinear'), [0.125, 0, 0]);
+    assertClose(sampleLUT(far, [0.2, 0.6, 0.4], 'trilinear'), [0.048, 0, 0]);
+    const red = parseCube(cube3D(2, corner(1, 0, 0)(1)));
+    assertClose(sampleLUT(red, [0.7, 0.2, 0.4], 'trilinear'), [0.7 * 0.8 * 0.6, 0, 0]);
+});
+
+test('tetrahedral weights a lattice corner by the differences of the sorted fractions', () => {
+    // (1, 1, 1) is in every tetrahedron, weighted by the smallest fraction
+    const far = parseCube(cube3D(2, corner(1, 1, 1)(1)));
+    assertClose(sampleLUT(far, [0.5, 0.5, 0.5], 'tetrahedral'), [0.5, 0, 0]);
+    assertClose(sampleLUT(far, [0.2, 0.6, 0.4], 'tetrahedral'), [0.2, 0, 0]);
+    // (1, 0, 0) only when red is the largest fraction: red - max(green, blue)
+    const red = parseCube(cube3D(2, corner(1, 0, 0)(1)));
+    assertClose(sampleLUT(red, [0.7, 0.2, 0.4], 'tetrahedral'), [0.3, 0, 0]);
+    assertClose(sampleLUT(red, [0.2, 0.7, 0.4], 'tetrahedral'), [0, 0, 0]);
+    // All six orderings agree with trilinear on the lattice points themselves
+    for (const input of [[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 1, 0], [0, 1, 1], [1, 0, 1]]) {
+        assertClose(sampleLUT(red, input, 'tetrahedral'), sampleLUT(red, input, 'trilinear'));
+    }
+});
+
+test('3D lookups pick the right cell in a larger lattice', () => {
+    // Value is 1 only at lattice point (2, 1, 3) of a 5^3 LUT
+    const lut = parseCube(cube3D(5, corner(0.5, 0.25, 0.75)(1)));
+    assertClose(sampleLUT(lut, [0.5, 0.25, 0.75]), [1, 0, 0]);
+    // Half a step towards the next lattice point in red
+    assertClose(sampleLUT(lut, [0.5 + 0.125, 0.25, 0.75], 'trilinear'), [0.5, 0, 0]);
+    assertClose(sampleLUT(lut, [0.5 + 0.125, 0.25, 0.75], 'tetrahedral'), [0.5, 0, 0]);
+});
+
+test('applyCubeLUT maps 8-bit colour through the LUT and clamps the result', () => {
+    const invert = parseCube(cube3D(2, (r, g, b) => [1 - r, 1 - g, 1 - b]));
+    const out = applyCubeLUT(invert, 255, 0, 51);
+    assertClose([out.r, out.g, out.b], [0, 255, 204], 1e-3);
+
+    const hot = parseCube(cube3D(2, (r, g, b) => [r * 2, g - 1, b]));
+    const clamped = applyCubeLUT(hot, 255, 128, 64, 'tetrahedral');
+    assertClose([clamped.r, clamped.g, clamped.b], [255, 0, 64], 1e-3);
+});
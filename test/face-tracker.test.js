@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FaceTracker } from '../src/face-tracker.js';
+
+// A small square "face" of landmarks around (x, y)
+const face = (x, y) => [
+    { x: x - 0.05, y: y - 0.05 }, { x: x + 0.05, y: y - 0.05 },
+    { x: x + 0.05, y: y + 0.05 }, { x: x - 0.05, y: y + 0.05 }
+];
+
+test('a face keeps its ID as it moves', () => {
+    const tracker = new FaceTracker();
+    const [first] = tracker.update([face(0.3, 0.5)]);
+    const [second] = tracker.update([face(0.32, 0.5)]);
+    assert.equal(second.id, first.id);
+});
+
+test('visibleCount() leaves out faces only kept through missed frames', () => {
+    const tracker = new FaceTracker({ maxMissedFrames: 2 });
+    tracker.update([face(0.3, 0.5), face(0.7, 0.5)]);
+    assert.equal(tracker.visibleCount(), 2);
+
+    tracker.update([face(0.3, 0.5)]);
+    assert.equal(tracker.tracks.size, 2);
+    assert.equal(tracker.visibleCount(), 1);
+
+    tracker.update([]);
+    assert.equal(tracker.visibleCount(), 0);
+    tracker.update([]);
+    tracker.update([]);
+    assert.equal(tracker.tracks.size, 0);
+});
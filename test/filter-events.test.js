@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../src/filter-events.js';
+
+test('once() listeners run a single time', () => {
+    const events = new EventEmitter(['stats']);
+    const calls = [];
+    events.once('stats', (payload) => calls.push(payload));
+    events.emit('stats', 1);
+    events.emit('stats', 2);
+    assert.deepEqual(calls, [1]);
+    assert.equal(events.hasListeners('stats'), false);
+});
+
+test('off() with the original listener removes a pending once() listener', () => {
+    const events = new EventEmitter(['stats']);
+    const calls = [];
+    const listener = (payload) => calls.push(payload);
+    events.once('stats', listener);
+    events.off('stats', listener);
+    events.emit('stats', 1);
+    assert.deepEqual(calls, []);
+    assert.equal(events.hasListeners('stats'), false);
+});
+
+test('the function returned by once() removes it too', () => {
+    const events = new EventEmitter(['stats']);
+    const calls = [];
+    const remove = events.once('stats', (payload) => calls.push(payload));
+    remove();
+    events.emit('stats', 1);
+    assert.deepEqual(calls, []);
+});
+
+test('off() leaves other listeners in place', () => {
+    const events = new EventEmitter(['stats']);
+    const calls = [];
+    const listener = () => calls.push('on');
+    events.on('stats', listener);
+    events.once('stats', () => calls.push('once'));
+    events.off('stats', () => {});
+    events.emit('stats');
+    assert.deepEqual(calls, ['on', 'once']);
+});
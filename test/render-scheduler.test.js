@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RenderScheduler, RENDER_STATES as S, canTransition } from '../src/render-scheduler.js';
+
+// A scheduler on a hand-driven clock and rAF: frames run when the test says so
+function createScheduler(options = {}) {
+    const frames = new Map();
+    let nextId = 1;
+    let time = 0;
+    const rendered = [];
+    const transitions = [];
+    const scheduler = new RenderScheduler({
+        render: (state, now) => rendered.push({ state, now }),
+        onTransition: (entry) => transitions.push(entry),
+        frameInterval: 10,
+        requestFrame: (callback) => {
+            const id = nextId++;
+            frames.set(id, callback);
+            return id;
+        },
+        cancelFrame: (id) => frames.delete(id),
+        now: () => time,
+        ...options
+    });
+    const runFrame = (advance = 16) => {
+        time += advance;
+        const pending = [...frames.values()];
+        frames.clear();
+        pending.forEach(callback => callback());
+    };
+    return { scheduler, rendered, transitions, frames, runFrame };
+}
+
+test('the normal path from booting to a tracked face is allowed', () => {
+    const { scheduler, transitions } = createScheduler();
+    assert.equal(scheduler.state, S.BOOTING);
+    for (const to of [S.CAMERA_READY, S.DETECTOR_LOADING, S.FACE_TRACKED, S.NO_FACE, S.FACE_TRACKED, S.HARD_FALLBACK, S.CAMERA_READY]) {
+        assert.equal(scheduler.transition(to, 'test'), true, `-> ${to}`);
+    }
+    assert.deepEqual(transitions.map(entry => entry.to), [
+        S.CAMERA_READY, S.DETECTOR_LOADING, S.FACE_TRACKED, S.NO_FACE, S.FACE_TRACKED, S.HARD_FALLBACK, S.CAMERA_READY
+    ]);
+    assert.equal(transitions[0].from, S.BOOTING);
+    assert.equal(transitions[0].reason, 'test');
+});
+
+test('transitions outside the table are ignored and leave the state alone', () => {
+    const { scheduler, transitions } = createScheduler();
+    assert.equal(scheduler.transition(S.FACE_TRACKED), false);
+    assert.equal(scheduler.transition(S.DETECTOR_LOADING), false);
+    assert.equal(scheduler.transition(S.BOOTING), false); // Same state
+    scheduler.transition(S.CAMERA_READY);
+    assert.equal(scheduler.transition(S.NO_FACE), false);
+    scheduler.transition(S.HARD_FALLBACK);
+    assert.equal(scheduler.transition(S.FACE_TRACKED), false);
+    assert.equal(scheduler.state, S.HARD_FALLBACK);
+    assert.equal(transitions.length, 2);
+});
+
+test('booting and error are reachable from every state; error only leads back to booting', () => {
+    for (const from of Object.values(S)) {
+        if (from !== S.BOOTING) assert.equal(canTransition(from, S.BOOTING), true, `${from} -> booting`);
+        if (from !== S.ERROR) assert.equal(canTransition(from, S.ERROR), true, `${from} -> error`);
+    }
+    for (const to of [S.CAMERA_READY, S.DETECTOR_LOADING, S.FACE_TRACKED, S.NO_FACE, S.HARD_FALLBACK]) {
+        assert.equal(canTransition(S.ERROR, to), false, `error -> ${to}`);
+    }
+});
+
+test('paused only ends through resume() or an error, and resumes where it left off', () => {
+    const { scheduler } = createScheduler();
+    scheduler.transition(S.CAMERA_READY);
+    scheduler.transition(S.DETECTOR_LOADING);
+    assert.equal(scheduler.pause('hidden'), true);
+    assert.equal(scheduler.state, S.PAUSED);
+    assert.equal(scheduler.pause(), false);
+    for (const to of [S.BOOTING, S.CAMERA_READY, S.FACE_TRACKED, S.NO_FACE, S.HARD_FALLBACK]) {
+        assert.equal(scheduler.transition(to), false, `paused -> ${to}`);
+    }
+    assert.equal(scheduler.resume('visible'), true);
+    assert.equal(scheduler.state, S.DETECTOR_LOADING);
+    assert.equal(scheduler.resume(), false);
+
+    scheduler.pause();
+    assert.equal(scheduler.transition(S.ERROR, 'camera gone'), true);
+    assert.equal(scheduler.resume(), false);
+    assert.equal(scheduler.pause(), false); // Nothing to pause in error
+});
+
+test('the loop runs in drawing states, throttled to the frame interval, and stops when idle', () => {
+    const { scheduler, rendered, frames, runFrame } = createScheduler();
+    assert.equal(scheduler.running, false);
+    scheduler.transition(S.CAMERA_READY);
+    assert.equal(scheduler.running, true);
+    runFrame(16);
+    runFrame(5); // Inside the 10 ms interval: skipped
+    runFrame(16);
+    assert.deepEqual(rendered.map(frame => frame.now), [16, 37]);
+    assert.equal(frames.size, 1); // Always exactly one frame queued
+
+    scheduler.pause();
+    assert.equal(scheduler.running, false);
+    assert.equal(frames.size, 0);
+    scheduler.resume();
+    assert.equal(scheduler.running, true);
+    scheduler.transition(S.ERROR);
+    assert.equal(scheduler.running, false);
+});
+
+test('a render that throws is logged and the loop keeps going', () => {
+    const errors = [];
+    const log = Object.assign(() => {}, { error: (category, message) => errors.push(message) });
+    const { scheduler, frames, runFrame } = createScheduler({
+        render: () => { throw new Error('boom'); },
+        log
+    });
+    scheduler.transition(S.CAMERA_READY);
+    runFrame();
+    assert.deepEqual(errors, ['Error rendering in state camera-ready']);
+    assert.equal(frames.size, 1);
+});
@@ -0,0 +1,47 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { StillFaceDetector } from '../src/still-image.js';
+
+// FaceMesh and document stand-ins: the mesh reports the size of the canvas it was sent
+function installStubs() {
+    const sent = [];
+    globalThis.FaceMesh = class {
+        setOptions() {}
+        onResults(callback) {
+            this.callback = callback;
+        }
+        async send({ image }) {
+            sent.push({ width: image.width, height: image.height });
+            this.callback({ multiFaceLandmarks: [[{ x: 0.5, y: 0.5, z: 0 }]] });
+        }
+        close() {}
+    };
+    globalThis.document = {
+        createElement: () => ({ width: 300, height: 150, getContext: () => ({ drawImage() {} }) })
+    };
+    return sent;
+}
+
+afterEach(() => {
+    delete globalThis.FaceMesh;
+    delete globalThis.document;
+});
+
+test('detect sizes the canvas from a <video> on the seek path, not its width attribute', async () => {
+    const sent = installStubs();
+    const detector = new StillFaceDetector({ staticImageMode: false });
+    const video = { width: 0, height: 0, videoWidth: 1080, videoHeight: 1920 };
+    const faces = await detector.detect(video);
+    assert.equal(faces.length, 1);
+    assert.deepEqual(sent, [{ width: 1080, height: 1920 }]);
+    detector.close();
+});
+
+test('detect sizes the canvas from a VideoFrame or ImageBitmap', async () => {
+    const sent = installStubs();
+    const detector = new StillFaceDetector();
+    await detector.detect({ displayWidth: 640, displayHeight: 480 });
+    await detector.detect({ width: 200, height: 100 });
+    assert.deepEqual(sent, [{ width: 640, height: 480 }, { width: 200, height: 100 }]);
+    detector.close();
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UVWebGLRenderer, maxChannelDifference } from '../src/webgl-renderer.js';
+import { applyUVPipeline, DEFAULT_LOOK } from '../src/uv-pipeline.js';
+
+// "A couple of levels per channel" (webgl-renderer.js header), with one to spare
+const TOLERANCE = 3;
+const WIDTH = 48;
+const HEIGHT = 32;
+
+// Colour ramps, with every region present and a soft skin edge for the feathering
+function fixture() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    const mask = () => new Float32Array(WIDTH * HEIGHT);
+    const masks = { skin: mask(), eye: mask(), lip: mask(), eyebrow: mask() };
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const p = y * WIDTH + x;
+            data[p * 4] = (x * 255) / (WIDTH - 1);
+            data[p * 4 + 1] = (y * 255) / (HEIGHT - 1);
+            data[p * 4 + 2] = ((x + y) * 7) % 256;
+            data[p * 4 + 3] = 255;
+            // Skin fades in across the left half and is solid on the right
+            masks.skin[p] = Math.min(1, x / (WIDTH / 2));
+            if (y < 6 && x > 30) masks.eyebrow[p] = 1;
+            if (y >= 8 && y < 12 && x > 34 && x < 44) masks.eye[p] = 1;
+            if (y >= 24 && x > 30 && x < 42) masks.lip[p] = 1;
+        }
+    }
+    return { image: { data, width: WIDTH, height: HEIGHT }, masks };
+}
+
+const glSkip = (typeof ImageData === 'undefined' || !UVWebGLRenderer.isSupported())
+    && 'no WebGL2 context here';
+
+test('maxChannelDifference ignores alpha and flags size mismatches', () => {
+    assert.equal(maxChannelDifference([0, 0, 0, 0], [2, 5, 1, 255]), 5);
+    assert.equal(maxChannelDifference([0, 0, 0, 255], [0, 0, 0]), Infinity);
+});
+
+test('WebGL output matches the Canvas 2D path within tolerance', { skip: glSkip }, () => {
+    const { image, masks } = fixture();
+    const options = { contrast: 1.8, blurRadius: 2, look: DEFAULT_LOOK };
+
+    const source = new ImageData(new Uint8ClampedArray(image.data), WIDTH, HEIGHT);
+    const renderer = new UVWebGLRenderer();
+    try {
+        renderer.render(source, masks, { ...options, width: WIDTH, height: HEIGHT, mirror: false });
+        const gl = renderer.readPixels();
+
+        applyUVPipeline(image, masks, options);
+        const difference = maxChannelDifference(gl.data, image.data);
+        assert.ok(difference <= TOLERANCE, `max channel difference ${difference} > ${TOLERANCE}`);
+    } finally {
+        renderer.destroy();
+    }
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrameDropPolicy, MSG, createMessage } from '../src/worker-protocol.js';
+import { WorkerRenderPipeline } from '../src/worker-pipeline.js';
+import { leveledLog } from '../src/logger.js';
+
+test('the first frame goes straight out while nothing is in flight', () => {
+    const policy = new FrameDropPolicy();
+    assert.deepEqual(policy.offer('a'), { send: 'a', dropped: null });
+    assert.equal(policy.inFlight, 1);
+    assert.equal(policy.pending, null);
+});
+
+test('frames offered while one is in flight wait, and the newest wins', () => {
+    const policy = new FrameDropPolicy();
+    policy.offer('a');
+    assert.deepEqual(policy.offer('b'), { send: null, dropped: null });
+    assert.deepEqual(policy.offer('c'), { send: null, dropped: 'b' });
+    assert.deepEqual(policy.offer('d'), { send: null, dropped: 'c' });
+    assert.equal(policy.pending, 'd');
+    assert.equal(policy.inFlight, 1);
+    assert.deepEqual(policy.stats, { offered: 4, sent: 1, dropped: 2, completed: 0 });
+});
+
+test('an ack sends the waiting frame, or frees the slot when none waits', () => {
+    const policy = new FrameDropPolicy();
+    policy.offer('a');
+    policy.offer('b');
+    assert.deepEqual(policy.complete(), { send: 'b' });
+    assert.equal(policy.inFlight, 1);
+    assert.equal(policy.pending, null);
+    assert.deepEqual(policy.complete(), { send: null });
+    assert.equal(policy.inFlight, 0);
+    // An ack with nothing in flight doesn't go negative
+    policy.complete();
+    assert.equal(policy.inFlight, 0);
+    assert.deepEqual(policy.offer('c'), { send: 'c', dropped: null });
+    assert.deepEqual(policy.stats, { offered: 3, sent: 3, dropped: 0, completed: 3 });
+});
+
+test('maxInFlight lets several frames out before frames start waiting', () => {
+    const policy = new FrameDropPolicy({ maxInFlight: 2 });
+    assert.equal(policy.offer('a').send, 'a');
+    assert.equal(policy.offer('b').send, 'b');
+    assert.equal(policy.offer('c').send, null);
+    assert.equal(policy.complete().send, 'c');
+    assert.equal(policy.inFlight, 2);
+});
+
+test('flush and reset discard the waiting frame and count it as dropped', () => {
+    const policy = new FrameDropPolicy();
+    policy.offer('a');
+    policy.offer('b');
+    assert.equal(policy.flush(), 'b');
+    assert.equal(policy.flush(), null);
+    assert.equal(policy.inFlight, 1);
+    policy.offer('c');
+    assert.equal(policy.reset(), 'c');
+    assert.equal(policy.inFlight, 0);
+    assert.equal(policy.stats.dropped, 2);
+});
+
+// A pipeline on a stand-in Worker, logging into `entries`
+function createPipeline(entries) {
+    globalThis.Worker = class {
+        postMessage() {}
+    };
+    try {
+        const canvas = { width: 4, height: 4, transferControlToOffscreen: () => ({}) };
+        const log = leveledLog((level, category, message, data) => entries.push({ level, category, message, data }));
+        return new WorkerRenderPipeline(canvas, { log, workerUrl: 'render-worker.js' });
+    } finally {
+        delete globalThis.Worker;
+    }
+}
+
+test('worker log messages are logged on the main thread at their level', () => {
+    const entries = [];
+    const pipeline = createPipeline(entries);
+    // What render-worker.js posts for log.warn(...)
+    const workerLog = leveledLog((level, category, message, data) => {
+        pipeline.handleMessage(createMessage(MSG.LOG, { level, category, message, data }));
+    });
+    workerLog.warn('RENDER', 'WebGL2 not available', { reason: 'no context' });
+    workerLog('RENDER', 'Renderer ready');
+    workerLog.debug('RENDER', 'Frame rendered');
+    assert.deepEqual(entries, [
+        { level: 'warn', category: 'RENDER', message: '[worker] WebGL2 not available', data: { reason: 'no context' } },
+        { level: 'info', category: 'RENDER', message: '[worker] Renderer ready', data: null },
+        { level: 'debug', category: 'RENDER', message: '[worker] Frame rendered', data: null }
+    ]);
+});
+
+test('a worker log message without a known level is logged at info', () => {
+    const entries = [];
+    const pipeline = createPipeline(entries);
+    pipeline.handleMessage(createMessage(MSG.LOG, { category: 'RENDER', message: 'Old worker', data: null }));
+    assert.deepEqual(entries, [{ level: 'info', category: 'RENDER', message: '[worker] Old worker', data: null }]);
+});